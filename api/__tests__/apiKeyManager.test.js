@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const ApiKeyManager = require('../services/apiKeyManager');
+const { authenticateServiceAccount } = require('../middleware/auth');
+const identity = require('../../shared/identity');
+
+// Just enough of a Mongo collection for the key manager
+const fakeDb = () => {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([field, want]) =>
+    want && typeof want === 'object' && '$ne' in want ? doc[field] !== want.$ne : doc[field] === want);
+
+  const collection = {
+    docs,
+    insertOne: async doc => docs.push({ ...doc }),
+    countDocuments: async filter => docs.filter(doc => matches(doc, filter)).length,
+    findOne: async filter => docs.find(doc => matches(doc, filter)) || null,
+    updateOne: async () => ({ modifiedCount: 1 }),
+    updateMany: async (filter, update) => {
+      const hits = docs.filter(doc => matches(doc, filter));
+      hits.forEach(doc => Object.assign(doc, update.$set));
+      return { modifiedCount: hits.length };
+    }
+  };
+  return { collection: () => collection, keys: docs };
+};
+
+describe('ApiKeyManager tiers', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a key runs at the tier stored on it', async () => {
+    const manager = new ApiKeyManager(fakeDb());
+    const { key } = await manager.createKey({ ownerId: 'user-1', tier: 'pro', name: 'ci' });
+
+    expect((await manager.verifyKey(key)).tier).toBe('pro');
+  });
+
+  test('refreshOwnerTier updates the owner\'s active keys only', async () => {
+    const db = fakeDb();
+    const manager = new ApiKeyManager(db);
+    await manager.createKey({ ownerId: 'user-1', tier: 'pro', name: 'a' });
+    const { keyId } = await manager.createKey({ ownerId: 'user-1', tier: 'pro', name: 'b' });
+    await manager.createKey({ ownerId: 'user-2', tier: 'pro', name: 'c' });
+    db.keys.find(doc => doc.keyId === keyId).revokedAt = new Date();
+
+    expect(await manager.refreshOwnerTier('user-1', 'free')).toBe(1);
+    expect(db.keys.map(doc => doc.tier)).toEqual(['free', 'pro', 'pro']);
+    expect(await manager.refreshOwnerTier('user-1', 'free')).toBe(0);
+  });
+
+  test('refreshOwnerTier ignores unknown tiers', async () => {
+    const db = fakeDb();
+    const manager = new ApiKeyManager(db);
+    await manager.createKey({ ownerId: 'user-1', tier: 'pro', name: 'a' });
+
+    expect(await manager.refreshOwnerTier('user-1', 'platinum')).toBe(0);
+    expect(db.keys[0].tier).toBe('pro');
+  });
+});
+
+describe('tier refresh on webapp requests', () => {
+  const serviceKey = 'service-key-for-tests';
+
+  beforeEach(() => {
+    process.env.SERVICE_ACCOUNT_KEY = serviceKey;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    delete process.env.SERVICE_ACCOUNT_KEY;
+    jest.restoreAllMocks();
+  });
+
+  test('a delegated request passes the user\'s tier to their keys', () => {
+    const refreshOwnerTier = jest.fn().mockResolvedValue(1);
+    const req = {
+      app: { locals: { apiKeyManager: { refreshOwnerTier } } },
+      headers: {
+        'x-service-key': serviceKey,
+        [identity.DELEGATION_HEADER]: identity.signDelegationToken({
+          jwt, secret: serviceKey, issuer: identity.ISSUERS.webapp, userId: 'user-1', tier: 'standard'
+        })
+      }
+    };
+    const next = jest.fn();
+
+    authenticateServiceAccount(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(refreshOwnerTier).toHaveBeenCalledWith('user-1', 'standard');
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DrawioTemplateEngine = require('../services/drawioTemplates');
+
+const model = cells => `<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>${cells}</root></mxGraphModel>`;
+const vertex = (id, value = id) =>
+  `<mxCell id="${id}" value="${value}" style="rounded=1;" vertex="1" parent="1"><mxGeometry x="0" y="0" width="120" height="60" as="geometry"/></mxCell>`;
+
+describe('validateXml', () => {
+  const engine = new DrawioTemplateEngine();
+
+  test('accepts a well-formed diagram', () => {
+    const xml = model(vertex('a', 'Web &amp; API') + vertex('b') +
+      '<mxCell id="e" edge="1" source="a" target="b" parent="1"><mxGeometry relative="1" as="geometry"/></mxCell>');
+    expect(engine.validateXml(xml)).toEqual({ valid: true, errors: [], cellCount: 5 });
+  });
+
+  test.each([
+    ['an unclosed element', model(vertex('a')).replace('</root>', ''), 'closes <root>'],
+    ['mismatched tags', model('<mxCell id="a" vertex="1" parent="1"></mxGeometry>'), '</mxGeometry> closes <mxCell>'],
+    ['a stray <', model(vertex('a', 'a < b')), 'unexpected "<"'],
+    ['an unescaped & in an attribute', model(vertex('a', 'R&D')), 'unescaped "&" in an attribute of <mxCell>'],
+    ['an unescaped & in text', model(vertex('a')).replace('<root>', '<root>Q&A'), 'unescaped "&"'],
+    ['an unquoted attribute', model('<mxCell id=a vertex="1" parent="1"/>'), 'unexpected "<"'],
+    ['two root elements', model(vertex('a')) + '<mxGraphModel></mxGraphModel>', 'more than one root element']
+  ])('rejects %s', (name, xml, message) => {
+    const result = engine.validateXml(xml);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([expect.stringContaining(message)]);
+  });
+
+  test('reports structural problems of well-formed XML', () => {
+    const xml = model(vertex('a') + vertex('a') +
+      '<mxCell id="e" edge="1" source="a" target="zzz" parent="1"/><mxCell id="c" vertex="1" parent="nope"/>');
+    expect(engine.validateXml(xml).errors).toEqual([
+      'duplicate cell id "a"',
+      'edge "e" has unknown target "zzz"',
+      'cell "c" has unknown parent "nope"'
+    ]);
+  });
+
+  test('requires at least one shape', () => {
+    expect(engine.validateXml(model('')).errors).toEqual(['diagram has no shapes']);
+  });
+});
+
+describe('renderPng', () => {
+  let dir;
+  const script = (name, body) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+    return file;
+  };
+  const xml = model(vertex('a'));
+
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-test-')); });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('resolves the renderer output as base64', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: script('ok.sh', 'cat >/dev/null; printf PNG') });
+    await expect(engine.renderPng(xml)).resolves.toBe(Buffer.from('PNG').toString('base64'));
+  });
+
+  test('rejects with stderr when the renderer fails', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: script('fail.sh', 'cat >/dev/null; echo bad dot >&2; exit 3') });
+    await expect(engine.renderPng(xml)).rejects.toThrow('Graphviz exited with code 3: bad dot');
+  });
+
+  test('rejects when the renderer is missing', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: path.join(dir, 'missing') });
+    await expect(engine.renderPng(xml)).rejects.toThrow('Graphviz not available');
+  });
+
+  test('times out once and releases the abort listener', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: script('slow.sh', 'exec sleep 10'), renderTimeout: 100 });
+    const controller = new AbortController();
+    const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await expect(engine.renderPng(xml, controller.signal)).rejects.toThrow('Preview render timed out');
+    expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+
+  test('kills the renderer on abort', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: script('hang.sh', 'exec sleep 10') });
+    const controller = new AbortController();
+    const rendering = engine.renderPng(xml, controller.signal);
+    setTimeout(() => controller.abort(new Error('Cancelled by user')), 50);
+
+    await expect(rendering).rejects.toMatchObject({ name: 'AbortError', message: 'Cancelled by user' });
+  });
+
+  test('rejects at once when already aborted', async () => {
+    const engine = new DrawioTemplateEngine({ renderer: path.join(dir, 'never-run') });
+    await expect(engine.renderPng(xml, AbortSignal.abort())).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const identity = require('../../shared/identity');
+
+const keyRing = identity.parseKeyRing('new:new-secret,old:old-secret');
+const sign = (overrides = {}) => identity.signIdentityToken({
+  jwt, keyRing, issuer: identity.ISSUERS.webapp, userId: 'user-1', tier: 'pro', ...overrides
+});
+const verify = (token, options = {}) => identity.verifyIdentityToken({ jwt, keyRing, token, ...options });
+
+describe('parseKeyRing', () => {
+  test('signs with the first key and accepts every listed key', () => {
+    expect(keyRing.activeKid).toBe('new');
+    expect([...keyRing.keys.keys()]).toEqual(['new', 'old']);
+  });
+
+  test('falls back to a single default key', () => {
+    expect(identity.parseKeyRing('', 'secret')).toEqual({ activeKid: 'default', keys: new Map([['default', 'secret']]) });
+  });
+
+  test('needs at least one key', () => {
+    expect(() => identity.parseKeyRing('garbage')).toThrow('No JWT signing keys configured');
+  });
+});
+
+describe('verifyIdentityToken', () => {
+  test('returns the principal of a current token', () => {
+    expect(verify(sign({ role: 'admin', scopes: ['diagrams:read'] }))).toMatchObject({
+      userId: 'user-1',
+      tier: 'pro',
+      scopes: ['diagrams:read'],
+      isAdmin: true,
+      issuer: identity.ISSUERS.webapp,
+      kid: 'new',
+      legacy: false
+    });
+  });
+
+  test('accepts a token signed with an older key of the ring', () => {
+    const oldToken = jwt.sign({ tier: 'standard' }, 'old-secret', {
+      algorithm: 'HS256', keyid: 'old', issuer: identity.ISSUERS.cli, audience: identity.AUDIENCE, subject: 'user-2'
+    });
+    expect(verify(oldToken)).toMatchObject({ userId: 'user-2', tier: 'standard', kid: 'old' });
+  });
+
+  test('drops unknown scopes and defaults unknown tiers to free', () => {
+    const token = jwt.sign({ tier: 'platinum', scopes: ['diagrams:read', 'admin:all'] }, 'new-secret', {
+      algorithm: 'HS256', keyid: 'new', issuer: identity.ISSUERS.webapp, audience: identity.AUDIENCE, subject: 'user-1'
+    });
+    expect(verify(token)).toMatchObject({ tier: 'free', scopes: ['diagrams:read'] });
+  });
+
+  test.each([
+    ['a bad signature', () => jwt.sign({}, 'wrong', { algorithm: 'HS256', keyid: 'new', issuer: identity.ISSUERS.webapp, audience: identity.AUDIENCE, subject: 'u' })],
+    ['an unknown key id', () => jwt.sign({}, 'new-secret', { algorithm: 'HS256', keyid: 'gone', issuer: identity.ISSUERS.webapp, audience: identity.AUDIENCE, subject: 'u' })],
+    ['another audience', () => jwt.sign({}, 'new-secret', { algorithm: 'HS256', keyid: 'new', issuer: identity.ISSUERS.webapp, audience: 'other', subject: 'u' })],
+    ['an unknown issuer', () => jwt.sign({}, 'new-secret', { algorithm: 'HS256', keyid: 'new', issuer: 'someone', audience: identity.AUDIENCE, subject: 'u' })],
+    ['an expired token', () => sign({ expiresIn: -10 })],
+    ['no subject', () => jwt.sign({}, 'new-secret', { algorithm: 'HS256', keyid: 'new', issuer: identity.ISSUERS.webapp, audience: identity.AUDIENCE })],
+    ['a delegation token', () => identity.signDelegationToken({ jwt, secret: 'new-secret', issuer: identity.ISSUERS.webapp, userId: 'u', tier: 'pro' })],
+    ['garbage', () => 'not.a.token']
+  ])('rejects %s', (name, makeToken) => {
+    expect(() => verify(makeToken())).toThrow();
+  });
+
+  describe('legacy tokens', () => {
+    const legacyToken = jwt.sign({ apiKey: 'old-client', tier: 'enterprise', role: 'admin' }, 'old-secret', { algorithm: 'HS256' });
+
+    test('are rejected by default', () => {
+      expect(() => verify(legacyToken)).toThrow('Legacy tokens are no longer accepted');
+    });
+
+    test('run as free tier without admin when allowed', () => {
+      expect(verify(legacyToken, { allowLegacy: true })).toMatchObject({
+        userId: 'old-client',
+        tier: 'free',
+        role: null,
+        isAdmin: false,
+        legacy: true
+      });
+    });
+
+    test('still need a valid signature', () => {
+      const forged = jwt.sign({ apiKey: 'x' }, 'guessed', { algorithm: 'HS256' });
+      expect(() => verify(forged, { allowLegacy: true })).toThrow();
+    });
+  });
+});
+
+describe('delegation tokens', () => {
+  const sign = (overrides = {}) => identity.signDelegationToken({
+    jwt, secret: 'service-key', issuer: identity.ISSUERS.webapp, userId: 'user-1', tier: 'standard', ...overrides
+  });
+
+  test('round-trip', () => {
+    expect(identity.verifyDelegationToken({ jwt, secret: 'service-key', token: sign() }))
+      .toEqual({ userId: 'user-1', tier: 'standard', issuer: identity.ISSUERS.webapp });
+  });
+
+  test('reject another key, expiry and identity tokens', () => {
+    expect(() => identity.verifyDelegationToken({ jwt, secret: 'other-key', token: sign() })).toThrow();
+    expect(() => identity.verifyDelegationToken({ jwt, secret: 'service-key', token: sign({ expiresIn: -10 }) })).toThrow();
+    const identityToken = identity.signIdentityToken({
+      jwt, keyRing: identity.parseKeyRing('k:service-key'), issuer: identity.ISSUERS.webapp, userId: 'u', tier: 'pro'
+    });
+    expect(() => identity.verifyDelegationToken({ jwt, secret: 'service-key', token: identityToken })).toThrow('Not a delegation token');
+  });
+
+  test('refuse to sign an unknown tier', () => {
+    expect(() => sign({ tier: 'gold' })).toThrow('Unknown tier: gold');
+  });
+});
@@ -0,0 +1,128 @@
+const { parsePrompt, checkTemplateDefinition, renderTemplate, parseAssignments } = require('../../shared/promptTemplates');
+const { loadCatalogue } = require('../../shared/catalogue');
+
+const eksTemplate = {
+  parameters: {
+    region: { type: 'string', default: 'us-east-1' },
+    nodeGroups: { type: 'integer', default: 2, minimum: 1, maximum: 10 },
+    karpenter: { type: 'boolean', default: false }
+  },
+  prompt: 'EKS in {{region}} with {{nodeGroups}} node groups {{#if karpenter}}and Karpenter{{else}}and Cluster Autoscaler{{/if}}'
+};
+
+describe('parsePrompt', () => {
+  test('splits text, variables and sections', () => {
+    expect(parsePrompt('a {{x}} {{#unless y}}b{{else}}c{{/unless}}')).toEqual([
+      { text: 'a ' },
+      { variable: 'x' },
+      { text: ' ' },
+      { section: 'unless', name: 'y', children: [{ text: 'b' }], otherwise: [{ text: 'c' }] }
+    ]);
+  });
+
+  test('reads names that start with a keyword as variables', () => {
+    expect(parsePrompt('{{elseRegion}} {{ifCount}} {{unlessSet}}')).toEqual([
+      { variable: 'elseRegion' },
+      { text: ' ' },
+      { variable: 'ifCount' },
+      { text: ' ' },
+      { variable: 'unlessSet' }
+    ]);
+  });
+
+  test.each([
+    ['{{#if x}}open', 'unclosed {{#if}}'],
+    ['{{/if}}', 'unexpected {{/if}}'],
+    ['{{#if x}}a{{/unless}}', 'unexpected {{/unless}}'],
+    ['{{else}}', 'unexpected {{else}}'],
+    ['{{#if x}}a{{else}}b{{else}}c{{/if}}', 'unexpected {{else}}'],
+    ['{{#if}}a{{/if}}', 'needs a parameter name']
+  ])('rejects %s', (prompt, message) => {
+    expect(() => parsePrompt(prompt)).toThrow(message);
+  });
+
+  test('rejects a missing prompt with a CATALOGUE_ERROR', () => {
+    expect(() => parsePrompt(undefined)).toThrow(expect.objectContaining({ code: 'CATALOGUE_ERROR' }));
+  });
+});
+
+describe('checkTemplateDefinition', () => {
+  test('accepts a valid template', () => {
+    expect(checkTemplateDefinition(eksTemplate)).toEqual([]);
+  });
+
+  test.each(['toString', 'constructor', '__proto__'])('treats {{%s}} as undeclared', name => {
+    expect(checkTemplateDefinition({ prompt: `in {{${name}}}`, parameters: {} }))
+      .toEqual([`prompt uses undeclared parameter "${name}"`]);
+  });
+
+  test('reports bad types and defaults', () => {
+    expect(checkTemplateDefinition({
+      prompt: '{{a}} {{b}}',
+      parameters: { a: { type: 'date' }, b: { type: 'integer', default: 'two' } }
+    })).toEqual([
+      expect.stringContaining('parameters.a.type must be one of'),
+      'parameters.b.default must be an integer'
+    ]);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills defaults and sections', () => {
+    expect(renderTemplate(eksTemplate).prompt)
+      .toBe('EKS in us-east-1 with 2 node groups and Cluster Autoscaler');
+  });
+
+  test('converts string values to the declared type', () => {
+    const rendered = renderTemplate(eksTemplate, { nodeGroups: '4', karpenter: 'yes', region: '' });
+    expect(rendered.parameters).toEqual({ region: 'us-east-1', nodeGroups: 4, karpenter: true });
+    expect(rendered.prompt).toBe('EKS in us-east-1 with 4 node groups and Karpenter');
+  });
+
+  test('renders variables named like keywords', () => {
+    const template = {
+      parameters: { elseRegion: { type: 'string', default: 'x' }, ifCount: { type: 'integer', default: 0 } },
+      prompt: 'in {{elseRegion}}{{#if ifCount}} ({{ifCount}}){{else}} (none){{/if}}'
+    };
+    expect(renderTemplate(template).prompt).toBe('in x (none)');
+  });
+
+  test('lists every unknown, missing and invalid parameter', () => {
+    const template = { ...eksTemplate, parameters: { ...eksTemplate.parameters, name: { type: 'string' } } };
+    expect.assertions(2);
+    try {
+      renderTemplate(template, { nodeGroups: '11', toString: 'x' });
+    } catch (error) {
+      expect(error.code).toBe('VALIDATION_ERROR');
+      expect(error.fields.map(field => field.field)).toEqual(['parameters.toString', 'parameters.nodeGroups', 'parameters.name']);
+    }
+  });
+
+  test('does not read inherited properties of the values', () => {
+    const template = { parameters: { constructor: { type: 'string', default: 'c' } }, prompt: '{{constructor}}' };
+    expect(renderTemplate(template, {}).prompt).toBe('c');
+  });
+});
+
+describe('catalogue templates', () => {
+  const catalogue = loadCatalogue();
+
+  test.each(['constructor', 'toString', 'hasOwnProperty'])('"%s" is not a template', id => {
+    expect(() => catalogue.renderTemplate(id)).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+
+  test('renders a built-in template', () => {
+    const [id] = Object.keys(catalogue.templates);
+    expect(catalogue.renderTemplate(id).template.id).toBe(id);
+  });
+});
+
+describe('parseAssignments', () => {
+  test('splits on the first =', () => {
+    expect(parseAssignments(['a=1', 'b = x=y'])).toEqual({ a: '1', b: ' x=y' });
+  });
+
+  test('rejects entries without a key', () => {
+    expect(() => parseAssignments(['=1'])).toThrow('is not key=value');
+  });
+});
@@ -0,0 +1,84 @@
+const { createQueueBackend, MemoryQueueBackend } = require('../services/queueBackend');
+
+const item = (requestId, userTier, timestamp = '2026-01-01T12:00:00Z') =>
+  ({ requestId, userTier, timestamp: new Date(timestamp) });
+
+const ALL_TIERS = ['free', 'standard', 'pro', 'enterprise'];
+
+describe('MemoryQueueBackend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = new MemoryQueueBackend();
+  });
+
+  test('claim takes the highest rank first and removes it', async () => {
+    await backend.push(item('low', 'pro'), 1);
+    await backend.push(item('high', 'pro'), 5);
+
+    expect((await backend.claim(ALL_TIERS)).requestId).toBe('high');
+    expect(await backend.get('high')).toBeNull();
+    expect(await backend.size()).toBe(1);
+    expect((await backend.claim(ALL_TIERS)).requestId).toBe('low');
+    expect(await backend.claim(ALL_TIERS)).toBeNull();
+  });
+
+  test('equal ranks are claimed oldest first', async () => {
+    await backend.push(item('newer', 'pro', '2026-01-01T12:01:00Z'), 3);
+    await backend.push(item('older', 'pro', '2026-01-01T12:00:00Z'), 3);
+
+    expect((await backend.claim(ALL_TIERS)).requestId).toBe('older');
+  });
+
+  test('claim only considers the given tiers', async () => {
+    await backend.push(item('pro', 'pro'), 10);
+    await backend.push(item('free', 'free'), 1);
+
+    expect((await backend.claim(['free'])).requestId).toBe('free');
+    expect(await backend.claim(['free'])).toBeNull();
+    expect((await backend.get('pro')).requestId).toBe('pro');
+  });
+
+  test('requests with an unknown tier are claimed as free', async () => {
+    await backend.push(item('odd', 'platinum'), 1);
+
+    expect(await backend.claim(['pro'])).toBeNull();
+    expect((await backend.claim(['free'])).requestId).toBe('odd');
+  });
+
+  test('pushing an existing request replaces it', async () => {
+    await backend.push(item('a', 'free'), 1);
+    await backend.push({ ...item('a', 'free'), attempts: 2 }, 9);
+
+    expect(await backend.size()).toBe(1);
+    expect((await backend.get('a')).attempts).toBe(2);
+  });
+
+  test('remove reports whether the request was still pending', async () => {
+    await backend.push(item('a', 'free'), 1);
+
+    expect(await backend.remove('a')).toBe(true);
+    expect(await backend.remove('a')).toBe(false);
+    expect(await backend.list()).toEqual([]);
+    expect(await backend.claim(ALL_TIERS)).toBeNull();
+  });
+
+  test('a claimed request can no longer be removed', async () => {
+    await backend.push(item('a', 'free'), 1);
+    await backend.claim(ALL_TIERS);
+
+    expect(await backend.remove('a')).toBe(false);
+  });
+});
+
+describe('createQueueBackend', () => {
+  test('builds the memory backend', () => {
+    const backend = createQueueBackend('memory');
+    expect(backend).toBeInstanceOf(MemoryQueueBackend);
+    expect(backend.shared).toBe(false);
+  });
+
+  test('rejects an unknown backend', () => {
+    expect(() => createQueueBackend('kafka')).toThrow(/Unknown queue backend: kafka/);
+  });
+});
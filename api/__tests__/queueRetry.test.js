@@ -0,0 +1,71 @@
+const QueueManager = require('../services/queueManager');
+const { MemoryQueueBackend } = require('../services/queueBackend');
+const config = require('../config');
+
+const { policies } = config.queue.retry;
+
+// runGeneration wraps every failure like this
+const wrapped = cause => new Error(`Diagram generation failed: ${cause.message}`, { cause });
+
+const processError = (message, fields) => Object.assign(new Error(message), fields);
+
+describe('QueueManager retry classification', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new QueueManager(null, null, new MemoryQueueBackend());
+  });
+
+  test.each([
+    ['a processRunner timeout', wrapped(processError('Process timed out', { code: 'ETIMEDOUT', killed: true })), 'pythonTimeout'],
+    ['unparseable script output', wrapped(new SyntaxError('Unexpected token < in JSON at position 0')), 'malformedOutput'],
+    ['missing draw.io XML', new Error('No valid draw.io XML found in response'), 'malformedOutput'],
+    ['an overloaded Anthropic API', wrapped(processError('exit code 1', { stderr: 'anthropic.InternalServerError: overloaded_error' })), 'anthropicTransient'],
+    ['a 429 from Anthropic', new Error('Anthropic API error: 429 rate_limit_error'), 'anthropicTransient'],
+    ['a 529 from Anthropic', wrapped(processError('exit code 1', { stdout: 'Error code: 529' })), 'anthropicTransient'],
+    ['a dropped connection', wrapped(processError('socket hang up', { code: 'ECONNRESET', stderr: 'ECONNRESET' })), 'anthropicTransient'],
+    ['a Claude request that outlived processingTimeout', Object.assign(new Error('The operation timed out'), { name: 'TimeoutError' }), 'anthropicTransient'],
+    ['output over maxBuffer', wrapped(processError('stdout maxBuffer length exceeded', { killed: true })), null],
+    ['a 400 from Anthropic', new Error('Anthropic API error: 400 invalid_request_error'), null],
+    ['a script bug', wrapped(processError('exit code 1', { stderr: 'NameError: name "x" is not defined' })), null]
+  ])('classifies %s', (name, error, expected) => {
+    expect(queue.classifyError(error, new AbortController().signal)).toBe(expected);
+  });
+
+  test('nothing is retried once the job\'s own signal has fired', () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Cancelled by user'));
+
+    expect(queue.classifyError(new Error('Anthropic API error: 529 overloaded'), controller.signal)).toBeNull();
+  });
+
+  test('retries until the policy\'s maxAttempts, counting the first run', () => {
+    const { maxAttempts } = policies.anthropicTransient;
+
+    expect(queue.shouldRetry({ attempts: 1 }, 'anthropicTransient')).toBe(true);
+    expect(queue.shouldRetry({ attempts: maxAttempts - 1 }, 'anthropicTransient')).toBe(true);
+    expect(queue.shouldRetry({ attempts: maxAttempts }, 'anthropicTransient')).toBe(false);
+  });
+
+  test('unclassified errors and unknown policies are not retried', () => {
+    expect(queue.shouldRetry({ attempts: 1 }, null)).toBe(false);
+    expect(queue.shouldRetry({ attempts: 1 }, 'somethingElse')).toBe(false);
+  });
+
+  test('nothing is retried after the queue has stopped', () => {
+    queue.stopped = true;
+
+    expect(queue.shouldRetry({ attempts: 1 }, 'anthropicTransient')).toBe(false);
+  });
+
+  test('retry delays back off exponentially up to maxDelay, with at most 20% jitter', () => {
+    const { baseDelay, factor, maxDelay } = config.queue.retry;
+
+    for (const attempt of [1, 2, 3, 10]) {
+      const expected = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+      const delay = queue.getRetryDelay(attempt);
+      expect(delay).toBeGreaterThanOrEqual(expected);
+      expect(delay).toBeLessThanOrEqual(Math.round(expected * 1.2));
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const QueueManager = require('../services/queueManager');
+const { MemoryQueueBackend } = require('../services/queueBackend');
+const config = require('../config');
+
+const { tierPriority, agingPerMinute } = config.queue.scheduling;
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW - minutes * 60000);
+
+const request = (requestId, userTier, waitedMinutes, priority = 0) =>
+  ({ requestId, userTier, priority, timestamp: minutesAgo(waitedMinutes) });
+
+describe('QueueManager scheduling', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new QueueManager(null, null, new MemoryQueueBackend());
+  });
+
+  test('effective priority is tier base + admin priority + aging', () => {
+    expect(queue.getEffectivePriority(request('a', 'pro', 0), NOW)).toBe(tierPriority.pro);
+    expect(queue.getEffectivePriority(request('a', 'pro', 0, 7), NOW)).toBe(tierPriority.pro + 7);
+    expect(queue.getEffectivePriority(request('a', 'free', 3), NOW)).toBe(3 * agingPerMinute);
+  });
+
+  test('unknown tiers score as free and future timestamps earn no aging', () => {
+    expect(queue.getEffectivePriority(request('a', 'platinum', 0), NOW)).toBe(tierPriority.free);
+    expect(queue.getEffectivePriority(request('a', 'pro', -5), NOW)).toBe(tierPriority.pro);
+  });
+
+  test('higher tiers are scheduled first, oldest first within a tier', async () => {
+    await queue.backend.push(request('free-1', 'free', 0), 0);
+    await queue.backend.push(request('pro-new', 'pro', 0), 0);
+    await queue.backend.push(request('pro-old', 'pro', 1), 0);
+    await queue.backend.push(request('ent', 'enterprise', 0), 0);
+
+    const order = (await queue.getScheduledQueue(NOW)).map(req => req.requestId);
+    expect(order).toEqual(['ent', 'pro-old', 'pro-new', 'free-1']);
+  });
+
+  test('a waiting free request ages past newer higher-tier ones', async () => {
+    const overtakeMinutes = (tierPriority.enterprise - tierPriority.free) / agingPerMinute + 1;
+    await queue.backend.push(request('ent', 'enterprise', 0), 0);
+    await queue.backend.push(request('free-old', 'free', overtakeMinutes), 0);
+
+    const order = (await queue.getScheduledQueue(NOW)).map(req => req.requestId);
+    expect(order).toEqual(['free-old', 'ent']);
+  });
+
+  test('the backend rank orders requests the same way as the effective priority', async () => {
+    const requests = [
+      request('free-old', 'free', 10),
+      request('standard', 'standard', 2),
+      request('pro-boosted', 'pro', 0, 15),
+      request('enterprise', 'enterprise', 0),
+      request('free-new', 'free', 0)
+    ];
+    for (const req of requests) {
+      await queue.backend.push(req, queue.getSchedulingRank(req));
+    }
+
+    const scheduled = (await queue.getScheduledQueue(NOW)).map(req => req.requestId);
+    const claimed = [];
+    let next;
+    while ((next = await queue.backend.claim(Object.keys(tierPriority)))) {
+      claimed.push(next.requestId);
+    }
+
+    expect(claimed).toEqual(scheduled);
+  });
+
+  test('queue position follows the scheduling order', async () => {
+    await queue.backend.push(request('free-1', 'free', 0), 0);
+    await queue.backend.push(request('pro-1', 'pro', 0), 0);
+
+    expect(await queue.getQueuePosition('pro-1')).toBe(1);
+    expect(await queue.getQueuePosition('free-1')).toBe(2);
+    expect(await queue.getQueuePosition('missing')).toBe(0);
+  });
+});
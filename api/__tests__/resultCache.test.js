@@ -0,0 +1,35 @@
+const ResultCache = require('../services/resultCache');
+
+const fakeDb = () => {
+  const updates = [];
+  return { updates, collection: () => ({ updateOne: async (...args) => updates.push(args) }) };
+};
+
+const request = { requestId: 'req_1', prompt: 'Azure web app', style: 'azure', diagramType: 'drawio', model: 'claude-a' };
+
+describe('ResultCache', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keys differ by model', () => {
+    const cache = new ResultCache(null);
+    expect(cache.keyFor(request)).not.toBe(cache.keyFor({ ...request, model: 'claude-b' }));
+    expect(cache.keyFor(request)).toBe(cache.keyFor({ ...request }));
+  });
+
+  test('stores a result with its preview', async () => {
+    const db = fakeDb();
+    await new ResultCache(db).set('key', request, { imageData: 'png', drawioXml: '<mxGraphModel/>', metadata: {} });
+    expect(db.updates).toHaveLength(1);
+    expect(db.updates[0][1].$set).toMatchObject({ result: 'png', model: 'claude-a' });
+  });
+
+  test.each([
+    ['the preview failed', { imageData: null, drawioXml: '<mxGraphModel/>', metadata: { previewError: 'Graphviz not available' } }],
+    ['there is no image', { imageData: null, drawioXml: '<mxGraphModel/>', metadata: {} }]
+  ])('skips a result when %s', async (name, result) => {
+    const db = fakeDb();
+    await new ResultCache(db).set('key', request, result);
+    expect(db.updates).toHaveLength(0);
+  });
+});
@@ -0,0 +1,80 @@
+const ShareLinks = require('../services/shareLinks');
+const config = require('../config');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+const codeOf = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+describe('ShareLinks', () => {
+  let links;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    links = new ShareLinks('share-secret-for-tests');
+  });
+  afterEach(() => jest.useRealTimers());
+
+  test('a signed link verifies until it expires', () => {
+    const { expires, signature } = links.sign('req_1', 3600);
+
+    expect(expires).toBe(NOW / 1000 + 3600);
+    expect(() => links.verify('req_1', expires, signature)).not.toThrow();
+    // Query strings arrive as strings
+    expect(() => links.verify('req_1', String(expires), signature)).not.toThrow();
+
+    jest.setSystemTime(NOW + 3599 * 1000);
+    expect(() => links.verify('req_1', expires, signature)).not.toThrow();
+
+    jest.setSystemTime(NOW + 3600 * 1000);
+    expect(codeOf(() => links.verify('req_1', expires, signature))).toBe('LINK_EXPIRED');
+  });
+
+  test('uses the default expiry when none is given', () => {
+    expect(links.sign('req_1').expires).toBe(NOW / 1000 + config.sharing.defaultExpirySeconds);
+  });
+
+  test.each([59, config.sharing.maxExpirySeconds + 1, 90.5, '3600'])('rejects expiresIn %p', expiresIn => {
+    expect(codeOf(() => links.sign('req_1', expiresIn))).toBe('VALIDATION_ERROR');
+  });
+
+  test('rejects a link whose request id, expiry or signature was changed', () => {
+    const { expires, signature } = links.sign('req_1', 3600);
+
+    expect(codeOf(() => links.verify('req_2', expires, signature))).toBe('INVALID_SIGNATURE');
+    expect(codeOf(() => links.verify('req_1', expires + 86400, signature))).toBe('INVALID_SIGNATURE');
+    expect(codeOf(() => links.verify('req_1', expires, signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A')))).toBe('INVALID_SIGNATURE');
+  });
+
+  test.each([
+    ['a missing signature', undefined],
+    ['a short signature', 'abc'],
+    ['an array signature', ['x']]
+  ])('rejects %s', (name, signature) => {
+    const { expires } = links.sign('req_1', 3600);
+    expect(codeOf(() => links.verify('req_1', expires, signature))).toBe('INVALID_SIGNATURE');
+  });
+
+  test('rejects a non-integer expiry', () => {
+    const { signature } = links.sign('req_1', 3600);
+    expect(codeOf(() => links.verify('req_1', 'soon', signature))).toBe('INVALID_SIGNATURE');
+  });
+
+  test('a link signed with another secret is rejected', () => {
+    const { expires, signature } = new ShareLinks('another-secret').sign('req_1', 3600);
+    expect(codeOf(() => links.verify('req_1', expires, signature))).toBe('INVALID_SIGNATURE');
+  });
+
+  test('without a configured secret, links are not signed with the JWT secret itself', () => {
+    const derived = new ShareLinks(undefined);
+    const raw = new ShareLinks(config.jwt.secret);
+
+    expect(derived.signature('req_1', 1)).not.toBe(raw.signature('req_1', 1));
+  });
+});
@@ -0,0 +1,64 @@
+const UsageTracker = require('../services/usageTracker');
+
+const fakeDb = () => {
+  const db = { queries: 0 };
+  db.collection = () => ({
+    aggregate: () => ({ toArray: async () => { db.queries++; return []; } })
+  });
+  return db;
+};
+
+describe('UsageTracker cache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('answers from the cache until the entry expires', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const db = fakeDb();
+    const tracker = new UsageTracker(db);
+
+    await tracker.getUserUsage('u1', 'day');
+    await tracker.getUserUsage('u1', 'day');
+    expect(db.queries).toBe(1);
+
+    jest.setSystemTime(1000000 + 60000);
+    await tracker.getUserUsage('u1', 'day');
+    expect(db.queries).toBe(2);
+  });
+
+  test('sweeps expired entries on a later write', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const tracker = new UsageTracker(fakeDb());
+
+    await tracker.getUserUsage('u1', 'day');
+    await tracker.getUserUsage('u2', 'day');
+    expect(tracker.cache.size).toBe(2);
+
+    jest.setSystemTime(1000000 + 120000);
+    await tracker.getGlobalUsage('minute');
+    expect([...tracker.cache.keys()]).toEqual(['global-minute']);
+  });
+
+  test('drops the oldest entries past the size cap', async () => {
+    const tracker = new UsageTracker(fakeDb());
+    tracker.cacheMaxEntries = 3;
+
+    for (const user of ['u1', 'u2', 'u3', 'u4', 'u5']) {
+      await tracker.getUserUsage(user, 'day');
+    }
+
+    expect([...tracker.cache.keys()]).toEqual(['u3-day', 'u4-day', 'u5-day']);
+  });
+
+  test('a rewritten entry moves to the newest end', () => {
+    const tracker = new UsageTracker(fakeDb());
+    tracker.cacheMaxEntries = 2;
+
+    tracker.cacheSet('a', 1, 60000);
+    tracker.cacheSet('b', 2, 60000);
+    tracker.cacheSet('a', 3, 60000);
+    tracker.cacheSet('c', 4, 60000);
+
+    expect([...tracker.cache.keys()]).toEqual(['a', 'c']);
+    expect(tracker.cacheGet('a')).toBe(3);
+  });
+});
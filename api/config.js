@@ -1,5 +1,6 @@
 // config.js - API Server Configuration
 require('dotenv').config();
+const os = require('os');
 
 module.exports = {
   server: {
@@ -10,28 +11,165 @@ module.exports = {
   database: {
     connectionString: process.env.MONGODB_URI || 'mongodb://localhost:27017/diagram-generator',
     usageCollection: 'usage',
-    queueCollection: 'queue'
+    queueCollection: 'queue',
+    apiKeysCollection: 'apiKeys',
+    webhookDeliveriesCollection: 'webhookDeliveries',
+    resultCacheCollection: 'resultCache'
   },
 
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+    signingKeys: process.env.JWT_SIGNING_KEYS,   // "kid1:secret1,kid2:secret2" - first one signs
+    allowLegacyTokens: process.env.JWT_ALLOW_LEGACY_TOKENS === 'true',   // pre-contract { apiKey, tier } tokens, as free tier without admin
     expiresIn: '30d'
   },
 
-  rateLimit: {
-    free: 10,      // requests per day
-    standard: 100,
-    pro: 500,
-    enterprise: 10000
+  apiKeys: {
+    allowedTiers: ['standard', 'pro', 'enterprise'],  // tiers whose users may create keys
+    defaultExpiryDays: 90,
+    maxExpiryDays: 365,
+    maxKeysPerUser: 10
+  },
+
+  sharing: {
+    secret: process.env.SHARE_LINK_SECRET,       // defaults to a key derived from jwt.secret
+    publicUrl: process.env.PUBLIC_API_URL,       // base of share URLs; defaults to the request's host
+    defaultExpirySeconds: 24 * 60 * 60,
+    maxExpirySeconds: 7 * 24 * 60 * 60
+  },
+
+  websocket: {
+    heartbeatIntervalMs: 30000,                  // ping every client; drop those that missed the last pong
+    replayRetentionMs: 10 * 60 * 1000,           // how long a finished request's last message is kept for late subscribers
+    maxSubscriptionsPerSocket: 100
+  },
+
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET,          // per-user signing secrets are derived from it (default: from jwt.secret)
+    maxAttempts: 6,
+    initialDelayMs: 10000,                       // doubles after each failed attempt
+    timeoutMs: 10000,
+    leaseMs: 60000,                              // a pending delivery stays with its node until nextAttemptAt + this
+    sweepIntervalMs: 60000,                      // how often each node looks for deliveries whose owner went away
+    // Allows plain http:// callbacks (local development); private/loopback targets stay blocked
+    allowInsecure: process.env.WEBHOOK_ALLOW_INSECURE === 'true'
+  },
+
+  catalogue: {
+    paths: process.env.CATALOGUE_PATHS           // comma-separated JSON/YAML files or directories of custom styles/templates
+  },
+
+  resultCache: {
+    enabled: process.env.RESULT_CACHE_ENABLED !== 'false',
+    ttlSeconds: parseInt(process.env.RESULT_CACHE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60
+  },
+
+  rateLimits: {
+    // Global limits shared by every caller (Anthropic account limits)
+    requestsPerMinute: parseInt(process.env.GLOBAL_REQUESTS_PER_MINUTE, 10) || 100,
+    tokensPerMinute: parseInt(process.env.GLOBAL_TOKENS_PER_MINUTE, 10) || 800000,
+    tiers: {
+      free: {
+        requestsPerDay: parseInt(process.env.RATE_LIMIT_FREE, 10) || 10,
+        requestsPerHour: 5,
+        tokensPerDay: 100000
+      },
+      standard: {
+        requestsPerDay: parseInt(process.env.RATE_LIMIT_BASIC, 10) || 100,
+        requestsPerHour: 30,
+        tokensPerDay: 1000000
+      },
+      pro: {
+        requestsPerDay: parseInt(process.env.RATE_LIMIT_PRO, 10) || 500,
+        requestsPerHour: 100,
+        tokensPerDay: 5000000
+      },
+      enterprise: {
+        requestsPerDay: parseInt(process.env.RATE_LIMIT_ENTERPRISE, 10) || 10000,
+        requestsPerHour: 1000,
+        tokensPerDay: 50000000
+      }
+    }
+  },
+
+  redis: {
+    url: process.env.REDIS_URL,                  // takes precedence over host/port
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+    password: process.env.REDIS_PASSWORD,
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'diagram-api:'
   },
 
   queue: {
+    backend: process.env.QUEUE_BACKEND || 'memory',  // 'memory' (one process) or 'redis' (shared by every API node)
+    nodeId: process.env.NODE_ID || os.hostname(),    // must be unique per API process and stable across its restarts
+    pollIntervalMs: 2000,       // redis backend: how often idle workers look for jobs pushed while they were busy
     maxSize: 1000,
-    processingTimeout: 300000  // 5 minutes
+    processingTimeout: 300000,  // 5 minutes
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4,
+    interruptedPolicy: process.env.QUEUE_INTERRUPTED_POLICY || 'requeue',  // 'requeue' or 'fail'
+    maxInterruptions: 2,        // restarts a single job may survive before it is failed
+    retry: {
+      baseDelay: 2000,          // first retry after ~2s, doubling each attempt
+      factor: 2,
+      maxDelay: 60000,
+      policies: {               // maxAttempts includes the first run
+        anthropicTransient: { maxAttempts: 4 },  // overloaded, 429/5xx, network errors
+        pythonTimeout: { maxAttempts: 2 },       // generate_diagram.py killed by timeout
+        malformedOutput: { maxAttempts: 3 }      // unparseable JSON or draw.io XML
+      }
+    },
+    tierConcurrency: {          // max jobs running at once per tier, on each node
+      free: 1,
+      standard: 2,
+      pro: 3,
+      enterprise: 4
+    },
+    scheduling: {
+      tierPriority: {           // base score; higher tiers are dispatched first
+        free: 0,
+        standard: 10,
+        pro: 20,
+        enterprise: 30
+      },
+      agingPerMinute: 5,        // score gained per minute waiting, so free jobs cannot starve
+      maxRequestPriority: 100,  // bound for the admin-only `priority` field
+      defaultJobSeconds: 30     // wait estimate until real durations have been observed
+    }
+  },
+
+  python: {
+    bin: process.env.PYTHON_BIN || 'python3.11',
+    // Scripts without --prompt-file: pass the prompt as a single --prompt=<value> argument (visible in ps)
+    legacyPromptArg: process.env.PYTHON_LEGACY_PROMPT_ARG === 'true'
   },
 
   anthropic: {
     apiKey: process.env.ANTHROPIC_API_KEY,
-    model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514'
+    // The one model setting: draw.io calls, generate_diagram.py (as CLAUDE_MODEL), cache keys and pricing.
+    // Azure App Service exposes app settings with an APPSETTING_ prefix.
+    model: process.env.APPSETTING_CLAUDE_MODEL || process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1/messages',
+    apiVersion: '2023-06-01',
+    usageEstimate: {            // used when generate_diagram.py does not report token usage
+      charsPerToken: 4,
+      promptOverheadTokens: 2000,   // the script's system prompt and instructions around the user prompt
+      outputTokens: {               // typical response size when the generated code is not returned
+        simple: 1500,
+        standard: 3000,
+        enterprise: 5000
+      }
+    },
+    pricing: {                  // USD per million tokens; longest matching model prefix wins
+      'claude-opus-4-5': { input: 5.00, output: 25.00 },
+      'claude-opus-4': { input: 15.00, output: 75.00 },
+      'claude-sonnet-4': { input: 3.00, output: 15.00 },
+      'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+      'claude-3-7-sonnet': { input: 3.00, output: 15.00 },
+      'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+      'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+      'claude-3-haiku': { input: 0.25, output: 1.25 },
+      default: { input: 3.00, output: 15.00 }
+    }
   }
 };
\ No newline at end of file
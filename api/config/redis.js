@@ -0,0 +1,27 @@
+// config/redis.js - Redis connections for the shared queue backend
+const Redis = require('ioredis');
+const config = require('../config');
+
+/**
+ * Open a connection to the configured Redis. A subscribed connection cannot
+ * run other commands, so callers open one per role ('commands', 'subscriber').
+ */
+function createRedisClient(role) {
+  const options = {
+    keyPrefix: config.redis.keyPrefix,
+    password: config.redis.password || undefined,
+    connectionName: `diagram-api:${config.queue.nodeId}:${role}`,
+    maxRetriesPerRequest: 3
+  };
+
+  const client = config.redis.url
+    ? new Redis(config.redis.url, options)
+    : new Redis({ host: config.redis.host, port: config.redis.port, ...options });
+
+  client.on('ready', () => console.log(`✓ Redis ${role} connection ready`));
+  client.on('error', (error) => console.error(`❌ Redis ${role} connection error: ${error.message}`));
+
+  return client;
+}
+
+module.exports = { createRedisClient };
@@ -5,6 +5,7 @@ az acr login --name cloudstruccacr
 docker buildx build \
   --platform linux/amd64 \
   --no-cache \
+  --build-context shared=../shared \
   -t cloudstruccacr.azurecr.io/api:latest \
   --push .
 
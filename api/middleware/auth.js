@@ -1,8 +1,43 @@
 // api/middleware/auth.js - Authentication Middleware with Service Account Support
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { KEY_PREFIX } = require('../services/apiKeyManager');
+const identity = require('../../shared/identity');
+const config = require('../config');
+
+const SERVICE_ACCOUNT_ID = 'webapp-service';
+
+let keyRing = null;
+const getKeyRing = () => {
+  if (!keyRing) {
+    keyRing = identity.parseKeyRing(config.jwt.signingKeys, config.jwt.secret);
+  }
+  return keyRing;
+};
 
 /**
- * Standard JWT authentication for external clients
+ * Constant-time string comparison (hashing first equalises the lengths)
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * The webapp owns user tiers. Whenever it vouches for one, pass it on to that
+ * user's API keys. Fire and forget - a failed update must not block the request.
+ */
+const refreshKeyTier = (req, userId, tier) => {
+  const apiKeyManager = req.app?.locals?.apiKeyManager;
+  if (!apiKeyManager) return;
+
+  apiKeyManager.refreshOwnerTier(userId, tier)
+    .catch(error => console.error('API key tier refresh error:', error.message));
+};
+
+/**
+ * Standard JWT authentication for external clients (see shared/identity.js)
  */
 const authenticate = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
@@ -15,9 +50,24 @@ const authenticate = (req, res, next) => {
   }
   
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.apiKey = decoded.userId;
-    req.tier = decoded.tier || 'free';
+    const principal = identity.verifyIdentityToken({
+      jwt,
+      keyRing: getKeyRing(),
+      token,
+      allowLegacy: config.jwt.allowLegacyTokens
+    });
+
+    if (principal.legacy) {
+      console.warn(`⚠️ Legacy JWT accepted for ${principal.userId} - reissue it with scripts/generate-jwt.js`);
+    } else if (principal.issuer === identity.ISSUERS.webapp) {
+      refreshKeyTier(req, principal.userId, principal.tier);
+    }
+
+    req.apiKey = principal.userId;
+    req.tier = principal.tier;
+    req.scopes = principal.scopes;
+    req.isAdmin = principal.isAdmin;
+    req.authMethod = 'jwt';
     next();
   } catch (error) {
     console.error('JWT authentication failed:', error.message);
@@ -28,9 +78,71 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * API key authentication (X-API-Key header or `Authorization: Bearer dgk_...`)
+ * Requests run as the key's owner, at the tier on the key, limited to its scopes
+ */
+const authenticateApiKey = async (req, res, next, presentedKey) => {
+  try {
+    const key = await req.app.locals.apiKeyManager.verifyKey(presentedKey);
+
+    if (!key) {
+      return res.status(401).json({
+        error: 'UNAUTHORIZED',
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    if (!config.apiKeys.allowedTiers.includes(key.tier)) {
+      return res.status(403).json({
+        error: 'TIER_NOT_ALLOWED',
+        message: `API keys are not available on the ${key.tier} tier`
+      });
+    }
+
+    req.apiKey = key.ownerId;
+    req.tier = key.tier;
+    req.scopes = key.scopes;
+    req.apiKeyId = key.keyId;
+    req.isAdmin = false;
+    req.authMethod = 'apiKey';
+    next();
+  } catch (error) {
+    console.error('API key authentication failed:', error.message);
+    res.status(500).json({
+      error: 'AUTH_ERROR',
+      message: 'Could not verify API key'
+    });
+  }
+};
+
+/**
+ * Service account acting for a user (signed delegation header).
+ * The request is attributed to that user: their tier quotas, usage
+ * records and ownership checks apply.
+ */
+const authenticateDelegation = (req, res, next, token, serviceKey) => {
+  try {
+    const delegated = identity.verifyDelegationToken({ jwt, secret: serviceKey, token });
+
+    console.log(`🪪 Service account acting for ${delegated.userId} (${delegated.tier})`);
+    refreshKeyTier(req, delegated.userId, delegated.tier);
+    req.apiKey = delegated.userId;
+    req.tier = delegated.tier;
+    req.delegatedBy = SERVICE_ACCOUNT_ID;
+    next();
+  } catch (error) {
+    console.warn('⚠️ Invalid delegation token:', error.message);
+    res.status(401).json({
+      error: 'INVALID_DELEGATION',
+      message: 'Invalid or expired delegation token'
+    });
+  }
+};
+
 /**
  * Service account authentication for internal services (webapp)
- * Falls back to JWT if service key not present
+ * Falls back to API key, then JWT, if service key not present
  */
 const authenticateServiceAccount = (req, res, next) => {
   const serviceKey = req.headers['x-service-key'];
@@ -39,17 +151,23 @@ const authenticateServiceAccount = (req, res, next) => {
   console.log('🔐 Authentication attempt:', {
     hasServiceKey: !!serviceKey,
     hasExpectedKey: !!expectedKey,
-    keysMatch: serviceKey === expectedKey,
     timestamp: new Date().toISOString()
   });
   
   // Try service account authentication first
   if (serviceKey && expectedKey) {
-    if (serviceKey === expectedKey) {
+    if (safeEqual(serviceKey, expectedKey)) {
       console.log('✅ Service account authenticated successfully');
-      req.apiKey = 'webapp-service';
-      req.tier = 'pro';  // Service account gets pro tier access
       req.isServiceAccount = true;
+      req.authMethod = 'service';
+
+      const delegationToken = req.headers[identity.DELEGATION_HEADER];
+      if (delegationToken) {
+        return authenticateDelegation(req, res, next, delegationToken, expectedKey);
+      }
+
+      req.apiKey = SERVICE_ACCOUNT_ID;
+      req.tier = 'pro';  // Service account gets pro tier access
       return next();
     } else {
       console.warn('⚠️ Invalid service key provided');
@@ -60,30 +178,135 @@ const authenticateServiceAccount = (req, res, next) => {
     }
   }
   
+  const bearer = req.headers.authorization?.split(' ')[1];
+  const presentedKey = req.headers['x-api-key'] || (bearer?.startsWith(KEY_PREFIX) ? bearer : null);
+  if (presentedKey) {
+    return authenticateApiKey(req, res, next, presentedKey);
+  }
+
   // Fall back to JWT authentication for external clients
   console.log('🔄 Falling back to JWT authentication');
   return authenticate(req, res, next);
 };
 
 /**
- * Rate limiting middleware (placeholder - implement with express-rate-limit)
+ * Authenticate a WebSocket upgrade request with the same rules as REST.
+ * Browsers cannot set headers on a WebSocket, so `?token=` (a JWT or dgk_ key)
+ * is accepted in place of the Authorization header.
+ * Resolves with the authenticated request; rejects with { status, body }.
+ */
+const authenticateUpgrade = (req, app) => {
+  return new Promise((resolve, reject) => {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token && !req.headers.authorization) {
+      req.headers.authorization = `Bearer ${token}`;
+    }
+    req.app = app;
+
+    const res = {
+      statusCode: 401,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        reject({ status: this.statusCode, body });
+      }
+    };
+
+    authenticateServiceAccount(req, res, () => resolve(req));
+  });
+};
+
+/**
+ * Restrict JWT and API-key callers to tokens granted `scope`.
+ * The service account is not scoped.
  */
-const rateLimit = (tier) => {
+const requireScope = (scope) => {
   return (req, res, next) => {
-    // Skip rate limiting for service accounts
-    if (req.isServiceAccount) {
-      console.log('⏭️ Skipping rate limit for service account');
-      return next();
+    if (req.scopes && !req.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'INSUFFICIENT_SCOPE',
+        message: `This ${req.authMethod === 'apiKey' ? 'API key' : 'token'} is missing the ${scope} scope`
+      });
     }
-    
-    // Implement rate limiting logic here
-    // For now, just pass through
     next();
   };
 };
 
+/**
+ * Admin-only routes. Requires a JWT with `role: 'admin'`; run after authenticate
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.isAdmin) {
+    return res.status(403).json({
+      error: 'FORBIDDEN',
+      message: 'Admin role required'
+    });
+  }
+  next();
+};
+
+/**
+ * Quota middleware for generation endpoints.
+ * Checks the caller's hourly/daily tier limits (including jobs still in the queue)
+ * and the global per-minute request/token limits; responds 429 with Retry-After.
+ */
+const rateLimit = () => {
+  return async (req, res, next) => {
+    const { usageTracker, queueManager } = req.app.locals;
+
+    try {
+      // The bare service account acts for many webapp users, so only global limits apply to it.
+      // Delegated requests are checked against the delegated user's tier.
+      if (!req.isServiceAccount || req.delegatedBy) {
+        const pending = queueManager ? await queueManager.getPendingCount(req.apiKey) : 0;
+        const userLimit = await usageTracker.checkUserLimit(req.apiKey, req.tier, pending);
+        if (!userLimit.allowed) {
+          return sendLimitExceeded(res, userLimit);
+        }
+      }
+
+      const globalLimit = await usageTracker.checkGlobalLimit();
+      if (!globalLimit.allowed) {
+        return sendLimitExceeded(res, {
+          ...globalLimit,
+          resetTime: new Date(Date.now() + globalLimit.retryAfter * 1000)
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Rate limit check failed:', error);
+      res.status(500).json({
+        error: 'RATE_LIMIT_ERROR',
+        message: 'Could not verify usage limits'
+      });
+    }
+  };
+};
+
+function sendLimitExceeded(res, limit) {
+  const retryAfter = Math.max(1, Math.ceil((limit.resetTime.getTime() - Date.now()) / 1000));
+
+  console.warn(`⛔ Rate limit exceeded: ${limit.reason}`);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: `Rate limit exceeded (${limit.reason.replace(/_/g, ' ')})`,
+    reason: limit.reason,
+    limit: limit.limit,
+    current: limit.current,
+    resetTime: limit.resetTime.toISOString(),
+    retryAfter
+  });
+}
+
 module.exports = {
   authenticate,
   authenticateServiceAccount,
+  authenticateUpgrade,
+  requireAdmin,
+  requireScope,
   rateLimit
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+// middleware/validate.js - Check requests against the schemas published in the OpenAPI document
+//
+// Supports the JSON Schema subset the document uses: type (with `nullable`),
+// enum, minLength/maxLength, pattern, format (uri, date, date-time),
+// minimum/maximum, properties/required/additionalProperties, items,
+// minItems/maxItems and uniqueItems.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validate req.params, req.query and req.body against `schemas` (object schemas
+ * keyed by location). Path and query values are strings, so they are converted
+ * to the schema's integer, number or boolean type first.
+ * `refine(req)` may return extra field errors for rules a schema cannot express.
+ * Responds 400 VALIDATION_ERROR with one entry per failing field.
+ */
+const validate = (schemas, refine = null) => {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      let value = req[location] ?? {};
+      if (location !== 'body') {
+        value = coerceStrings(schema, value);
+        req[location] = value;
+      }
+
+      checkSchema(schema, value, '', errors, location);
+    }
+
+    if (errors.length === 0 && refine) {
+      errors.push(...refine(req));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: errors.map(error => `${error.field || error.in} ${error.message}`).join('; '),
+        fields: errors
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check `value` against `schema`, appending { in, field, message, allowed? } to `errors`
+ */
+function checkSchema(schema, value, field, errors, location) {
+  const fail = (message, extra = {}) => errors.push({ in: location, field, message, ...extra });
+
+  if (value === null) {
+    if (!schema.nullable) fail('must not be null');
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${article(schema.type)} ${schema.type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`, { allowed: schema.enum });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format && !matchesFormat(schema.format, value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value).size !== value.length) {
+      fail('must not contain duplicates');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(schema.items, item, `${field}[${index}]`, errors, location));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const join = key => (field ? `${field}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ in: location, field: join(key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[key]) {
+        checkSchema(properties[key], propertyValue, join(key), errors, location);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ in: location, field: join(key), message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function matchesFormat(format, value) {
+  switch (format) {
+    case 'uri':
+      try {
+        new URL(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    case 'date':
+    case 'date-time':
+      return !isNaN(new Date(value).getTime());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Convert string path/query values to the declared scalar type. Values that
+ * do not convert are left alone so the type check reports them.
+ */
+function coerceStrings(schema, values = {}) {
+  const result = { ...values };
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    const raw = result[key];
+    if (typeof raw !== 'string') continue;
+
+    if ((property.type === 'integer' || property.type === 'number') && raw.trim() !== '' && !isNaN(Number(raw))) {
+      result[key] = Number(raw);
+    } else if (property.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+      result[key] = raw === 'true';
+    }
+  }
+
+  return result;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+module.exports = { validate };
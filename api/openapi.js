@@ -0,0 +1,614 @@
+// openapi.js - OpenAPI 3 description of the API, served at /api/docs
+//
+// `requests` holds the schemas the routes validate against (see
+// middleware/validate.js), so the document and the checks cannot drift apart.
+// Enums come from shared/diagramOptions.js, the draw.io template list and the
+// identity scopes.
+const config = require('./config');
+const { version } = require('./package.json');
+const { SCOPES } = require('../shared/identity');
+const {
+  DIAGRAM_TYPES,
+  PYTHON_FORMATS,
+  PYTHON_STYLES,
+  QUALITIES,
+  OUTPUT_FORMATS
+} = require('../shared/diagramOptions');
+const { TEMPLATES: DRAWIO_TEMPLATES, TEMPLATE_ALIASES } = require('./services/drawioTemplates');
+const { TIME_WINDOWS } = require('./services/usageTracker');
+const { PARAMETER_TYPES } = require('../shared/promptTemplates');
+
+const drawioTemplateTypes = [...Object.keys(DRAWIO_TEMPLATES), ...Object.keys(TEMPLATE_ALIASES)];
+
+const requestIdParams = {
+  type: 'object',
+  required: ['requestId'],
+  properties: {
+    requestId: { type: 'string', pattern: '^req_[A-Za-z0-9_]+$', maxLength: 100, example: 'req_1760000000000_k3j5h7g9d' }
+  }
+};
+
+// Route schemas, keyed by where the value is read from
+const requests = {
+  generate: {
+    body: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', minLength: 1, maxLength: 20000, description: 'What to draw. Required unless `template` names a catalogue template.' },
+        diagramType: { type: 'string', enum: Object.keys(DIAGRAM_TYPES), default: 'python' },
+        templateType: { type: 'string', enum: drawioTemplateTypes, default: 'aws', description: 'draw.io template (diagramType drawio)' },
+        template: {
+          type: 'string',
+          maxLength: 100,
+          nullable: true,
+          description: 'Catalogue template id (see /python/templates). Without a prompt, its prompt is rendered with `parameters` and its style and quality are the defaults.'
+        },
+        parameters: {
+          type: 'object',
+          description: 'Values for the template\'s parameters; strings are converted to the declared type',
+          example: { region: 'ca-central-1', nodeGroups: 3 }
+        },
+        style: {
+          type: 'string',
+          enum: [...new Set([...Object.keys(PYTHON_STYLES), ...drawioTemplateTypes])],
+          default: 'azure',
+          description: 'Python style; must belong to `format`. draw.io requests fall back to it when templateType is missing.'
+        },
+        quality: { type: 'string', enum: Object.keys(QUALITIES), default: 'standard' },
+        format: { type: 'string', enum: Object.keys(PYTHON_FORMATS), default: 'graphviz' },
+        outputFormat: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), default: 'png' },
+        drawioNative: { type: 'boolean', default: false, description: 'Also export editable draw.io XML (python)' },
+        priority: {
+          type: 'integer',
+          minimum: -config.queue.scheduling.maxRequestPriority,
+          maximum: config.queue.scheduling.maxRequestPriority,
+          description: 'Admins only'
+        },
+        callbackUrl: { type: 'string', format: 'uri', maxLength: 2048, description: 'https URL for completion webhooks' },
+        noCache: { type: 'boolean', default: false, description: 'Skip the result cache' }
+      }
+    }
+  },
+
+  requestId: { params: requestIdParams },
+
+  share: {
+    params: requestIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        expiresIn: {
+          type: 'integer',
+          minimum: 60,
+          maximum: config.sharing.maxExpirySeconds,
+          default: config.sharing.defaultExpirySeconds,
+          description: 'Seconds until the link expires'
+        }
+      }
+    }
+  },
+
+  shared: {
+    params: requestIdParams,
+    query: {
+      type: 'object',
+      required: ['expires', 'signature'],
+      properties: {
+        expires: { type: 'integer', description: 'Unix time (seconds) the link expires' },
+        signature: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', maxLength: 128 }
+      }
+    }
+  },
+
+  usage: {
+    query: {
+      type: 'object',
+      properties: {
+        timeWindow: { type: 'string', enum: Object.keys(TIME_WINDOWS), default: 'day' }
+      }
+    }
+  },
+
+  stats: {
+    query: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', format: 'date-time', description: 'Default: 7 days before `to`' },
+        to: { type: 'string', format: 'date-time', description: 'Default: now' }
+      }
+    }
+  },
+
+  createApiKey: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(SCOPES) } },
+        expiresInDays: { type: 'integer', minimum: 1, maximum: config.apiKeys.maxExpiryDays, nullable: true, description: 'null for no expiry' }
+      }
+    }
+  },
+
+  revokeApiKey: {
+    params: {
+      type: 'object',
+      required: ['keyId'],
+      properties: {
+        keyId: { type: 'string', pattern: '^key_[a-f0-9]{16}$' }
+      }
+    }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string', example: 'NOT_FOUND' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'message', 'fields'],
+    properties: {
+      error: { type: 'string', enum: ['VALIDATION_ERROR'] },
+      message: { type: 'string', example: 'style must be one of: azure, aws, gcp' },
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string', example: 'style' },
+            message: { type: 'string', example: 'must be one of: azure, aws, gcp' },
+            allowed: { type: 'array', items: {}, description: 'Present for enum fields' }
+          }
+        }
+      }
+    }
+  },
+  GenerateRequest: requests.generate.body,
+  GenerateResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      requestId: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'processing', 'completed'] },
+      position: { type: 'integer' },
+      estimatedWaitTime: { type: 'integer', description: 'Seconds' },
+      cached: { type: 'boolean', description: 'Answered from the result cache' }
+    }
+  },
+  Usage: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      inputTokens: { type: 'integer' },
+      outputTokens: { type: 'integer' },
+      tokensUsed: { type: 'integer' },
+      estimatedCost: { type: 'number' }
+    }
+  },
+  Progress: {
+    type: 'object',
+    properties: {
+      stage: { type: 'string', example: 'claude_streaming' },
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      message: { type: 'string' },
+      tokens: { type: 'integer' },
+      formats: { type: 'array', items: { type: 'string' } },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  RequestStatus: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'processing', 'retrying', 'completed', 'failed', 'cancelled'] },
+      result: { type: 'string', nullable: true, description: 'Base64 image' },
+      drawioXml: { type: 'string', nullable: true },
+      svgData: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true },
+      completedAt: { type: 'string', format: 'date-time', nullable: true },
+      attempts: { type: 'integer' },
+      usage: { $ref: '#/components/schemas/Usage' },
+      progress: { $ref: '#/components/schemas/Progress' },
+      position: { type: 'integer' },
+      estimatedWaitTime: { type: 'integer' }
+    }
+  },
+  CatalogueSummary: {
+    type: 'object',
+    properties: {
+      version: { type: 'string', example: '1.1.0+custom', description: '"+custom" when CATALOGUE_PATHS files are loaded' },
+      checksum: { type: 'string', example: '3f9a0c1e5b7d2a64', description: 'Changes with any style, template or preset' },
+      sources: { type: 'integer', description: 'Custom files loaded' },
+      styles: { type: 'integer' },
+      templates: { type: 'integer' }
+    }
+  },
+  DrawioTemplate: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'aws' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      category: { type: 'string' },
+      defaultStyle: { type: 'string' }
+    }
+  },
+  PythonStyle: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'azure' },
+      name: { type: 'string' },
+      format: { type: 'string', enum: Object.keys(PYTHON_FORMATS) },
+      group: { type: 'string', nullable: true, description: 'Picker group (graphviz styles)' },
+      category: { type: 'string', nullable: true },
+      description: { type: 'string', nullable: true }
+    }
+  },
+  PythonTemplate: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'm365-cmk' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      style: { type: 'string', enum: Object.keys(PYTHON_STYLES) },
+      format: { type: 'string', enum: Object.keys(PYTHON_FORMATS) },
+      quality: { type: 'string', enum: Object.keys(QUALITIES) },
+      parameters: {
+        type: 'object',
+        description: 'Parameter definitions keyed by name',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: PARAMETER_TYPES },
+            default: {},
+            description: { type: 'string' },
+            enum: { type: 'array', items: {} },
+            minimum: { type: 'number' },
+            maximum: { type: 'number' }
+          }
+        }
+      },
+      prompt: { type: 'string', description: 'May contain {{name}} and {{#if name}}...{{/if}} placeholders' }
+    }
+  },
+  ShareRequest: requests.share.body,
+  ShareLink: {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  CreateApiKeyRequest: requests.createApiKey.body,
+  ApiKey: {
+    type: 'object',
+    properties: {
+      keyId: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string' },
+      tier: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: Object.keys(SCOPES) } },
+      status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+      useCount: { type: 'integer' },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      key: { type: 'string', description: 'Only in the create response' }
+    }
+  }
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errors = {
+  400: json('Invalid request', ref('ValidationError')),
+  401: json('Missing or invalid credentials', ref('Error')),
+  403: json('Not allowed (scope, role or tier)', ref('Error')),
+  404: json('Not found, or not yours', ref('Error')),
+  409: json('Conflict with the current state', ref('Error')),
+  429: json('Rate limit or queue full (see Retry-After)', ref('Error')),
+  503: json('Queue backend unavailable', ref('Error'))
+};
+
+const pick = (...codes) => Object.fromEntries(codes.map(code => [code, errors[code]]));
+
+/**
+ * OpenAPI parameters for a route's params/query schemas
+ */
+function parameters({ params, query }) {
+  const list = [];
+  for (const [location, schema] of [['path', params], ['query', query]]) {
+    if (!schema) continue;
+    for (const [name, property] of Object.entries(schema.properties)) {
+      list.push({
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        ...(property.description && { description: property.description }),
+        schema: property
+      });
+    }
+  }
+  return list;
+}
+
+const body = (name, required = true) => ({
+  required,
+  content: { 'application/json': { schema: ref(name) } }
+});
+
+const authenticated = [{ bearerAuth: [] }, { apiKey: [] }, { serviceKey: [] }];
+const admin = [{ bearerAuth: [] }];
+
+function buildOpenApiDocument({ serverUrl } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Cloudstrucc Diagram API',
+      version,
+      description: 'Queue AI-generated architecture diagrams (Python `diagrams` or draw.io) and fetch the results.'
+    },
+    servers: [{ url: serverUrl || config.sharing.publicUrl || '/' }],
+    security: authenticated,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Identity token (or a dgk_ API key)' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        serviceKey: { type: 'apiKey', in: 'header', name: 'X-Service-Key', description: 'Trusted services; add X-Delegated-User to act for a user' }
+      },
+      schemas
+    },
+    paths: {
+      '/api/diagram/generate': {
+        post: {
+          summary: 'Queue a diagram (scope diagrams:generate)',
+          requestBody: body('GenerateRequest'),
+          responses: {
+            200: json('Queued, or answered from the cache', ref('GenerateResponse')),
+            ...pick(400, 401, 403, 429, 503)
+          }
+        }
+      },
+      '/api/diagram/status/{requestId}': {
+        get: {
+          summary: 'Status and result of a request (scope diagrams:read)',
+          parameters: parameters(requests.requestId),
+          responses: { 200: json('Request status', ref('RequestStatus')), ...pick(400, 401, 403, 404) }
+        }
+      },
+      '/api/diagram/cancel/{requestId}': {
+        delete: {
+          summary: 'Cancel a queued, retrying or running request (scope diagrams:generate)',
+          parameters: parameters(requests.requestId),
+          responses: {
+            200: json('Cancelled', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                requestId: { type: 'string' },
+                status: { type: 'string', enum: ['cancelled'] },
+                previousStatus: { type: 'string' },
+                cancelledAt: { type: 'string', format: 'date-time' }
+              }
+            }),
+            ...pick(400, 401, 403, 404, 409)
+          }
+        }
+      },
+      '/api/diagram/share/{requestId}': {
+        post: {
+          summary: 'Create a signed, expiring link to a completed result (scope diagrams:read)',
+          parameters: parameters(requests.share),
+          requestBody: body('ShareRequest', false),
+          responses: { 201: json('Share link', ref('ShareLink')), ...pick(400, 401, 403, 404, 409) }
+        }
+      },
+      '/api/diagram/shared/{requestId}': {
+        get: {
+          summary: 'Read a shared result through its signed link',
+          security: [],
+          parameters: parameters(requests.shared),
+          responses: {
+            200: json('Shared result', ref('RequestStatus')),
+            ...pick(400, 404),
+            403: json('Invalid signature', ref('Error')),
+            410: json('Link expired', ref('Error'))
+          }
+        }
+      },
+      '/api/diagram/webhooks/secret': {
+        get: {
+          summary: "The caller's webhook signing secret (scope diagrams:generate)",
+          responses: {
+            200: json('Signing secret', { type: 'object', properties: { secret: { type: 'string' } } }),
+            ...pick(401, 403)
+          }
+        }
+      },
+      '/api/diagram/webhooks/{requestId}': {
+        get: {
+          summary: 'Webhook deliveries for a request (scope diagrams:read)',
+          parameters: parameters(requests.requestId),
+          responses: {
+            200: json('Delivery log', {
+              type: 'object',
+              properties: { requestId: { type: 'string' }, deliveries: { type: 'array', items: { type: 'object' } } }
+            }),
+            ...pick(400, 401, 403, 404)
+          }
+        }
+      },
+      '/api/diagram/catalogue': {
+        get: {
+          summary: 'Version and checksum of the style/template catalogue',
+          responses: { 200: json('Catalogue summary', ref('CatalogueSummary')), ...pick(401) }
+        }
+      },
+      '/api/diagram/templates': {
+        get: {
+          summary: 'draw.io templates for `templateType`',
+          responses: {
+            200: json('Templates', {
+              type: 'object',
+              properties: {
+                templates: { type: 'array', items: ref('DrawioTemplate') },
+                aliases: { type: 'object', additionalProperties: { type: 'string' }, example: TEMPLATE_ALIASES }
+              }
+            }),
+            ...pick(401)
+          }
+        }
+      },
+      '/api/diagram/python/styles': {
+        get: {
+          summary: 'Python formats, their styles and quality levels',
+          responses: {
+            200: json('Style catalogue', {
+              type: 'object',
+              properties: {
+                version: { type: 'string' },
+                checksum: { type: 'string' },
+                formats: {
+                  type: 'array',
+                  items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, description: { type: 'string' } } }
+                },
+                styles: { type: 'array', items: ref('PythonStyle') },
+                qualities: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, name: { type: 'string' }, nodes: { type: 'string' }, description: { type: 'string' } }
+                  }
+                }
+              }
+            }),
+            ...pick(401)
+          }
+        }
+      },
+      '/api/diagram/python/templates': {
+        get: {
+          summary: 'Ready-made Python prompts with their suggested style and quality',
+          responses: {
+            200: json('Templates', {
+              type: 'object',
+              properties: {
+                version: { type: 'string' },
+                checksum: { type: 'string' },
+                templates: { type: 'array', items: ref('PythonTemplate') }
+              }
+            }),
+            ...pick(401)
+          }
+        }
+      },
+      '/api/diagram/usage': {
+        get: {
+          summary: "The caller's usage over a rolling window (scope usage:read)",
+          parameters: parameters(requests.usage),
+          responses: { 200: json('Usage', { type: 'object' }), ...pick(400, 401, 403) }
+        }
+      },
+      '/api/diagram/queue/status': {
+        get: {
+          summary: 'Workers, per-tier load and upcoming requests (admin)',
+          security: admin,
+          responses: { 200: json('Queue status', { type: 'object' }), ...pick(401, 403, 503) }
+        }
+      },
+      '/api/diagram/stats': {
+        get: {
+          summary: 'Daily usage, cache hit rate and queue counters (admin)',
+          security: admin,
+          parameters: parameters(requests.stats),
+          responses: { 200: json('Stats', { type: 'object' }), ...pick(400, 401, 403) }
+        }
+      },
+      '/api/keys/scopes': {
+        get: {
+          summary: 'Scopes an API key can hold',
+          security: [],
+          responses: {
+            200: json('Scopes', {
+              type: 'object',
+              properties: {
+                scopes: {
+                  type: 'array',
+                  items: { type: 'object', properties: { id: { type: 'string' }, description: { type: 'string' } } }
+                }
+              }
+            })
+          }
+        }
+      },
+      '/api/keys': {
+        get: {
+          summary: "The caller's API keys (user token only)",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: json('Keys', { type: 'object', properties: { keys: { type: 'array', items: ref('ApiKey') } } }),
+            ...pick(401, 403)
+          }
+        },
+        post: {
+          summary: 'Create an API key; the plaintext key is only returned here (user token only)',
+          security: [{ bearerAuth: [] }],
+          requestBody: body('CreateApiKeyRequest'),
+          responses: { 201: json('Created key', ref('ApiKey')), ...pick(400, 401, 403, 409) }
+        }
+      },
+      '/api/keys/{keyId}': {
+        delete: {
+          summary: 'Revoke an API key (user token only)',
+          security: [{ bearerAuth: [] }],
+          parameters: parameters(requests.revokeApiKey),
+          responses: { 200: json('Revoked key', ref('ApiKey')), ...pick(400, 401, 403, 404) }
+        }
+      },
+      '/api/diagram/health': {
+        get: {
+          summary: 'Liveness of the diagram routes',
+          security: [],
+          responses: { 200: json('Healthy', { type: 'object' }) }
+        }
+      },
+      '/health': {
+        get: {
+          summary: 'Liveness and queue counts (no request ids)',
+          security: [],
+          responses: {
+            200: json('Healthy', { type: 'object' }),
+            503: json('Queue backend unavailable', { type: 'object' })
+          }
+        }
+      },
+      '/api/docs': {
+        get: {
+          summary: 'This document',
+          security: [],
+          responses: { 200: json('OpenAPI document', { type: 'object' }) }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  requests,
+  buildOpenApiDocument
+};
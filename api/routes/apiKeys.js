@@ -0,0 +1,103 @@
+// api/routes/apiKeys.js - Self-service API key management
+const express = require('express');
+const router = express.Router();
+const { authenticateServiceAccount } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { SCOPES } = require('../services/apiKeyManager');
+const { requests } = require('../openapi');
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  TIER_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  KEY_LIMIT_REACHED: 409
+};
+
+/**
+ * Keys are managed by their owner with a user token.
+ * An API key cannot mint or revoke keys, and the shared service account has no owner.
+ */
+const requireUserToken = (req, res, next) => {
+  if (req.authMethod !== 'jwt' || !req.apiKey) {
+    return res.status(403).json({
+      error: 'FORBIDDEN',
+      message: 'API keys can only be managed with a user token'
+    });
+  }
+  next();
+};
+
+function sendError(res, error, fallbackCode) {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackCode}:`, error);
+  res.status(500).json({
+    error: fallbackCode,
+    message: error.message
+  });
+}
+
+/**
+ * List available scopes
+ */
+router.get('/scopes', (req, res) => {
+  res.json({
+    scopes: Object.entries(SCOPES).map(([id, description]) => ({ id, description }))
+  });
+});
+
+/**
+ * Create a key. The plaintext `key` is only returned in this response.
+ */
+router.post('/', authenticateServiceAccount, requireUserToken, validate(requests.createApiKey), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const key = await req.app.locals.apiKeyManager.createKey({
+      ownerId: req.apiKey,
+      tier: req.tier,
+      name,
+      scopes,
+      expiresInDays,
+      allowedScopes: req.scopes
+    });
+
+    res.status(201).json(key);
+  } catch (error) {
+    sendError(res, error, 'KEY_CREATE_ERROR');
+  }
+});
+
+/**
+ * List the caller's keys
+ */
+router.get('/', authenticateServiceAccount, requireUserToken, async (req, res) => {
+  try {
+    const keys = await req.app.locals.apiKeyManager.listKeys(req.apiKey);
+    res.json({ keys });
+  } catch (error) {
+    sendError(res, error, 'KEY_LIST_ERROR');
+  }
+});
+
+/**
+ * Revoke a key
+ */
+router.delete('/:keyId', authenticateServiceAccount, requireUserToken, validate(requests.revokeApiKey), async (req, res) => {
+  try {
+    const key = await req.app.locals.apiKeyManager.revokeKey(req.params.keyId, {
+      ownerId: req.apiKey,
+      isAdmin: req.isAdmin
+    });
+    res.json(key);
+  } catch (error) {
+    sendError(res, error, 'KEY_REVOKE_ERROR');
+  }
+});
+
+module.exports = router;
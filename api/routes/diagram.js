@@ -1,18 +1,88 @@
 // api/routes/diagram.js - Diagram Routes with Service Account Auth
 const express = require('express');
 const router = express.Router();
-const { authenticateServiceAccount, rateLimit } = require('../middleware/auth');
+const { authenticateServiceAccount, requireAdmin, requireScope, rateLimit } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { TIME_WINDOWS, cacheHitRate } = require('../services/usageTracker');
+const DrawioTemplateEngine = require('../services/drawioTemplates');
+const catalogue = require('../services/catalogue');
+const { requests } = require('../openapi');
+const { pythonStylesFor } = require('../../shared/diagramOptions');
+const config = require('../config');
+
+const drawioTemplates = new DrawioTemplateEngine();
+
+/**
+ * Rules the generate schema cannot express: a prompt or a catalogue template is
+ * needed, and Python styles only render in their own format (e.g. `flowchart`
+ * needs graphviz-dot)
+ */
+const checkGenerateRequest = req => {
+  const { prompt, template, parameters, diagramType = 'python', format = 'graphviz' } = req.body;
+  // Own keys only: "constructor" or "toString" must not resolve to Object.prototype
+  const catalogueTemplate = template && Object.hasOwn(catalogue.templates, template)
+    ? catalogue.templates[template]
+    : null;
+  const errors = [];
+
+  if (!prompt && !catalogueTemplate) {
+    errors.push(template
+      ? { in: 'body', field: 'template', message: 'is not a catalogue template; send a prompt with it' }
+      : { in: 'body', field: 'prompt', message: 'is required' });
+  }
+
+  if (parameters !== undefined && (!catalogueTemplate || prompt)) {
+    errors.push({ in: 'body', field: 'parameters', message: 'only apply to a catalogue template without a prompt' });
+  }
+
+  const style = req.body.style || catalogueTemplate?.style || 'azure';
+  const allowed = pythonStylesFor(format);
+  if (diagramType === 'python' && !allowed.includes(style)) {
+    errors.push({ in: 'body', field: 'style', message: `must be one of: ${allowed.join(', ')} for format ${format}`, allowed });
+  }
+
+  return errors;
+};
+
+/**
+ * Fill the prompt from a catalogue template and its parameters, and default
+ * style and quality to the template's. A request with its own prompt is left
+ * alone; its `template` is just a label (e.g. a webapp library id).
+ */
+const applyCatalogueTemplate = (req, res, next) => {
+  const { prompt, template, parameters = {} } = req.body;
+  if (prompt || !template) return next();
+
+  try {
+    const rendered = catalogue.renderTemplate(template, parameters);
+    req.body = {
+      ...req.body,
+      prompt: rendered.prompt,
+      style: req.body.style || rendered.template.style,
+      quality: req.body.quality || rendered.template.quality,
+      parameters: rendered.parameters
+    };
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: error.code,
+      message: error.message,
+      fields: (error.fields || []).map(field => ({ in: 'body', ...field }))
+    });
+  }
+};
 
 /**
  * Generate Diagram Endpoint
  * Supports both service account (webapp) and JWT (external clients)
  */
-router.post('/generate', authenticateServiceAccount, async (req, res) => {
+router.post('/generate', authenticateServiceAccount, requireScope('diagrams:generate'), validate(requests.generate, checkGenerateRequest), applyCatalogueTemplate, rateLimit(), async (req, res) => {
   try {
     console.log('📝 Diagram generation request:', {
       userId: req.apiKey,
       tier: req.tier,
       isServiceAccount: req.isServiceAccount,
+      delegatedBy: req.delegatedBy,
       timestamp: new Date().toISOString()
     });
 
@@ -25,21 +95,29 @@ router.post('/generate', authenticateServiceAccount, async (req, res) => {
       quality = 'standard',
       outputFormat = 'png',
       drawioNative = false,
-      format = 'graphviz'
+      format = 'graphviz',
+      priority,
+      callbackUrl,
+      noCache = false
     } = req.body;
 
-    // Validation
-    if (!prompt) {
-      return res.status(400).json({
-        error: 'VALIDATION_ERROR',
-        message: 'Prompt is required'
+    // Only admins may move a request up or down the queue
+    if (priority !== undefined && !req.isAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only admins can set request priority'
       });
     }
 
+    if (callbackUrl !== undefined) {
+      await req.app.locals.webhookDispatcher.validateCallbackUrl(callbackUrl);
+    }
+
     // Enqueue the diagram generation request
     const result = await req.app.locals.queueManager.enqueue({
-      userId: req.apiKey,           // 'webapp-service' for service accounts
-      userTier: req.tier,            // 'pro' for service accounts
+      userId: req.apiKey,           // 'webapp-service' for service accounts, unless delegated
+      userTier: req.tier,            // 'pro' for service accounts, unless delegated
+      submittedBy: req.delegatedBy,
       prompt,
       diagramType,
       templateType,
@@ -48,7 +126,10 @@ router.post('/generate', authenticateServiceAccount, async (req, res) => {
       style,
       quality,
       outputFormat,
-      drawioNative
+      drawioNative,
+      priority,
+      callbackUrl,
+      noCache
     });
 
     console.log('✅ Request enqueued:', result.requestId);
@@ -57,6 +138,28 @@ router.post('/generate', authenticateServiceAccount, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Generate endpoint error:', error);
+
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'QUEUE_UNAVAILABLE') {
+      return res.status(503).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'QUEUE_FULL') {
+      return res.status(429).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       error: 'GENERATION_ERROR',
       message: error.message
@@ -66,15 +169,18 @@ router.post('/generate', authenticateServiceAccount, async (req, res) => {
 
 /**
  * Check Status Endpoint
- * No authentication required (uses requestId as credential)
+ * Only the request's owner (or an admin) can read it; anyone else gets 404
  */
-router.get('/status/:requestId', async (req, res) => {
+router.get('/status/:requestId', authenticateServiceAccount, requireScope('diagrams:read'), validate(requests.requestId), async (req, res) => {
   try {
     const { requestId } = req.params;
     
     console.log('🔍 Status check for:', requestId);
     
-    const status = await req.app.locals.queueManager.getRequestStatus(requestId);
+    const status = await req.app.locals.queueManager.getRequestStatus(requestId, {
+      userId: req.apiKey,
+      isAdmin: req.isAdmin
+    });
     
     if (!status) {
       return res.status(404).json({
@@ -94,6 +200,315 @@ router.get('/status/:requestId', async (req, res) => {
   }
 });
 
+/**
+ * Share Link Endpoint
+ * Owners opt in to sharing a completed result through a time-limited signed URL
+ */
+router.post('/share/:requestId', authenticateServiceAccount, requireScope('diagrams:read'), validate(requests.share), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { expiresIn } = req.body || {};
+
+    const status = await req.app.locals.queueManager.getRequestStatus(requestId, {
+      userId: req.apiKey,
+      isAdmin: req.isAdmin
+    });
+
+    if (!status) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Request not found'
+      });
+    }
+
+    if (status.status !== 'completed') {
+      return res.status(409).json({
+        error: 'NOT_COMPLETED',
+        message: 'Only completed requests can be shared'
+      });
+    }
+
+    const { expires, signature } = req.app.locals.shareLinks.sign(requestId, expiresIn);
+    const baseUrl = config.sharing.publicUrl || `${req.protocol}://${req.get('host')}`;
+
+    console.log(`🔗 Share link created for ${requestId} by ${req.apiKey}`);
+
+    res.status(201).json({
+      requestId,
+      url: `${baseUrl}/api/diagram/shared/${encodeURIComponent(requestId)}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    });
+
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Share endpoint error:', error);
+    res.status(500).json({
+      error: 'SHARE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Shared Result Endpoint
+ * No authentication - the signed, unexpired URL is the credential
+ */
+router.get('/shared/:requestId', validate(requests.shared), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { expires, signature } = req.query;
+
+    req.app.locals.shareLinks.verify(requestId, expires, signature);
+
+    const status = await req.app.locals.queueManager.getRequestStatus(requestId);
+
+    if (!status || status.status !== 'completed') {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Shared result not found'
+      });
+    }
+
+    res.json({
+      requestId: status.requestId,
+      status: status.status,
+      result: status.result,
+      drawioXml: status.drawioXml,
+      svgData: status.svgData,
+      completedAt: status.completedAt,
+      expiresAt: new Date(Number(expires) * 1000).toISOString()
+    });
+
+  } catch (error) {
+    const statusCodes = { INVALID_SIGNATURE: 403, LINK_EXPIRED: 410 };
+
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Shared result endpoint error:', error);
+    res.status(500).json({
+      error: 'STATUS_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Cancel Request Endpoint
+ * Owners (or admins) can cancel queued, retrying and in-flight requests
+ */
+router.delete('/cancel/:requestId', authenticateServiceAccount, requireScope('diagrams:generate'), validate(requests.requestId), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    console.log('🛑 Cancel request for:', requestId);
+
+    const result = await req.app.locals.queueManager.cancelRequest(requestId, {
+      userId: req.apiKey,
+      isAdmin: req.isAdmin
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    const statusCodes = { NOT_FOUND: 404, FORBIDDEN: 403, NOT_CANCELLABLE: 409 };
+
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Cancel endpoint error:', error);
+    res.status(500).json({
+      error: 'CANCEL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Webhook Signing Secret Endpoint
+ * The caller's secret for verifying X-Webhook-Signature on their callbacks
+ */
+router.get('/webhooks/secret', authenticateServiceAccount, requireScope('diagrams:generate'), (req, res) => {
+  res.json({
+    secret: req.app.locals.webhookDispatcher.getSigningSecret(req.apiKey)
+  });
+});
+
+/**
+ * Webhook Delivery Log Endpoint
+ * Every delivery and attempt for one of the caller's requests
+ */
+router.get('/webhooks/:requestId', authenticateServiceAccount, requireScope('diagrams:read'), validate(requests.requestId), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const status = await req.app.locals.queueManager.getRequestStatus(requestId, {
+      userId: req.apiKey,
+      isAdmin: req.isAdmin
+    });
+
+    if (!status) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      requestId,
+      deliveries: await req.app.locals.webhookDispatcher.getDeliveries(requestId)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook log endpoint error:', error);
+    res.status(500).json({
+      error: 'WEBHOOK_LOG_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Usage Endpoint
+ * Usage for the calling user over a rolling window (?timeWindow=minute|hour|day|week|month)
+ */
+router.get('/usage', authenticateServiceAccount, requireScope('usage:read'), validate(requests.usage), async (req, res) => {
+  try {
+    const { timeWindow = 'day' } = req.query;
+
+    const usage = await req.app.locals.usageTracker.getUserUsage(req.apiKey, timeWindow);
+
+    res.json({
+      userId: req.apiKey,
+      tier: req.tier,
+      period: timeWindow,
+      since: req.app.locals.usageTracker.getWindowStart(timeWindow),
+      totalRequests: usage.totalRequests,
+      totalTokens: usage.totalTokens,
+      estimatedCost: Number(usage.totalCost.toFixed(4)),
+      byDiagramType: usage.byDiagramType
+    });
+
+  } catch (error) {
+    console.error('❌ Usage endpoint error:', error);
+    res.status(500).json({
+      error: 'USAGE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Queue Status Endpoint (admin)
+ * Workers, per-tier load and the next requests in scheduling order
+ */
+router.get('/queue/status', authenticateServiceAccount, requireAdmin, async (req, res) => {
+  try {
+    res.json(await req.app.locals.queueManager.getQueueStatus());
+  } catch (error) {
+    console.error('❌ Queue status error:', error);
+    res.status(503).json({
+      error: 'QUEUE_UNAVAILABLE',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Stats Endpoint (admin)
+ * Daily usage between ?from and ?to (ISO dates, default last 7 days) plus live queue stats
+ */
+router.get('/stats', authenticateServiceAccount, requireAdmin, validate(requests.stats), async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - TIME_WINDOWS.week);
+
+    if (from > to) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'from must be before to'
+      });
+    }
+
+    const daily = await req.app.locals.usageTracker.getUsageStats(from, to);
+    const totals = daily.reduce((sum, day) => ({
+      requests: sum.requests + day.requests,
+      tokens: sum.tokens + day.tokens,
+      cost: sum.cost + day.cost,
+      cache: {
+        hits: sum.cache.hits + day.cache.hits,
+        misses: sum.cache.misses + day.cache.misses,
+        bypassed: sum.cache.bypassed + day.cache.bypassed
+      }
+    }), { requests: 0, tokens: 0, cost: 0, cache: { hits: 0, misses: 0, bypassed: 0 } });
+    totals.cache.hitRate = cacheHitRate(totals.cache.hits, totals.cache.misses);
+
+    res.json({
+      from,
+      to,
+      totals,
+      daily,
+      queue: await req.app.locals.queueManager.getStats()
+    });
+
+  } catch (error) {
+    console.error('❌ Stats endpoint error:', error);
+    res.status(500).json({
+      error: 'STATS_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Catalogue Endpoint
+ * Version and checksum of the style/template catalogue, so clients can detect drift
+ */
+router.get('/catalogue', authenticateServiceAccount, (req, res) => {
+  res.json(catalogue.summary());
+});
+
+/**
+ * draw.io Templates Endpoint
+ * Values for `templateType` when diagramType is drawio
+ */
+router.get('/templates', authenticateServiceAccount, (req, res) => {
+  res.json({
+    templates: drawioTemplates.getTemplates(),
+    aliases: DrawioTemplateEngine.TEMPLATE_ALIASES
+  });
+});
+
+/**
+ * Python Styles Endpoint
+ * Formats, the styles each accepts, and quality levels
+ */
+router.get('/python/styles', authenticateServiceAccount, (req, res) => {
+  res.json(catalogue.pythonStyleCatalogue());
+});
+
+/**
+ * Python Templates Endpoint
+ * Ready-made prompts with the style and quality they were written for
+ */
+router.get('/python/templates', authenticateServiceAccount, (req, res) => {
+  res.json(catalogue.pythonTemplateCatalogue());
+});
+
 /**
  * Health Check Endpoint
  */
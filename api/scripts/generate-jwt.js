@@ -4,40 +4,50 @@
  * 
  * Generates JWT tokens for testing the diagram API server
  * 
+ * Tokens follow the identity contract in shared/identity.js
+ * (iss cloudstrucc-cli, aud cloudstrucc-diagram-api, sub = user id).
+ * Signed with the first key in JWT_SIGNING_KEYS, or JWT_SECRET.
+ *
  * Usage:
  *   node generate-jwt.js
- *   node generate-jwt.js <api-key>
- *   node generate-jwt.js <api-key> <tier>
+ *   node generate-jwt.js <user-id>
+ *   node generate-jwt.js <user-id> <tier>
+ *   node generate-jwt.js <user-id> <tier> admin
  */
 
 import jwt from 'jsonwebtoken';
-import crypto from 'crypto';
+import identity from '../../shared/identity.js';
 
 // Your JWT secret (should match server.js)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const keyRing = identity.parseKeyRing(process.env.JWT_SIGNING_KEYS, JWT_SECRET);
 
-// Get API key and tier from command line or use defaults
-const apiKey = process.argv[2] || 'test-key';
+// Get user id and tier from command line or use defaults
+const userId = process.argv[2] || 'test-user';
 const tier = process.argv[3] || 'free';
-
-// Token payload
-const payload = {
-  apiKey: apiKey,
-  tier: tier,
-  iat: Math.floor(Date.now() / 1000),
-  exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24 * 30) // 30 days
-};
+const role = process.argv[4];
 
 // Generate token
-const token = jwt.sign(payload, JWT_SECRET);
+const token = identity.signIdentityToken({
+  jwt,
+  keyRing,
+  issuer: identity.ISSUERS.cli,
+  userId,
+  tier,
+  role,
+  expiresIn: '30d'
+});
+const payload = jwt.decode(token);
 
 console.log('');
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║  JWT Token Generated                                       ║');
 console.log('╚════════════════════════════════════════════════════════════╝');
 console.log('');
-console.log('API Key:', apiKey);
+console.log('User ID:', userId);
 console.log('Tier:', tier);
+if (role) console.log('Role:', role);
+console.log('Key ID:', keyRing.activeKid);
 console.log('Expires:', new Date(payload.exp * 1000).toISOString());
 console.log('');
 console.log('TOKEN:');
@@ -1,13 +1,18 @@
 const jwt = require('jsonwebtoken');
+const identity = require('../../shared/identity');
 
-const token = jwt.sign(
-  {
-    apiKey: 'test-key',
-    tier: 'free',
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 2592000
-  },
-  'your-super-secret-jwt-key-change-this-in-production'
+const keyRing = identity.parseKeyRing(
+  process.env.JWT_SIGNING_KEYS,
+  process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production'
 );
 
+const token = identity.signIdentityToken({
+  jwt,
+  keyRing,
+  issuer: identity.ISSUERS.cli,
+  userId: 'test-user',
+  tier: 'free',
+  expiresIn: '30d'
+});
+
 console.log(token);
@@ -6,10 +6,15 @@ const cors = require('cors');
 const http = require('http');
 const config = require('./config');
 const UsageTracker = require('./services/usageTracker');
+const ApiKeyManager = require('./services/apiKeyManager');
 const QueueManager = require('./services/queueManager');
-// const DrawioTemplateEngine = require('./services/drawioTemplates'); // Not needed for Python diagrams
-const { authenticate, rateLimit, authenticateServiceAccount } = require('./middleware/auth');
+const ShareLinks = require('./services/shareLinks');
+const WebhookDispatcher = require('./services/webhookDispatcher');
+const { authenticate, rateLimit, authenticateServiceAccount, authenticateUpgrade } = require('./middleware/auth');
 const diagramRoutes = require('./routes/diagram');
+const apiKeyRoutes = require('./routes/apiKeys');
+const { buildOpenApiDocument } = require('./openapi');
+const catalogue = require('./services/catalogue');
 // const PythonDiagramGenerator = require('./services/pythonDiagramGenerator'); // Not needed - using Python script directly
 
 // ============================================================================
@@ -35,12 +40,20 @@ class DiagramAPIServer {
   constructor() {
     this.app = express();
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      verifyClient: (info, done) => this.verifyWebSocketClient(info, done)
+    });
     this.db = null;
     this.usageTracker = null;
+    this.apiKeyManager = null;
     this.pythonGenerator = null;
+    this.drawioEngine = null;
     this.queueManager = null;
-    this.wsClients = new Map(); // Map requestId to WebSocket connections
+    this.wsClients = new Map(); // requestId -> Set of subscribed sockets
+    this.userChannels = new Map(); // userId -> Set of sockets following all of that user's jobs
+    this.lastMessages = new Map(); // requestId -> last message sent, replayed to late subscribers
+    this.heartbeatTimer = null;
   }
 
   /**
@@ -86,6 +99,41 @@ class DiagramAPIServer {
       { status: 1, priority: -1, timestamp: 1 }
     );
 
+    // API key indexes
+    await this.db.collection(config.database.apiKeysCollection).createIndex(
+      { hash: 1 },
+      { unique: true }
+    );
+    await this.db.collection(config.database.apiKeysCollection).createIndex(
+      { keyId: 1 },
+      { unique: true }
+    );
+    await this.db.collection(config.database.apiKeysCollection).createIndex(
+      { ownerId: 1, createdAt: -1 }
+    );
+
+    // Webhook delivery log indexes
+    await this.db.collection(config.database.webhookDeliveriesCollection).createIndex(
+      { deliveryId: 1 },
+      { unique: true }
+    );
+    await this.db.collection(config.database.webhookDeliveriesCollection).createIndex(
+      { requestId: 1, createdAt: -1 }
+    );
+    await this.db.collection(config.database.webhookDeliveriesCollection).createIndex(
+      { status: 1 }
+    );
+
+    // Result cache indexes (entries expire via TTL)
+    await this.db.collection(config.database.resultCacheCollection).createIndex(
+      { key: 1 },
+      { unique: true }
+    );
+    await this.db.collection(config.database.resultCacheCollection).createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 }
+    );
+
     console.log('✓ Database indexes created');
   }
 
@@ -97,94 +145,144 @@ class DiagramAPIServer {
     this.usageTracker = new UsageTracker(this.db);
     console.log('✓ Usage tracker initialized');
 
+    // Initialize API key manager
+    this.apiKeyManager = new ApiKeyManager(this.db);
+    console.log('✓ API key manager initialized');
+
+    // Signed share links for results
+    this.shareLinks = new ShareLinks();
+
     // Initialize queue manager
     this.queueManager = new QueueManager(this.db, this.usageTracker);
     
     // Set up queue event listeners
     this.setupQueueEventListeners();
 
-    // Restore queue from database
-    await this.queueManager.restoreQueue();
+    // Webhook callbacks for finished requests
+    this.webhookDispatcher = new WebhookDispatcher(this.db);
+    this.webhookDispatcher.attach(this.queueManager);
+    await this.webhookDispatcher.resumePending();
+    console.log('✓ Webhook dispatcher initialized');
+
+    // Join the shared queue (if any) and restore unfinished work from the database
+    await this.queueManager.start();
     console.log('✓ Queue manager initialized');
 
-    // Initialize draw.io template engine (commented out - not needed for Python diagrams)
-    // this.drawioEngine = new DrawioTemplateEngine();
-    // console.log('✓ Draw.io template engine initialized');
+    // Draw.io template engine is owned by the queue manager
+    this.drawioEngine = this.queueManager.drawioEngine;
+    console.log('✓ Draw.io template engine initialized');
 
     // Make services available to routes
     this.app.locals.db = this.db;
     this.app.locals.config = config;
     this.app.locals.usageTracker = this.usageTracker;
+    this.app.locals.apiKeyManager = this.apiKeyManager;
+    this.app.locals.shareLinks = this.shareLinks;
+    this.app.locals.webhookDispatcher = this.webhookDispatcher;
     this.app.locals.queueManager = this.queueManager;
-    // this.app.locals.drawioEngine = this.drawioEngine;
+    this.app.locals.drawioEngine = this.drawioEngine;
   }
 
   /**
-   * Setup queue event listeners for WebSocket notifications
+   * Setup queue event listeners for WebSocket notifications.
+   * Events from every node are relayed, since a client's socket may be on any of them.
    */
   setupQueueEventListeners() {
-    this.queueManager.on('enqueued', (item) => {
+    this.queueManager.onClusterEvent('enqueued', (item) => {
       console.log(`Request ${item.requestId} enqueued`);
-      this.notifyClient(item.requestId, {
+      this.notifyClient(item.requestId, item.userId, {
         type: 'status',
         status: 'queued',
-        position: this.queueManager.queue.findIndex(q => q.requestId === item.requestId) + 1
+        position: item.position
       });
     });
 
-    this.queueManager.on('processing', (item) => {
-      console.log(`Processing request ${item.requestId}`);
-      this.notifyClient(item.requestId, {
+    this.queueManager.onClusterEvent('processing', (item) => {
+      console.log(`Processing request ${item.requestId} on worker ${item.workerId}`);
+      this.notifyClient(item.requestId, item.userId, {
         type: 'status',
-        status: 'processing'
+        status: 'processing',
+        workerId: item.workerId
       });
     });
 
-    this.queueManager.on('completed', (data) => {
+    this.queueManager.onClusterEvent('progress', (data) => {
+      this.notifyClient(data.requestId, data.userId, {
+        type: 'progress',
+        stage: data.stage,
+        progress: data.progress,
+        message: data.message,
+        ...(data.tokens !== undefined && { tokens: data.tokens }),
+        ...(data.formats && { formats: data.formats })
+      });
+    });
+
+    this.queueManager.onClusterEvent('completed', (data) => {
       console.log(`Request ${data.requestId} completed`);
-      this.notifyClient(data.requestId, {
+      this.notifyClient(data.requestId, data.userId, {
         type: 'completed',
         result: data.result,
         usage: data.usage
       });
     });
 
-    this.queueManager.on('failed', (data) => {
+    this.queueManager.onClusterEvent('failed', (data) => {
       console.log(`Request ${data.requestId} failed:`, data.error);
-      this.notifyClient(data.requestId, {
+      this.notifyClient(data.requestId, data.userId, {
         type: 'failed',
         error: data.error,
         code: data.code
       });
     });
 
-    this.queueManager.on('retry', (data) => {
-      console.log(`Request ${data.requestId} retrying (attempt ${data.attempt})`);
-      this.notifyClient(data.requestId, {
+    this.queueManager.onClusterEvent('retry', (data) => {
+      console.log(`Request ${data.requestId} retrying (attempt ${data.attempt}, ${data.errorClass})`);
+      this.notifyClient(data.requestId, data.userId, {
         type: 'retry',
-        attempt: data.attempt
+        attempt: data.attempt,
+        delay: data.delay,
+        errorClass: data.errorClass,
+        error: data.error
       });
     });
 
-    this.queueManager.on('cancelled', (data) => {
+    this.queueManager.onClusterEvent('cancelled', (data) => {
       console.log(`Request ${data.requestId} cancelled`);
-      this.notifyClient(data.requestId, {
-        type: 'cancelled'
+      this.notifyClient(data.requestId, data.userId, {
+        type: 'cancelled',
+        previousStatus: data.previousStatus
       });
     });
   }
 
   /**
-   * Notify WebSocket client
+   * Send a request's update to its subscribers and to its owner's user channel.
+   * The last message is kept so late subscribers can be brought up to date.
    */
-  notifyClient(requestId, message) {
-    const ws = this.wsClients.get(requestId);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        requestId,
-        timestamp: new Date().toISOString(),
-        ...message
-      }));
+  notifyClient(requestId, userId, message) {
+    const payload = {
+      requestId,
+      timestamp: new Date().toISOString(),
+      ...message
+    };
+
+    this.lastMessages.set(requestId, payload);
+    if (['completed', 'failed', 'cancelled'].includes(message.type)) {
+      setTimeout(() => {
+        if (this.lastMessages.get(requestId) === payload) this.lastMessages.delete(requestId);
+      }, config.websocket.replayRetentionMs).unref();
+    }
+
+    const recipients = new Set([
+      ...(this.wsClients.get(requestId) || []),
+      ...(this.userChannels.get(userId) || [])
+    ]);
+
+    const data = JSON.stringify(payload);
+    for (const ws of recipients) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(data);
+      }
     }
   }
 
@@ -205,12 +303,34 @@ class DiagramAPIServer {
       next();
     });
 
-    // Health check endpoint (no auth required)
-    this.app.get('/health', (req, res) => {
+    // Health check endpoint (no auth required). Counts only: request ids are the
+    // handles for status, share and cancel, so details stay on admin /queue/status
+    this.app.get('/health', async (req, res) => {
+      let queue;
+      try {
+        queue = await this.queueManager.getQueueStatus();
+      } catch (error) {
+        return res.status(503).json({
+          status: 'unhealthy',
+          timestamp: new Date().toISOString(),
+          error: `Queue backend unavailable: ${error.message}`
+        });
+      }
+
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        queue: this.queueManager.getQueueStatus(),
+        queue: {
+          backend: queue.backend,
+          queueLength: queue.queueLength,
+          maxSize: queue.maxSize,
+          processing: queue.processing,
+          concurrency: queue.concurrency,
+          activeWorkers: queue.activeWorkers,
+          activeByTier: queue.activeByTier,
+          averageJobSeconds: queue.averageJobSeconds
+        },
+        catalogue: { version: catalogue.version, checksum: catalogue.checksum },
         environment: {
           anthropicApiKey: !!process.env.ANTHROPIC_API_KEY,
           mongoUri: !!process.env.MONGODB_URI,
@@ -231,6 +351,13 @@ class DiagramAPIServer {
     //   diagramRoutes
     // );
     this.app.use('/api/diagram', diagramRoutes);
+    this.app.use('/api/keys', apiKeyRoutes);
+
+    // OpenAPI document (public, like /health)
+    this.app.get('/api/docs', (req, res) => {
+      res.json(buildOpenApiDocument({ serverUrl: config.sharing.publicUrl || `${req.protocol}://${req.get('host')}` }));
+    });
+
     // 404 handler
     this.app.use((req, res) => {
       res.status(404).json({
@@ -249,51 +376,68 @@ class DiagramAPIServer {
     });
   }
 
+  /**
+   * WebSocket upgrades use the same credentials as REST (JWT, API key or
+   * service key). Tokens may also be passed as ?token= for browsers.
+   */
+  verifyWebSocketClient({ req }, done) {
+    authenticateUpgrade(req, this.app)
+      .then(() => {
+        if (req.scopes && !req.scopes.includes('diagrams:read')) {
+          return done(false, 403, 'Missing diagrams:read scope');
+        }
+        done(true);
+      })
+      .catch(({ status, body }) => {
+        console.warn(`⚠️ WebSocket connection rejected: ${body?.message}`);
+        done(false, status || 401, body?.message || 'Unauthorized');
+      });
+  }
+
   /**
    * Setup WebSocket server for real-time updates
+   *
+   * Client messages:
+   *   { type: 'subscribe', requestId }     - one request (owner or admin only); replays its last status
+   *   { type: 'unsubscribe', requestId }
+   *   { type: 'subscribe', channel: 'user' } - every job of the authenticated user
+   *   { type: 'unsubscribe', channel: 'user' }
+   *   { type: 'ping' }                     - answered with { type: 'pong' }
    */
   setupWebSocket() {
     this.wss.on('connection', (ws, req) => {
-      console.log('WebSocket client connected');
+      ws.userId = req.apiKey;
+      ws.isAdmin = !!req.isAdmin;
+      ws.subscriptions = new Set();
+      ws.isAlive = true;
+      console.log(`WebSocket client connected (${ws.userId}, ${req.authMethod})`);
+
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
 
-      ws.on('message', (message) => {
+      ws.on('message', async (message) => {
+        let data;
         try {
-          const data = JSON.parse(message);
-
-          if (data.type === 'subscribe' && data.requestId) {
-            // Subscribe to updates for a specific request
-            this.wsClients.set(data.requestId, ws);
-            ws.send(JSON.stringify({
-              type: 'subscribed',
-              requestId: data.requestId
-            }));
-          }
-
-          if (data.type === 'unsubscribe' && data.requestId) {
-            this.wsClients.delete(data.requestId);
-            ws.send(JSON.stringify({
-              type: 'unsubscribed',
-              requestId: data.requestId
-            }));
-          }
+          data = JSON.parse(message);
+        } catch (error) {
+          return this.sendToSocket(ws, { type: 'error', message: 'Invalid message format' });
+        }
 
+        try {
+          await this.handleSocketMessage(ws, data);
         } catch (error) {
           console.error('WebSocket message error:', error);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Invalid message format'
-          }));
+          this.sendToSocket(ws, { type: 'error', message: 'Could not handle message' });
         }
       });
 
       ws.on('close', () => {
         console.log('WebSocket client disconnected');
-        // Remove all subscriptions for this client
-        for (const [requestId, client] of this.wsClients.entries()) {
-          if (client === ws) {
-            this.wsClients.delete(requestId);
-          }
+        for (const requestId of ws.subscriptions) {
+          this.removeSubscriber(this.wsClients, requestId, ws);
         }
+        this.removeSubscriber(this.userChannels, ws.userId, ws);
       });
 
       ws.on('error', (error) => {
@@ -301,9 +445,125 @@ class DiagramAPIServer {
       });
     });
 
+    // Drop connections that stopped answering pings (half-open TCP, sleeping laptops)
+    this.heartbeatTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, config.websocket.heartbeatIntervalMs);
+
     console.log('✓ WebSocket server initialized');
   }
 
+  async handleSocketMessage(ws, data) {
+    if (data.type === 'ping') {
+      return this.sendToSocket(ws, { type: 'pong' });
+    }
+
+    if (data.channel === 'user' && (data.type === 'subscribe' || data.type === 'unsubscribe')) {
+      if (data.type === 'subscribe') {
+        this.addSubscriber(this.userChannels, ws.userId, ws);
+      } else {
+        this.removeSubscriber(this.userChannels, ws.userId, ws);
+      }
+      return this.sendToSocket(ws, { type: `${data.type}d`, channel: 'user', userId: ws.userId });
+    }
+
+    if (data.type === 'subscribe' && data.requestId) {
+      if (ws.subscriptions.size >= config.websocket.maxSubscriptionsPerSocket) {
+        return this.sendToSocket(ws, {
+          type: 'error',
+          requestId: data.requestId,
+          error: 'TOO_MANY_SUBSCRIPTIONS',
+          message: `At most ${config.websocket.maxSubscriptionsPerSocket} subscriptions per connection`
+        });
+      }
+
+      const status = await this.queueManager.getRequestStatus(data.requestId, {
+        userId: ws.userId,
+        isAdmin: ws.isAdmin
+      });
+
+      if (!status) {
+        return this.sendToSocket(ws, {
+          type: 'error',
+          requestId: data.requestId,
+          error: 'NOT_FOUND',
+          message: 'Request not found'
+        });
+      }
+
+      ws.subscriptions.add(data.requestId);
+      this.addSubscriber(this.wsClients, data.requestId, ws);
+      this.sendToSocket(ws, { type: 'subscribed', requestId: data.requestId });
+
+      // Bring a late subscriber up to date
+      this.sendToSocket(ws, {
+        ...(this.lastMessages.get(data.requestId) || this.statusMessage(status)),
+        replay: true
+      });
+      return;
+    }
+
+    if (data.type === 'unsubscribe' && data.requestId) {
+      ws.subscriptions.delete(data.requestId);
+      this.removeSubscriber(this.wsClients, data.requestId, ws);
+      return this.sendToSocket(ws, { type: 'unsubscribed', requestId: data.requestId });
+    }
+
+    this.sendToSocket(ws, { type: 'error', message: `Unknown message type: ${data.type}` });
+  }
+
+  /**
+   * Build a notification from a stored request status (used when no live message is cached)
+   */
+  statusMessage(status) {
+    const message = { requestId: status.requestId, timestamp: new Date().toISOString() };
+
+    if (status.status === 'completed') {
+      return { ...message, type: 'completed', result: status.result, usage: status.usage };
+    }
+    if (status.status === 'failed') {
+      return { ...message, type: 'failed', error: status.error };
+    }
+    if (status.status === 'cancelled') {
+      return { ...message, type: 'cancelled' };
+    }
+    if (status.progress && status.status === 'processing') {
+      return { ...message, type: 'progress', ...status.progress };
+    }
+    return {
+      ...message,
+      type: 'status',
+      status: status.status,
+      position: status.position,
+      estimatedWaitTime: status.estimatedWaitTime
+    };
+  }
+
+  addSubscriber(map, key, ws) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(ws);
+  }
+
+  removeSubscriber(map, key, ws) {
+    const sockets = map.get(key);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) map.delete(key);
+  }
+
+  sendToSocket(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
   /**
    * Start the server
    */
@@ -338,10 +598,22 @@ class DiagramAPIServer {
         console.log(`  POST   /api/diagram/generate`);
         console.log(`  GET    /api/diagram/status/:requestId`);
         console.log(`  DELETE /api/diagram/cancel/:requestId`);
+        console.log(`  POST   /api/diagram/share/:requestId`);
+        console.log(`  GET    /api/diagram/shared/:requestId (signed URL)`);
+        console.log(`  GET    /api/diagram/webhooks/secret`);
+        console.log(`  GET    /api/diagram/webhooks/:requestId`);
+        console.log(`  GET    /api/diagram/catalogue`);
+        console.log(`  GET    /api/diagram/templates`);
+        console.log(`  GET    /api/diagram/python/styles`);
+        console.log(`  GET    /api/diagram/python/templates`);
         console.log(`  GET    /api/diagram/usage`);
         console.log(`  GET    /api/diagram/queue/status (admin)`);
         console.log(`  GET    /api/diagram/stats (admin)`);
+        console.log(`  POST   /api/keys`);
+        console.log(`  GET    /api/keys`);
+        console.log(`  DELETE /api/keys/:keyId`);
         console.log(`  GET    /health`);
+        console.log(`  GET    /api/docs (OpenAPI)`);
         console.log(`\nWebSocket: ws://0.0.0.0:${port}`);
       });
   
@@ -364,8 +636,10 @@ class DiagramAPIServer {
 
     // Stop processing new requests
     this.queueManager.stopProcessing();
+    this.webhookDispatcher.stop();
 
     // Close WebSocket connections
+    clearInterval(this.heartbeatTimer);
     this.wss.clients.forEach(client => {
       client.close();
     });
@@ -0,0 +1,187 @@
+// services/apiKeyManager.js - Named, hashed API keys for external clients
+const crypto = require('crypto');
+const config = require('../config');
+const { SCOPES, TIERS } = require('../../shared/identity');
+
+const KEY_PREFIX = 'dgk_';
+
+class ApiKeyManager {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get collection() {
+    return this.db.collection(config.database.apiKeysCollection);
+  }
+
+  /**
+   * Keys are high-entropy random strings, so a plain SHA-256 is enough
+   * and lets us look a key up by its hash
+   */
+  hashKey(plaintext) {
+    return crypto.createHash('sha256').update(plaintext).digest('hex');
+  }
+
+  /**
+   * Create a key. The plaintext is returned once and never stored.
+   * A key can never hold scopes its creator's token does not (`allowedScopes`).
+   */
+  async createKey({ ownerId, tier, name, scopes, expiresInDays, allowedScopes = Object.keys(SCOPES) }) {
+    if (!config.apiKeys.allowedTiers.includes(tier)) {
+      throw createError('TIER_NOT_ALLOWED', `API keys are not available on the ${tier} tier`);
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      throw createError('VALIDATION_ERROR', 'name is required (max 100 characters)');
+    }
+
+    const grantedScopes = scopes === undefined ? allowedScopes : scopes;
+    const unknownScopes = Array.isArray(grantedScopes)
+      ? grantedScopes.filter(scope => !allowedScopes.includes(scope))
+      : [];
+    if (!Array.isArray(grantedScopes) || grantedScopes.length === 0 || unknownScopes.length > 0) {
+      throw createError('VALIDATION_ERROR', `scopes must be a non-empty list of: ${allowedScopes.join(', ')}`);
+    }
+
+    const days = expiresInDays === undefined ? config.apiKeys.defaultExpiryDays : expiresInDays;
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > config.apiKeys.maxExpiryDays)) {
+      throw createError('VALIDATION_ERROR', `expiresInDays must be between 1 and ${config.apiKeys.maxExpiryDays}`);
+    }
+
+    const activeKeys = await this.collection.countDocuments({ ownerId, revokedAt: null });
+    if (activeKeys >= config.apiKeys.maxKeysPerUser) {
+      throw createError('KEY_LIMIT_REACHED', `You can have at most ${config.apiKeys.maxKeysPerUser} active API keys`);
+    }
+
+    const plaintext = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const key = {
+      keyId: 'key_' + crypto.randomBytes(8).toString('hex'),
+      ownerId,
+      tier,
+      name: name.trim(),
+      scopes: [...new Set(grantedScopes)],
+      hash: this.hashKey(plaintext),
+      prefix: plaintext.slice(0, KEY_PREFIX.length + 6),
+      createdAt: now,
+      expiresAt: days === null ? null : new Date(now.getTime() + days * 86400000),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.collection.insertOne(key);
+    console.log(`🔑 API key created: ${key.keyId} (${key.prefix}…) for ${ownerId}`);
+
+    return { ...this.toPublic(key), key: plaintext };
+  }
+
+  /**
+   * List a user's keys (never includes the hash)
+   */
+  async listKeys(ownerId) {
+    const keys = await this.collection
+      .find({ ownerId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return keys.map(key => this.toPublic(key));
+  }
+
+  /**
+   * Revoke a key. Owners can revoke their own keys; admins can revoke any key.
+   */
+  async revokeKey(keyId, { ownerId, isAdmin = false }) {
+    const key = await this.collection.findOne({ keyId });
+
+    if (!key || (!isAdmin && key.ownerId !== ownerId)) {
+      throw createError('NOT_FOUND', 'API key not found');
+    }
+
+    if (key.revokedAt) {
+      return this.toPublic(key);
+    }
+
+    key.revokedAt = new Date();
+    await this.collection.updateOne({ keyId }, { $set: { revokedAt: key.revokedAt } });
+    console.log(`🔑 API key revoked: ${keyId}`);
+
+    return this.toPublic(key);
+  }
+
+  /**
+   * Resolve a presented key. Returns the key document (its tier as last
+   * refreshed by refreshOwnerTier), or null if it is unknown, revoked or
+   * expired. Records last use.
+   */
+  async verifyKey(plaintext) {
+    if (typeof plaintext !== 'string' || !plaintext.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const key = await this.collection.findOne({ hash: this.hashKey(plaintext) });
+    if (!key || key.revokedAt || (key.expiresAt && key.expiresAt <= new Date())) {
+      return null;
+    }
+
+    // Fire and forget - a failed timestamp update must not block the request
+    this.collection.updateOne(
+      { keyId: key.keyId },
+      { $set: { lastUsedAt: new Date() }, $inc: { useCount: 1 } }
+    ).catch(error => console.error('API key lastUsed update error:', error));
+
+    return key;
+  }
+
+  /**
+   * Bring the tier on an owner's active keys in line with the tier the webapp
+   * just vouched for (service-account delegation or a webapp-issued JWT), so
+   * an upgrade or downgrade reaches their keys without this service reading
+   * the webapp's user records. Returns the number of keys changed.
+   */
+  async refreshOwnerTier(ownerId, tier) {
+    if (!ownerId || !TIERS.includes(tier)) {
+      return 0;
+    }
+
+    const result = await this.collection.updateMany(
+      { ownerId: String(ownerId), revokedAt: null, tier: { $ne: tier } },
+      { $set: { tier, tierUpdatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🔑 API key tier refreshed: ${result.modifiedCount} key(s) for ${ownerId} now ${tier}`);
+    }
+    return result.modifiedCount;
+  }
+
+  toPublic(key) {
+    const now = new Date();
+    let status = 'active';
+    if (key.revokedAt) status = 'revoked';
+    else if (key.expiresAt && key.expiresAt <= now) status = 'expired';
+
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      prefix: key.prefix,
+      tier: key.tier,
+      scopes: key.scopes,
+      status,
+      createdAt: key.createdAt,
+      expiresAt: key.expiresAt,
+      lastUsedAt: key.lastUsedAt,
+      useCount: key.useCount || 0,
+      revokedAt: key.revokedAt
+    };
+  }
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = ApiKeyManager;
+module.exports.SCOPES = SCOPES;
+module.exports.KEY_PREFIX = KEY_PREFIX;
@@ -0,0 +1,18 @@
+// services/catalogue.js - The style/template catalogue this API serves
+//
+// Built-in entries from shared/catalogue.js plus any files in CATALOGUE_PATHS.
+// Loaded once at startup; an invalid file stops the server with CATALOGUE_ERROR.
+const yaml = require('js-yaml');
+const config = require('../config');
+const { loadCatalogue, parseCataloguePaths } = require('../../shared/catalogue');
+
+const catalogue = loadCatalogue({
+  files: parseCataloguePaths(config.catalogue.paths),
+  parseYaml: yaml.load
+});
+
+if (catalogue.sources.length > 0) {
+  console.log(`📚 Catalogue ${catalogue.version} (${catalogue.checksum}) with ${catalogue.sources.join(', ')}`);
+}
+
+module.exports = catalogue;
@@ -0,0 +1,906 @@
+// services/drawioTemplates.js - Draw.io template engine
+const { spawn } = require('child_process');
+const config = require('../config');
+const { createAbortError } = require('./processRunner');
+
+/**
+ * Shape style helpers for the draw.io stencil libraries
+ */
+const awsIcon = (resIcon, fillColor) =>
+  `sketch=0;outlineConnect=0;fontColor=#232F3E;fillColor=${fillColor};strokeColor=#ffffff;dashed=0;` +
+  `verticalLabelPosition=bottom;verticalAlign=top;align=center;html=1;fontSize=12;aspect=fixed;` +
+  `shape=mxgraph.aws4.resourceIcon;resIcon=mxgraph.aws4.${resIcon};`;
+
+const azureIcon = (image) =>
+  `image;aspect=fixed;html=1;points=[];align=center;fontSize=12;image=img/lib/azure2/${image};`;
+
+const gcpIcon = (prIcon) =>
+  `sketch=0;html=1;fillColor=#5184F3;strokeColor=none;verticalLabelPosition=bottom;verticalAlign=top;` +
+  `align=center;fontSize=11;fontStyle=1;fontColor=#424242;shape=mxgraph.gcp2.hexIcon;prIcon=${prIcon};`;
+
+const k8sIcon = (prIcon) =>
+  `sketch=0;html=1;dashed=0;whiteSpace=wrap;fillColor=#326CE5;strokeColor=#ffffff;points=[];` +
+  `verticalLabelPosition=bottom;verticalAlign=top;align=center;shape=mxgraph.kubernetes.icon;prIcon=${prIcon};`;
+
+const box = (fillColor, strokeColor, extra = '') =>
+  `rounded=1;whiteSpace=wrap;html=1;fillColor=${fillColor};strokeColor=${strokeColor};${extra}`;
+
+const group = (strokeColor, fillColor, extra = '') =>
+  `rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;verticalAlign=top;align=left;spacingLeft=10;` +
+  `fontStyle=1;strokeColor=${strokeColor};fillColor=${fillColor};${extra}`;
+
+const DEFAULT_EDGE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;endArrow=block;';
+
+/**
+ * Template definitions (see docs/DRAWIO_TEMPLATES.md)
+ */
+const TEMPLATES = {
+  aws: {
+    name: 'AWS Architecture',
+    description: 'Amazon Web Services cloud architecture diagrams',
+    category: 'cloud',
+    guidance: 'Place resources inside a VPC container, split subnets per availability zone and keep public-facing services at the top.',
+    shapes: {
+      ec2: awsIcon('ec2', '#ED7100'),
+      lambda: awsIcon('lambda', '#ED7100'),
+      ecs: awsIcon('ecs', '#ED7100'),
+      eks: awsIcon('eks', '#ED7100'),
+      fargate: awsIcon('fargate', '#ED7100'),
+      s3: awsIcon('s3', '#7AA116'),
+      ebs: awsIcon('elastic_block_store', '#7AA116'),
+      efs: awsIcon('elastic_file_system', '#7AA116'),
+      glacier: awsIcon('glacier', '#7AA116'),
+      rds: awsIcon('rds', '#C925D1'),
+      dynamodb: awsIcon('dynamodb', '#C925D1'),
+      aurora: awsIcon('aurora', '#C925D1'),
+      elasticache: awsIcon('elasticache', '#C925D1'),
+      redshift: awsIcon('redshift', '#8C4FFF'),
+      cloudfront: awsIcon('cloudfront', '#8C4FFF'),
+      route53: awsIcon('route_53', '#8C4FFF'),
+      elb: awsIcon('elastic_load_balancing', '#8C4FFF'),
+      apiGateway: awsIcon('api_gateway', '#E7157B'),
+      iam: awsIcon('identity_and_access_management', '#DD344C'),
+      kms: awsIcon('key_management_service', '#DD344C'),
+      waf: awsIcon('waf', '#DD344C'),
+      shield: awsIcon('shield', '#DD344C'),
+      ecr: awsIcon('ecr', '#ED7100')
+    },
+    containers: {
+      vpc: group('#248814', 'none', 'fontColor=#248814;'),
+      availabilityZone: group('#147EBA', 'none', 'dashed=1;fontColor=#147EBA;'),
+      subnet: group('#147EBA', '#E6F2F8', 'fontColor=#147EBA;'),
+      securityGroup: group('#DD3522', 'none', 'dashed=1;fontColor=#DD3522;')
+    },
+    edge: DEFAULT_EDGE + 'strokeColor=#232F3E;'
+  },
+
+  azure: {
+    name: 'Azure Architecture',
+    description: 'Microsoft Azure cloud architecture diagrams',
+    category: 'cloud',
+    guidance: 'Group resources by Resource Group and Virtual Network, and show NSGs as dashed boundaries around subnets.',
+    shapes: {
+      virtualMachine: azureIcon('compute/Virtual_Machine.svg'),
+      aks: azureIcon('compute/Kubernetes_Services.svg'),
+      functions: azureIcon('compute/Function_Apps.svg'),
+      appService: azureIcon('compute/App_Services.svg'),
+      containerInstances: azureIcon('compute/Container_Instances.svg'),
+      storageAccount: azureIcon('storage/Storage_Accounts.svg'),
+      sqlDatabase: azureIcon('databases/SQL_Database.svg'),
+      cosmosDb: azureIcon('databases/Azure_Cosmos_DB.svg'),
+      sqlManagedInstance: azureIcon('databases/SQL_Managed_Instance.svg'),
+      redis: azureIcon('databases/Cache_Redis.svg'),
+      virtualNetwork: azureIcon('networking/Virtual_Networks.svg'),
+      loadBalancer: azureIcon('networking/Load_Balancers.svg'),
+      applicationGateway: azureIcon('networking/Application_Gateways.svg'),
+      frontDoor: azureIcon('networking/Front_Doors.svg'),
+      dns: azureIcon('networking/DNS_Zones.svg'),
+      keyVault: azureIcon('security/Key_Vaults.svg'),
+      sentinel: azureIcon('security/Azure_Sentinel.svg'),
+      activeDirectory: azureIcon('identity/Azure_Active_Directory.svg')
+    },
+    containers: {
+      resourceGroup: group('#0078D4', 'none', 'dashed=1;fontColor=#0078D4;'),
+      virtualNetwork: group('#0078D4', '#E8F1FB', 'fontColor=#0078D4;'),
+      subnet: group('#50E6FF', '#F2FBFF', 'fontColor=#005BA1;'),
+      nsg: group('#E81123', 'none', 'dashed=1;fontColor=#E81123;')
+    },
+    edge: DEFAULT_EDGE + 'strokeColor=#0078D4;'
+  },
+
+  gcp: {
+    name: 'Google Cloud Architecture',
+    description: 'Google Cloud Platform architecture diagrams',
+    category: 'cloud',
+    guidance: 'Use a Project container at the top level, then VPC and zone containers for regional resources.',
+    shapes: {
+      computeEngine: gcpIcon('compute_engine'),
+      gke: gcpIcon('container_engine'),
+      cloudFunctions: gcpIcon('cloud_functions'),
+      appEngine: gcpIcon('app_engine'),
+      cloudRun: gcpIcon('cloud_run'),
+      cloudStorage: gcpIcon('cloud_storage'),
+      persistentDisk: gcpIcon('persistent_disk'),
+      filestore: gcpIcon('cloud_filestore'),
+      cloudSql: gcpIcon('cloud_sql'),
+      spanner: gcpIcon('cloud_spanner'),
+      firestore: gcpIcon('cloud_firestore'),
+      bigtable: gcpIcon('cloud_bigtable'),
+      memorystore: gcpIcon('cloud_memorystore'),
+      loadBalancing: gcpIcon('cloud_load_balancing'),
+      dns: gcpIcon('cloud_dns'),
+      cdn: gcpIcon('cloud_cdn'),
+      iam: gcpIcon('cloud_iam'),
+      kms: gcpIcon('key_management_service'),
+      bigQuery: gcpIcon('bigquery'),
+      pubSub: gcpIcon('cloud_pubsub'),
+      dataflow: gcpIcon('cloud_dataflow')
+    },
+    containers: {
+      project: group('#4285F4', '#F6F9FE', 'fontColor=#4285F4;'),
+      vpc: group('#34A853', 'none', 'fontColor=#34A853;'),
+      zone: group('#9E9E9E', 'none', 'dashed=1;fontColor=#616161;')
+    },
+    edge: DEFAULT_EDGE + 'strokeColor=#4285F4;'
+  },
+
+  kubernetes: {
+    name: 'Kubernetes',
+    description: 'Container orchestration diagrams',
+    category: 'containers',
+    guidance: 'Draw the cluster as the outer container with one container per namespace; route traffic Ingress -> Service -> Deployment -> Pod.',
+    shapes: {
+      pod: k8sIcon('pod'),
+      deployment: k8sIcon('deploy'),
+      service: k8sIcon('svc'),
+      ingress: k8sIcon('ing'),
+      configMap: k8sIcon('cm'),
+      secret: k8sIcon('secret'),
+      persistentVolume: k8sIcon('pv'),
+      node: k8sIcon('node')
+    },
+    containers: {
+      cluster: group('#326CE5', '#F1F5FD', 'fontColor=#326CE5;'),
+      namespace: group('#326CE5', 'none', 'dashed=1;fontColor=#326CE5;'),
+      node: group('#7F8C8D', 'none', 'fontColor=#4D5656;')
+    },
+    edge: DEFAULT_EDGE + 'strokeColor=#326CE5;'
+  },
+
+  network: {
+    name: 'Network Diagram',
+    description: 'Traditional network topology diagrams',
+    category: 'infrastructure',
+    guidance: 'Separate External, DMZ and Internal zones left to right, with firewalls on every zone boundary.',
+    shapes: {
+      router: 'shape=mxgraph.cisco.routers.router;html=1;fillColor=#036897;strokeColor=#ffffff;verticalLabelPosition=bottom;verticalAlign=top;',
+      switch: 'shape=mxgraph.cisco.switches.workgroup_switch;html=1;fillColor=#036897;strokeColor=#ffffff;verticalLabelPosition=bottom;verticalAlign=top;',
+      firewall: 'shape=mxgraph.cisco.security.firewall;html=1;fillColor=#C0392B;strokeColor=#ffffff;verticalLabelPosition=bottom;verticalAlign=top;',
+      loadBalancer: box('#FDEBD0', '#E67E22'),
+      server: 'shape=mxgraph.cisco.servers.fileserver;html=1;fillColor=#036897;strokeColor=#ffffff;verticalLabelPosition=bottom;verticalAlign=top;',
+      workstation: 'shape=mxgraph.cisco.computers_and_peripherals.workstation;html=1;fillColor=#036897;strokeColor=#ffffff;verticalLabelPosition=bottom;verticalAlign=top;',
+      cloud: 'ellipse;shape=cloud;whiteSpace=wrap;html=1;fillColor=#F4F6F7;strokeColor=#7F8C8D;',
+      internet: 'ellipse;shape=cloud;whiteSpace=wrap;html=1;fillColor=#EBF5FB;strokeColor=#2E86C1;'
+    },
+    containers: {
+      external: group('#7F8C8D', '#F8F9F9'),
+      dmz: group('#E67E22', '#FEF5E7', 'fontColor=#E67E22;'),
+      internal: group('#27AE60', '#EAFAF1', 'fontColor=#27AE60;')
+    },
+    edge: 'endArrow=none;html=1;strokeWidth=2;strokeColor=#34495E;'
+  },
+
+  infrastructure: {
+    name: 'Infrastructure',
+    description: 'On-premise datacenter and infrastructure diagrams',
+    category: 'infrastructure',
+    guidance: 'Nest Building -> Floor -> Room containers and line racks up in rows; keep power and cooling equipment along the room edges.',
+    shapes: {
+      rackServer: box('#D6EAF8', '#2874A6'),
+      bladeServer: box('#D6EAF8', '#1B4F72', 'fontStyle=1;'),
+      san: box('#E8DAEF', '#7D3C98'),
+      nas: box('#F4ECF7', '#7D3C98'),
+      ups: box('#FCF3CF', '#B7950B'),
+      pdu: box('#FEF9E7', '#B7950B'),
+      crac: box('#D1F2EB', '#148F77')
+    },
+    containers: {
+      building: group('#424949', '#FBFCFC'),
+      floor: group('#7B7D7D', 'none'),
+      room: group('#A6ACAF', '#F4F6F6'),
+      rack: group('#2C3E50', '#EAECEE', 'fontColor=#2C3E50;')
+    },
+    edge: DEFAULT_EDGE + 'strokeColor=#566573;'
+  },
+
+  flowchart: {
+    name: 'Flowchart',
+    description: 'Process flow and decision diagrams',
+    category: 'modeling',
+    guidance: 'Flow top to bottom from a Start terminator to an End terminator; label every decision branch (Yes/No).',
+    shapes: {
+      process: box('#DAE8FC', '#6C8EBF', 'rounded=0;'),
+      decision: 'rhombus;whiteSpace=wrap;html=1;fillColor=#FFF2CC;strokeColor=#D6B656;',
+      terminator: 'rounded=1;whiteSpace=wrap;html=1;arcSize=50;fillColor=#D5E8D4;strokeColor=#82B366;',
+      data: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;fillColor=#E1D5E7;strokeColor=#9673A6;',
+      document: 'shape=document;whiteSpace=wrap;html=1;boundedLbl=1;fillColor=#F5F5F5;strokeColor=#666666;',
+      subprocess: 'shape=process;whiteSpace=wrap;html=1;backgroundOutline=1;fillColor=#DAE8FC;strokeColor=#6C8EBF;',
+      connector: 'ellipse;whiteSpace=wrap;html=1;aspect=fixed;fillColor=#F8CECC;strokeColor=#B85450;'
+    },
+    containers: {},
+    edge: DEFAULT_EDGE
+  },
+
+  uml: {
+    name: 'UML',
+    description: 'Software design diagrams',
+    category: 'modeling',
+    guidance: 'For class diagrams put attributes and operations in child cells of the class swimlane; use hollow-triangle edges for inheritance and filled diamonds for composition.',
+    shapes: {
+      class: 'swimlane;fontStyle=1;align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=26;horizontalStack=0;resizeParent=1;marginBottom=0;html=1;fillColor=#DAE8FC;strokeColor=#6C8EBF;',
+      interface: 'swimlane;fontStyle=3;align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=26;horizontalStack=0;resizeParent=1;marginBottom=0;html=1;fillColor=#D5E8D4;strokeColor=#82B366;',
+      abstractClass: 'swimlane;fontStyle=3;align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=26;horizontalStack=0;resizeParent=1;marginBottom=0;html=1;fillColor=#F5F5F5;strokeColor=#666666;',
+      member: 'text;strokeColor=none;fillColor=none;align=left;verticalAlign=top;spacingLeft=4;spacingRight=4;overflow=hidden;html=1;',
+      actor: 'shape=umlActor;verticalLabelPosition=bottom;verticalAlign=top;html=1;',
+      useCase: 'ellipse;whiteSpace=wrap;html=1;fillColor=#FFF2CC;strokeColor=#D6B656;',
+      component: 'shape=component;align=left;spacingLeft=36;html=1;fillColor=#DAE8FC;strokeColor=#6C8EBF;',
+      package: 'shape=folder;fontStyle=1;spacingTop=10;tabWidth=40;tabHeight=14;tabPosition=left;html=1;fillColor=#F5F5F5;strokeColor=#666666;'
+    },
+    containers: {
+      system: group('#666666', 'none')
+    },
+    edge: 'endArrow=open;endSize=12;html=1;',
+    edges: {
+      inheritance: 'endArrow=block;endSize=16;endFill=0;html=1;',
+      implementation: 'endArrow=block;dashed=1;endFill=0;endSize=12;html=1;',
+      composition: 'endArrow=open;html=1;endSize=12;startArrow=diamondThin;startSize=14;startFill=1;edgeStyle=orthogonalEdgeStyle;',
+      aggregation: 'endArrow=open;html=1;endSize=12;startArrow=diamondThin;startSize=14;startFill=0;edgeStyle=orthogonalEdgeStyle;',
+      dependency: 'endArrow=open;endSize=12;dashed=1;html=1;'
+    }
+  }
+};
+
+const TEMPLATE_ALIASES = {
+  k8s: 'kubernetes',
+  on_premise: 'infrastructure',
+  onprem: 'infrastructure'
+};
+
+class DrawioTemplateEngine {
+  constructor(options = {}) {
+    this.templates = TEMPLATES;
+    this.renderer = options.renderer || process.env.GRAPHVIZ_BIN || 'dot';
+    this.renderTimeout = options.renderTimeout || 30000;  // ms before the PNG preview render is killed
+  }
+
+  /**
+   * Resolve a templateType (or alias) to its template key
+   */
+  resolveTemplateType(templateType) {
+    const key = String(templateType || '').toLowerCase();
+    const resolved = TEMPLATE_ALIASES[key] || key;
+    return this.templates[resolved] ? resolved : null;
+  }
+
+  /**
+   * List available templates
+   */
+  getTemplates() {
+    return Object.entries(this.templates).map(([id, template]) => ({
+      id,
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      defaultStyle: id
+    }));
+  }
+
+  /**
+   * Get full template details, or null if unknown
+   */
+  getTemplate(templateType) {
+    const id = this.resolveTemplateType(templateType);
+    if (!id) return null;
+
+    const template = this.templates[id];
+    return {
+      id,
+      ...template,
+      shapes: { ...template.shapes },
+      containers: { ...template.containers }
+    };
+  }
+
+  /**
+   * Build the system prompt for a template
+   */
+  getSystemPrompt(templateType) {
+    const template = this.getTemplate(templateType);
+    if (!template) {
+      throw new Error(`Unknown draw.io template: ${templateType}. Available: ${Object.keys(this.templates).join(', ')}`);
+    }
+
+    const shapeLines = Object.entries(template.shapes)
+      .map(([name, style]) => `- ${name}: style="${style}"`)
+      .join('\n');
+    const containerLines = Object.entries(template.containers)
+      .map(([name, style]) => `- ${name}: style="${style}"`)
+      .join('\n');
+    const edgeLines = Object.entries(template.edges || {})
+      .map(([name, style]) => `- ${name}: style="${style}"`)
+      .join('\n');
+
+    return `You are an expert architect producing ${template.name} diagrams for draw.io (diagrams.net).
+
+You MUST respond with a single valid draw.io XML document starting with <mxGraphModel> and ending with </mxGraphModel>.
+Do NOT include markdown code blocks, explanations, or any text outside the XML.
+
+STRUCTURE RULES:
+- <mxGraphModel><root> must start with <mxCell id="0"/> and <mxCell id="1" parent="0"/>
+- Every cell needs a unique id; vertices have vertex="1", edges have edge="1" with valid source and target ids
+- Every vertex and container needs <mxGeometry x="..." y="..." width="..." height="..." as="geometry"/>
+- Children of a container use parent="<container id>" and geometry relative to that container
+- Escape labels as XML (&amp; &lt; &gt; &quot;)
+- Lay out on a grid with at least 40px between shapes; icons are 60x60
+
+SHAPE STYLES (use these exact style strings):
+${shapeLines}
+${containerLines ? `\nCONTAINER STYLES:\n${containerLines}\n` : ''}${edgeLines ? `\nEDGE STYLES:\n${edgeLines}\n` : ''}
+DEFAULT EDGE STYLE: style="${template.edge}"
+
+LAYOUT GUIDANCE:
+${template.guidance}`;
+  }
+
+  /**
+   * Build the user prompt for a template
+   */
+  generatePrompt(prompt, templateType) {
+    const template = this.getTemplate(templateType);
+    const name = template ? template.name : 'architecture';
+    return `Create a ${name} diagram in draw.io XML for:\n\n${prompt}`;
+  }
+
+  /**
+   * Generate a draw.io diagram: Claude -> XML -> validated XML -> PNG preview.
+   * `onProgress(stage, details)` reports each stage (see QueueManager.PROGRESS_STAGES).
+   */
+  async generate({ prompt, templateType, style, requestId, model = config.anthropic.model, signal, onProgress = () => {} }) {
+    const resolvedType = this.resolveTemplateType(templateType || style);
+    if (!resolvedType) {
+      throw new Error(`Unknown draw.io template: ${templateType}. Available: ${Object.keys(this.templates).join(', ')}`);
+    }
+
+    const system = this.getSystemPrompt(resolvedType);
+    const userPrompt = this.generatePrompt(prompt, resolvedType);
+    onProgress('prompt_built', { message: `Prompt prepared for the ${resolvedType} template` });
+
+    onProgress('claude_started');
+    const response = await this.callClaude({
+      system,
+      prompt: userPrompt,
+      model,
+      signal,
+      onTokens: (outputTokens) => onProgress('claude_streaming', { tokens: outputTokens })
+    });
+    signal?.throwIfAborted();
+
+    let drawioXml;
+    let validation;
+    try {
+      drawioXml = this.normalizeXml(this.extractXml(response.text));
+      validation = this.validateXml(drawioXml);
+      if (!validation.valid) {
+        throw new Error(`Invalid draw.io XML: ${validation.errors.join('; ')}`);
+      }
+      onProgress('code_received', { message: `draw.io XML received (${validation.cellCount} cells)` });
+    } catch (error) {
+      // The tokens were spent even though the output is unusable
+      error.usage = response.usage;
+      throw error;
+    }
+
+    let imageData = null;
+    let previewError = null;
+    onProgress('render_started', { message: 'Rendering PNG preview' });
+    try {
+      imageData = await this.renderPng(drawioXml, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // The XML is the primary artefact; a missing preview should not fail the job
+      console.warn(`⚠️ Draw.io preview render failed for ${requestId}:`, error.message);
+      previewError = error.message;
+    }
+    onProgress('export_done', { formats: imageData ? ['drawio', 'png'] : ['drawio'] });
+
+    return {
+      imageData,
+      drawioXml,
+      svgData: null,
+      metadata: {
+        prompt,
+        templateType: resolvedType,
+        style: style || resolvedType,
+        cellCount: validation.cellCount,
+        previewError
+      },
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Call the Anthropic Messages API (streamed). Aborting `signal` cancels the request.
+   * `onTokens(outputTokens)` is called as text arrives; the count is an estimate
+   * until the final usage event.
+   */
+  async callClaude({ system, prompt, model = config.anthropic.model, signal, onTokens }) {
+    const apiKey = process.env.APPSETTING_ANTHROPIC_API_KEY || config.anthropic.apiKey;
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY not available in Node.js environment! Check Azure Portal configuration.');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      const error = new Error(`Anthropic request timed out after ${config.queue.processingTimeout}ms`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+    }, config.queue.processingTimeout);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const response = await fetch(config.anthropic.baseURL, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': config.anthropic.apiVersion,
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: 8192,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          stream: true
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Anthropic API error: ${response.status} ${errorText}`);
+      }
+
+      const { text, usage } = await this.readStream(response, onTokens, model);
+
+      if (!text) {
+        const error = new Error('No text content in Anthropic response');
+        error.usage = usage;
+        throw error;
+      }
+
+      return { text, usage };
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Read a Messages API server-sent event stream into { text, usage }
+   */
+  async readStream(response, onTokens, model = config.anthropic.model) {
+    const decoder = new TextDecoder();
+    const usage = { model, inputTokens: 0, outputTokens: 0 };
+    let buffer = '';
+    let text = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const event = JSON.parse(line.slice(5));
+
+        if (event.type === 'message_start') {
+          usage.model = event.message?.model || usage.model;
+          usage.inputTokens = event.message?.usage?.input_tokens || 0;
+          usage.outputTokens = event.message?.usage?.output_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          // Roughly four characters per token until message_delta gives the real count
+          onTokens?.(Math.ceil(text.length / 4));
+        } else if (event.type === 'message_delta' && event.usage?.output_tokens) {
+          usage.outputTokens = event.usage.output_tokens;
+        } else if (event.type === 'error') {
+          // Mid-stream failures (e.g. overloaded_error) after tokens were billed
+          const error = new Error(`Anthropic API error: ${event.error?.type} ${event.error?.message}`);
+          error.usage = usage;
+          throw error;
+        }
+      }
+    }
+
+    return { text, usage };
+  }
+
+  /**
+   * Pull the <mxGraphModel> out of a Claude response (markdown fences, <mxfile> wrappers)
+   */
+  extractXml(text) {
+    const cleaned = String(text || '').trim()
+      .replace(/^```(?:xml)?\s*/i, '')
+      .replace(/\s*```$/i, '');
+
+    const match = cleaned.match(/<mxGraphModel[\s\S]*<\/mxGraphModel>/);
+    if (!match) {
+      throw new Error('No valid draw.io XML found in response');
+    }
+    return match[0];
+  }
+
+  /**
+   * Ensure the mandatory root cells (id 0 and 1) are present
+   */
+  normalizeXml(xml) {
+    let normalized = xml;
+
+    if (!/<root\b/.test(normalized)) {
+      normalized = normalized
+        .replace(/(<mxGraphModel\b[^>]*>)/, '$1<root>')
+        .replace(/<\/mxGraphModel>$/, '</root></mxGraphModel>');
+    }
+
+    const ids = new Set(this.parseCells(normalized).map(cell => cell.id));
+    const missing = [];
+    if (!ids.has('0')) missing.push('<mxCell id="0"/>');
+    if (!ids.has('1')) missing.push('<mxCell id="1" parent="0"/>');
+
+    if (missing.length > 0) {
+      normalized = normalized.replace(/<root>/, `<root>${missing.join('')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Structural validation of an <mxGraphModel> document
+   */
+  validateXml(xml) {
+    const errors = [];
+
+    const syntaxError = wellFormednessError(xml);
+    if (syntaxError) {
+      // Nothing below can be trusted on a document that does not parse
+      return { valid: false, errors: [`not well-formed XML: ${syntaxError}`], cellCount: 0 };
+    }
+
+    if (!/^<mxGraphModel\b/.test(xml) || !/<\/mxGraphModel>$/.test(xml)) {
+      errors.push('document must be a single <mxGraphModel> element');
+    }
+    if (!/<root>[\s\S]*<\/root>/.test(xml)) {
+      errors.push('missing <root> element');
+    }
+
+    const cells = this.parseCells(xml);
+    const ids = new Set();
+    for (const cell of cells) {
+      if (!cell.id) {
+        errors.push('cell without id');
+      } else if (ids.has(cell.id)) {
+        errors.push(`duplicate cell id "${cell.id}"`);
+      }
+      ids.add(cell.id);
+    }
+
+    for (const cell of cells) {
+      if (cell.id !== '0' && cell.parent && !ids.has(cell.parent)) {
+        errors.push(`cell "${cell.id}" has unknown parent "${cell.parent}"`);
+      }
+      if (cell.edge) {
+        if (cell.source && !ids.has(cell.source)) {
+          errors.push(`edge "${cell.id}" has unknown source "${cell.source}"`);
+        }
+        if (cell.target && !ids.has(cell.target)) {
+          errors.push(`edge "${cell.id}" has unknown target "${cell.target}"`);
+        }
+      }
+    }
+
+    const vertexCount = cells.filter(cell => cell.vertex).length;
+    if (vertexCount === 0) {
+      errors.push('diagram has no shapes');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      cellCount: cells.length
+    };
+  }
+
+  /**
+   * Minimal mxCell reader: attributes plus the nested mxGeometry
+   */
+  parseCells(xml) {
+    const cells = [];
+    const cellPattern = /<mxCell\b((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/>|>([\s\S]*?)<\/mxCell>)/g;
+    let match;
+
+    while ((match = cellPattern.exec(xml)) !== null) {
+      const attrs = parseAttributes(match[1]);
+      const inner = match[3] || '';
+      const geometryMatch = inner.match(/<mxGeometry\b((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)/);
+      const geometry = geometryMatch ? parseAttributes(geometryMatch[1]) : {};
+
+      cells.push({
+        id: attrs.id,
+        parent: attrs.parent,
+        value: decodeEntities(attrs.value || ''),
+        style: parseStyle(attrs.style || ''),
+        vertex: attrs.vertex === '1',
+        edge: attrs.edge === '1',
+        source: attrs.source,
+        target: attrs.target,
+        geometry: {
+          x: Number(geometry.x) || 0,
+          y: Number(geometry.y) || 0,
+          width: Number(geometry.width) || 0,
+          height: Number(geometry.height) || 0
+        }
+      });
+    }
+
+    return cells;
+  }
+
+  /**
+   * Convert the draw.io model to Graphviz DOT with fixed positions
+   */
+  toDot(xml) {
+    const cells = this.parseCells(xml);
+    const byId = new Map(cells.map(cell => [cell.id, cell]));
+    const vertices = cells.filter(cell => cell.vertex);
+
+    // Child geometry is relative to its parent container
+    const absolute = new Map();
+    const resolvePosition = (cell, depth = 0) => {
+      if (absolute.has(cell.id)) return absolute.get(cell.id);
+      const parent = byId.get(cell.parent);
+      let position = { x: cell.geometry.x, y: cell.geometry.y, depth };
+      if (parent && parent.vertex && depth < 32) {
+        const parentPosition = resolvePosition(parent, depth + 1);
+        position = {
+          x: parentPosition.x + cell.geometry.x,
+          y: parentPosition.y + cell.geometry.y,
+          depth: parentPosition.depth + 1
+        };
+      }
+      absolute.set(cell.id, position);
+      return position;
+    };
+    vertices.forEach(cell => resolvePosition(cell));
+
+    const maxY = Math.max(...vertices.map(cell => absolute.get(cell.id).y + cell.geometry.height), 0);
+    const parentIds = new Set(vertices.map(cell => cell.parent));
+
+    // Declare containers first so children are drawn on top of them
+    const ordered = [...vertices].sort((a, b) => absolute.get(a.id).depth - absolute.get(b.id).depth);
+
+    const lines = [
+      'digraph G {',
+      '  graph [bgcolor="white", pad="0.5", dpi="150", splines="true", outputorder="nodesfirst"];',
+      '  node [fontname="Helvetica", fontsize="10", style="filled", fillcolor="white", color="#666666"];',
+      '  edge [fontname="Helvetica", fontsize="9", color="#666666"];'
+    ];
+
+    for (const cell of ordered) {
+      const position = absolute.get(cell.id);
+      const width = Math.max(cell.geometry.width, 20);
+      const height = Math.max(cell.geometry.height, 20);
+      const isContainer = parentIds.has(cell.id) || cell.style.container === '1' || 'swimlane' in cell.style;
+      const fill = cell.style.fillColor === 'none' ? null : (toColor(cell.style.fillColor) || '#FFFFFF');
+      const stroke = toColor(cell.style.strokeColor);
+      const fontColor = toColor(cell.style.fontColor);
+      const nodeStyle = [
+        fill && 'filled',
+        cell.style.rounded === '1' && 'rounded',
+        cell.style.dashed === '1' && 'dashed'
+      ].filter(Boolean).join(',');
+
+      const attrs = [
+        `label="${escapeDot(stripHtml(cell.value))}"`,
+        `pos="${(position.x + width / 2).toFixed(1)},${(maxY - position.y - height / 2).toFixed(1)}!"`,
+        `width="${(width / 72).toFixed(3)}"`,
+        `height="${(height / 72).toFixed(3)}"`,
+        'fixedsize="true"',
+        `shape="${toDotShape(cell.style)}"`,
+        `style="${nodeStyle}"`
+      ];
+      if (fill) attrs.push(`fillcolor="${fill}"`);
+      if (stroke) attrs.push(`color="${stroke}"`);
+      if (fontColor) attrs.push(`fontcolor="${fontColor}"`);
+      if (isContainer) attrs.push('labelloc="t"');
+
+      lines.push(`  "${escapeDot(cell.id)}" [${attrs.join(', ')}];`);
+    }
+
+    for (const cell of cells.filter(c => c.edge && c.source && c.target)) {
+      if (!byId.get(cell.source)?.vertex || !byId.get(cell.target)?.vertex) continue;
+      const attrs = [];
+      const label = stripHtml(cell.value);
+      if (label) attrs.push(`label="${escapeDot(label)}"`);
+      const stroke = toColor(cell.style.strokeColor);
+      if (stroke) attrs.push(`color="${stroke}"`);
+      if (cell.style.dashed === '1') attrs.push('style="dashed"');
+      if (cell.style.endArrow === 'none') attrs.push('arrowhead="none"');
+      lines.push(`  "${escapeDot(cell.source)}" -> "${escapeDot(cell.target)}" [${attrs.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a PNG preview (base64) using Graphviz. Aborting `signal` kills the renderer.
+   */
+  renderPng(xml, signal) {
+    const dot = this.toDot(xml);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const child = spawn(this.renderer, ['-Kneato', '-n2', '-Tpng'], { stdio: ['pipe', 'pipe', 'pipe'] });
+      const chunks = [];
+      let stderr = '';
+      let settled = false;
+
+      // Settle once, whichever of timeout, abort, spawn error or exit comes first
+      const settle = (error, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (error) reject(error);
+        else resolve(value);
+      };
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        settle(new Error('Preview render timed out'));
+      }, this.renderTimeout);
+
+      const onAbort = () => {
+        child.kill('SIGKILL');
+        settle(createAbortError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+      child.on('error', error => {
+        settle(new Error(`Graphviz not available (${this.renderer}): ${error.message}`));
+      });
+      child.on('close', code => {
+        if (code !== 0) {
+          settle(new Error(`Graphviz exited with code ${code}: ${stderr.trim()}`));
+          return;
+        }
+        settle(null, Buffer.concat(chunks).toString('base64'));
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(dot);
+    });
+  }
+}
+
+// Comments, processing instructions, CDATA, well-formed tags, or the first
+// character that cannot start any of them (a stray `<` or an unescaped `&`)
+const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|<|&(?!(?:lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g;
+const BAD_ENTITY = /&(?!(?:lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+/**
+ * Why `xml` is not a well-formed single-root document, or null
+ */
+function wellFormednessError(xml) {
+  const open = [];
+  let roots = 0;
+
+  for (const match of xml.matchAll(XML_TOKEN)) {
+    const [token, closing, name, attributes, selfClosing] = match;
+    if (!name) {
+      if (token === '<') return `unexpected "<" at offset ${match.index}`;
+      if (token === '&') return `unescaped "&" at offset ${match.index}`;
+      continue;
+    }
+
+    if (closing) {
+      if (attributes || selfClosing) return `malformed closing tag </${name}>`;
+      const expected = open.pop();
+      if (expected !== name) return expected ? `</${name}> closes <${expected}>` : `unexpected </${name}>`;
+      continue;
+    }
+
+    if (BAD_ENTITY.test(attributes)) return `unescaped "&" in an attribute of <${name}>`;
+    if (open.length === 0 && ++roots > 1) return 'more than one root element';
+    if (!selfClosing) open.push(name);
+  }
+
+  if (open.length > 0) return `unclosed <${open[open.length - 1]}>`;
+  if (roots === 0) return 'no root element';
+  return null;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source || '')) !== null) {
+    attrs[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attrs;
+}
+
+function parseStyle(style) {
+  const parsed = {};
+  for (const part of decodeEntities(style).split(';')) {
+    if (!part) continue;
+    const index = part.indexOf('=');
+    if (index === -1) {
+      parsed[part] = true;
+    } else {
+      parsed[part.slice(0, index)] = part.slice(index + 1);
+    }
+  }
+  return parsed;
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#xa;|&#10;/gi, '\n')
+    .replace(/&amp;/g, '&');
+}
+
+function stripHtml(text) {
+  return String(text)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+}
+
+function escapeDot(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function toColor(value) {
+  return /^#[0-9a-f]{3,8}$/i.test(value || '') ? value : null;
+}
+
+function toDotShape(style) {
+  if (style.rhombus) return 'diamond';
+  if (style.ellipse || style.shape === 'cloud') return 'ellipse';
+  if (style.shape === 'parallelogram') return 'parallelogram';
+  if (style.shape === 'document' || style.shape === 'note') return 'note';
+  if (style.shape === 'folder') return 'tab';
+  if (style.shape === 'component') return 'component';
+  return 'box';
+}
+
+module.exports = DrawioTemplateEngine;
+module.exports.TEMPLATES = TEMPLATES;
+module.exports.TEMPLATE_ALIASES = TEMPLATE_ALIASES;
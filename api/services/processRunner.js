@@ -0,0 +1,181 @@
+// services/processRunner.js - Argument-vector subprocess runner (no shell)
+const { spawn, spawnSync } = require('child_process');
+
+const KILL_GRACE_PERIOD = 5000;
+
+/**
+ * Kill a child and everything it spawned.
+ * On POSIX the child is started as a process group leader, so signalling
+ * the negative pid reaches the whole group (python -> graphviz -> ...).
+ */
+function killProcessTree(child, signal = 'SIGTERM') {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+  try {
+    if (process.platform === 'win32') {
+      spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Group already gone - fall back to the direct child
+    try {
+      child.kill(signal);
+    } catch (innerError) {
+      // Nothing left to kill
+    }
+  }
+}
+
+/**
+ * Run a command with an argument array and collect its output.
+ *
+ * Options:
+ *   cwd, env       - passed to spawn
+ *   input          - string written to stdin, then stdin is closed
+ *   timeout        - ms before the whole process tree is killed
+ *   maxBuffer      - max bytes of stdout/stderr kept
+ *   signal         - AbortSignal; aborting kills the process tree
+ *   onStderrLine   - called with each complete stderr line
+ *
+ * Resolves { stdout, stderr, code }. Rejects with an Error carrying
+ * code, signal, killed, stdout and stderr (same shape as child_process.exec).
+ */
+function runProcess(command, args, options = {}) {
+  const {
+    cwd,
+    env,
+    input,
+    timeout = 0,
+    maxBuffer = 10 * 1024 * 1024,
+    signal,
+    onStderrLine
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      shell: false,
+      detached: process.platform !== 'win32',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let stderrPartial = '';
+    let killedBy = null;
+    let settled = false;
+    let timeoutTimer = null;
+    let graceTimer = null;
+
+    const terminate = (reason) => {
+      if (killedBy) return;
+      killedBy = reason;
+      killProcessTree(child, 'SIGTERM');
+      graceTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+      graceTimer.unref();
+    };
+
+    const onAbort = () => terminate('abort');
+
+    const cleanup = () => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(graceTimer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    if (timeout > 0) {
+      timeoutTimer = setTimeout(() => terminate('timeout'), timeout);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+      if (stdout.length > maxBuffer) terminate('maxBuffer');
+    });
+
+    child.stderr.on('data', (chunk) => {
+      const text = chunk.toString();
+      stderr += text;
+      if (stderr.length > maxBuffer) {
+        stderr = stderr.slice(-maxBuffer);
+      }
+
+      if (onStderrLine) {
+        const lines = (stderrPartial + text).split(/\r?\n/);
+        stderrPartial = lines.pop();
+        for (const line of lines) {
+          if (line) onStderrLine(line);
+        }
+      }
+    });
+
+    child.on('error', (error) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+
+      if (onStderrLine && stderrPartial) onStderrLine(stderrPartial);
+
+      if (killedBy === 'abort') {
+        const error = createAbortError(signal);
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+
+      if (killedBy || code !== 0) {
+        const reason = killedBy === 'timeout'
+          ? `timed out after ${timeout}ms`
+          : killedBy === 'maxBuffer'
+            ? `exceeded maxBuffer of ${maxBuffer} bytes`
+            : `exited with code ${code}`;
+        const error = new Error(`Command failed: ${command} ${reason}`);
+        error.code = killedBy === 'timeout' ? 'ETIMEDOUT' : code;
+        error.signal = exitSignal;
+        error.killed = !!killedBy;
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+
+      resolve({ stdout, stderr, code });
+    });
+
+    child.stdin.on('error', () => {
+      // Child exited before reading stdin; the close handler reports it
+    });
+    child.stdin.end(input !== undefined ? input : undefined);
+  });
+}
+
+function createAbortError(signal) {
+  const error = new Error(signal?.reason?.message || 'The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+module.exports = {
+  runProcess,
+  killProcessTree,
+  createAbortError
+};
@@ -0,0 +1,195 @@
+// services/queueBackend.js - Where pending requests wait: this process (memory) or Redis (shared by every node)
+//
+// Both backends implement:
+//   push(item, rank)   add or replace a pending request; higher rank is dispatched first
+//   claim(tiers)       atomically take the best pending request whose tier is in `tiers`, or null
+//   get(requestId)     a pending request, or null
+//   remove(requestId)  drop a pending request; true if it was still pending
+//   list() / size()    pending requests (unordered) and their count
+//   publish(message)   send a message to every other node
+//   subscribe(fn)      receive messages published by any node
+//   close()
+const { TIERS } = require('../../shared/identity');
+const config = require('../config');
+
+/**
+ * Requests with a tier we do not know are scheduled as free
+ */
+function tierOf(item) {
+  return TIERS.includes(item.userTier) ? item.userTier : 'free';
+}
+
+class MemoryQueueBackend {
+  constructor() {
+    this.name = 'memory';
+    this.shared = false;
+    this.entries = new Map();  // requestId -> { item, rank }
+  }
+
+  async push(item, rank) {
+    this.entries.set(item.requestId, { item, rank });
+  }
+
+  async claim(tiers) {
+    let best = null;
+    for (const entry of this.entries.values()) {
+      if (!tiers.includes(tierOf(entry.item))) continue;
+      if (!best || entry.rank > best.rank ||
+          (entry.rank === best.rank && new Date(entry.item.timestamp) < new Date(best.item.timestamp))) {
+        best = entry;
+      }
+    }
+
+    if (!best) return null;
+    this.entries.delete(best.item.requestId);
+    return best.item;
+  }
+
+  async get(requestId) {
+    return this.entries.get(requestId)?.item || null;
+  }
+
+  async remove(requestId) {
+    return this.entries.delete(requestId);
+  }
+
+  async list() {
+    return [...this.entries.values()].map(entry => entry.item);
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  // A single process has nobody to talk to
+  async publish() {}
+
+  async subscribe() {}
+
+  async close() {}
+}
+
+// KEYS[1] items hash, KEYS[2..] one pending sorted set per allowed tier (score = -rank)
+const CLAIM_SCRIPT = `
+local best, bestKey, bestScore
+for i = 2, #KEYS do
+  local head = redis.call('ZRANGE', KEYS[i], 0, 0, 'WITHSCORES')
+  if head[1] and (not bestScore or tonumber(head[2]) < bestScore) then
+    best, bestKey, bestScore = head[1], KEYS[i], tonumber(head[2])
+  end
+end
+if not best then return false end
+redis.call('ZREM', bestKey, best)
+local item = redis.call('HGET', KEYS[1], best)
+redis.call('HDEL', KEYS[1], best)
+return item
+`;
+
+// KEYS[1] items hash, KEYS[2..] every pending sorted set; ARGV[1] requestId
+const REMOVE_SCRIPT = `
+local removed = redis.call('HDEL', KEYS[1], ARGV[1])
+for i = 2, #KEYS do
+  redis.call('ZREM', KEYS[i], ARGV[1])
+end
+return removed
+`;
+
+/**
+ * Pending requests live in Redis: one sorted set per tier holds the order and
+ * a hash holds the request bodies. Claims run as a Lua script, so two nodes
+ * can never take the same request.
+ */
+class RedisQueueBackend {
+  constructor({ createRedisClient = require('../config/redis').createRedisClient } = {}) {
+    this.name = 'redis';
+    this.shared = true;
+    this.client = createRedisClient('commands');
+    this.subscriber = null;
+    this.createRedisClient = createRedisClient;
+    // The {queue} hash tag keeps every key in one Redis Cluster slot, as the scripts require
+    this.itemsKey = '{queue}:items';
+    this.channel = `${config.redis.keyPrefix}queue:events`;  // channels are not key-prefixed
+
+    this.client.defineCommand('claimPending', { lua: CLAIM_SCRIPT });
+    this.client.defineCommand('removePending', { lua: REMOVE_SCRIPT });
+  }
+
+  pendingKey(tier) {
+    return `{queue}:pending:${tier}`;
+  }
+
+  async push(item, rank) {
+    await this.client.multi()
+      .hset(this.itemsKey, item.requestId, JSON.stringify(item))
+      .zadd(this.pendingKey(tierOf(item)), -rank, item.requestId)
+      .exec();
+  }
+
+  async claim(tiers) {
+    const keys = tiers.map(tier => this.pendingKey(tier));
+    const raw = await this.client.claimPending(1 + keys.length, this.itemsKey, ...keys);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async get(requestId) {
+    const raw = await this.client.hget(this.itemsKey, requestId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async remove(requestId) {
+    const keys = TIERS.map(tier => this.pendingKey(tier));
+    return (await this.client.removePending(1 + keys.length, this.itemsKey, ...keys, requestId)) === 1;
+  }
+
+  async list() {
+    const values = await this.client.hvals(this.itemsKey);
+    return values.map(raw => JSON.parse(raw));
+  }
+
+  async size() {
+    return this.client.hlen(this.itemsKey);
+  }
+
+  async publish(message) {
+    await this.client.publish(this.channel, JSON.stringify(message));
+  }
+
+  async subscribe(handler) {
+    if (!this.subscriber) {
+      this.subscriber = this.createRedisClient('subscriber');
+      this.subscriber.on('message', (channel, raw) => {
+        if (channel !== this.channel) return;
+        try {
+          handler(JSON.parse(raw));
+        } catch (error) {
+          console.error('Queue channel message error:', error);
+        }
+      });
+    }
+    await this.subscriber.subscribe(this.channel);
+  }
+
+  async close() {
+    await Promise.all([this.client, this.subscriber].filter(Boolean).map(client => client.quit()));
+  }
+}
+
+/**
+ * Backend selected by config.queue.backend
+ */
+function createQueueBackend(name = config.queue.backend) {
+  switch (name) {
+    case 'memory':
+      return new MemoryQueueBackend();
+    case 'redis':
+      return new RedisQueueBackend();
+    default:
+      throw new Error(`Unknown queue backend: ${name} (expected 'memory' or 'redis')`);
+  }
+}
+
+module.exports = {
+  createQueueBackend,
+  MemoryQueueBackend,
+  RedisQueueBackend
+};
@@ -1,23 +1,134 @@
 // QueueManager - Complete Version with Draw.io XML Support
-const redis = require('../config/redis');
 const mongoose = require('mongoose');
-const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const util = require('util');
 const { EventEmitter } = require('events');
-const execPromise = util.promisify(exec);
+const DrawioTemplateEngine = require('./drawioTemplates');
+const ResultCache = require('./resultCache');
+const { runProcess } = require('./processRunner');
+const { createQueueBackend } = require('./queueBackend');
+const { TIERS } = require('../../shared/identity');
+const config = require('../config');
 const scriptPath = path.join(__dirname, '../scripts/generate_diagram.py');
 
+/**
+ * Generation stages reported while a request is processing, in order.
+ * `progress` is the default percentage; claude_streaming climbs from 20 to 60
+ * as tokens arrive.
+ */
+const PROGRESS_STAGES = {
+    started: { progress: 5, message: 'Starting generation' },
+    prompt_built: { progress: 10, message: 'Prompt prepared' },
+    claude_started: { progress: 15, message: 'Asking Claude to design the diagram' },
+    claude_streaming: { progress: 20, message: 'Claude is writing the diagram' },
+    code_received: { progress: 65, message: 'Diagram code received' },
+    render_started: { progress: 75, message: 'Rendering diagram' },
+    export_done: { progress: 95, message: 'Export complete' },
+    completed: { progress: 100, message: 'Completed' }
+};
+
+const STREAMING_PROGRESS_RANGE = [20, 60];
+const EXPECTED_OUTPUT_TOKENS = 4000;
+const PROGRESS_EMIT_INTERVAL = 500;    // ms between streaming updates
+const PROGRESS_PERSIST_INTERVAL = 2000; // ms between DB writes within one stage
+const PROGRESS_ESTIMATE_INTERVAL = 2000; // ms between estimated updates for scripts without PROGRESS lines
+const ESTIMATED_PROGRESS_CEILING = 90;
+
+/**
+ * Events relayed to every node over the backend's channel, so a WebSocket
+ * client hears about a job whichever node it is connected to
+ */
+const CLUSTER_EVENTS = ['enqueued', 'processing', 'progress', 'completed', 'failed', 'retry', 'cancelled'];
+
 
 class QueueManager extends EventEmitter {
-    constructor(db, usageTracker) {
+    constructor(db, usageTracker, backend = createQueueBackend()) {
         super();
         this.db = db;
         this.usageTracker = usageTracker;
-        this.queue = [];
-        this.processing = false;
-        this.currentRequest = null;
+        this.backend = backend;
+        this.nodeId = config.queue.nodeId;
+        this.stopped = false;
+        this.dispatching = false;
+        this.dispatchAgain = false;
+        this.pollTimer = null;
+        this.concurrency = config.queue.concurrency;
+        this.tierConcurrency = config.queue.tierConcurrency;
+        this.scheduling = config.queue.scheduling;
+        this.averageJobSeconds = this.scheduling.defaultJobSeconds;
+        this.workers = Array.from({ length: this.concurrency }, (_, index) => ({
+            id: index + 1,
+            state: 'idle',
+            request: null,
+            startedAt: null,
+            abortController: null,
+            processed: 0
+        }));
+        this.retryTimers = new Map();
         this.wsClients = new Map();
+        this.drawioEngine = new DrawioTemplateEngine();
+        this.resultCache = new ResultCache(db);
+    }
+
+    /**
+     * Join the cluster (shared backends only) and reload unfinished work
+     */
+    async start() {
+        if (this.backend.shared) {
+            for (const event of CLUSTER_EVENTS) {
+                this.on(event, data => this.publish({ type: 'event', event, data }));
+            }
+            await this.backend.subscribe(message => this.handleClusterMessage(message));
+
+            // Wake-ups can be missed while every worker is busy
+            this.pollTimer = setInterval(() => this.processQueue(), config.queue.pollIntervalMs);
+            this.pollTimer.unref();
+        }
+
+        console.log(`Queue backend: ${this.backend.name} (node ${this.nodeId})`);
+        await this.restoreQueue();
+    }
+
+    /**
+     * Listen for `event` from any node. Plain `on()` only hears this node, which is
+     * what once-per-job work (webhooks, usage) wants.
+     */
+    onClusterEvent(event, listener) {
+        this.on(event, listener);
+        this.on(`remote:${event}`, listener);
+    }
+
+    publish(message) {
+        if (!this.backend.shared) return;
+
+        this.backend.publish({ node: this.nodeId, ...message }).catch(error => {
+            console.error(`Queue channel publish error (${message.type}):`, error);
+        });
+    }
+
+    handleClusterMessage(message) {
+        if (message.node === this.nodeId) return;
+
+        switch (message.type) {
+            case 'event':
+                this.emit(`remote:${message.event}`, message.data);
+                break;
+            case 'wake':
+                this.processQueue();
+                break;
+            case 'cancel':
+                this.abortLocal(message.requestId);
+                break;
+        }
+    }
+
+    /**
+     * Add a request to the pending set and tell idle workers on other nodes
+     */
+    async pushPending(request) {
+        await this.backend.push(request, this.getSchedulingRank(request));
+        this.publish({ type: 'wake' });
     }
 
     setWebSocketServer(wss) {
@@ -36,6 +147,7 @@ class QueueManager extends EventEmitter {
             requestId: 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             userId: options.userId,
             userTier: options.userTier,
+            submittedBy: options.submittedBy || null,  // Service that acted for userId, if any
             prompt: options.prompt,
             format: options.format || 'graphviz',
             diagramType: options.diagramType || 'python',
@@ -44,10 +156,45 @@ class QueueManager extends EventEmitter {
             quality: options.quality || 'standard',
             outputFormat: options.outputFormat || 'png',
             drawioNative: options.drawioNative || false,  // NEW: Draw.io XML export flag
+            priority: options.priority || 0,
+            callbackUrl: options.callbackUrl || null,  // Webhook target for completed/failed/cancelled
+            noCache: !!options.noCache,  // Regenerate even if an identical request has a cached result
+            model: config.anthropic.model,  // Fixed at enqueue: the cache key and both generators use it
             timestamp: new Date()
         };
+        request.cacheKey = this.resultCache.keyFor(request);
+
+        if (this.resultCache.enabled) {
+            request.cache = request.noCache ? 'bypass' : 'miss';
+        }
+
+        if (!request.noCache) {
+            const cached = await this.resultCache.get(request.cacheKey);
+            if (cached) {
+                return this.completeFromCache(request, cached);
+            }
+        }
+
+        if (await this.backend.size() >= config.queue.maxSize) {
+            const error = new Error(`Queue is full (${config.queue.maxSize} pending requests). Please try again later.`);
+            error.code = 'QUEUE_FULL';
+            throw error;
+        }
         
-        this.queue.push(request);
+        // Persist before accepting so a restart cannot lose the job
+        await this.persistRequest(request);
+
+        try {
+            await this.pushPending(request);
+        } catch (queueError) {
+            await this.saveResultToDatabase(request.requestId, {
+                status: 'failed',
+                error: 'Could not queue request'
+            });
+            const error = new Error(`Queue backend unavailable: ${queueError.message}`);
+            error.code = 'QUEUE_UNAVAILABLE';
+            throw error;
+        }
         
         console.log(`✓ Enqueued: ${request.requestId}`);
         console.log(`  Type: ${request.diagramType}`);
@@ -55,50 +202,299 @@ class QueueManager extends EventEmitter {
         if (request.diagramType === 'python') {
             console.log(`  Quality: ${request.quality}, DrawioNative: ${request.drawioNative}`);
         }
-        console.log(`  Queue length: ${this.queue.length}`);
         
-        this.emit('enqueued', request);
+        this.emit('enqueued', { ...request, position: await this.getQueuePosition(request.requestId) });
         
-        if (!this.processing) {
-            this.processQueue();
-        }
+        await this.processQueue();
+
+        const position = await this.getQueuePosition(request.requestId);
 
         return {
             success: true,
             requestId: request.requestId,
-            position: this.queue.length,
-            estimatedWaitTime: this.queue.length * 30,
-            status: 'queued'
+            position,
+            estimatedWaitTime: this.estimateWaitTime(request, position),
+            status: position > 0 ? 'queued' : 'processing'
         };
     }
 
+    /**
+     * Finish a request straight from the result cache: it is never queued and no tokens are spent
+     */
+    async completeFromCache(request, entry) {
+        request.cache = 'hit';
+        const completedAt = new Date();
+        const usage = await this.recordJobUsage(request, { success: true });
+        const progress = { stage: 'completed', progress: 100, message: 'Completed (cached result)', updatedAt: completedAt };
+
+        await this.persistRequest(request, {
+            status: 'completed',
+            result: entry.result,
+            drawioXml: entry.drawioXml,
+            svgData: entry.svgData,
+            metadata: entry.metadata,
+            cachedFrom: entry.sourceRequestId,
+            usage,
+            progress,
+            completedAt
+        });
+
+        console.log(`✓ Served from cache: ${request.requestId} (same as ${entry.sourceRequestId})`);
+
+        this.emit('completed', {
+            requestId: request.requestId,
+            userId: request.userId,
+            result: entry.result,
+            drawioXml: entry.drawioXml,
+            usage,
+            cached: true
+        });
+
+        return {
+            success: true,
+            requestId: request.requestId,
+            position: 0,
+            estimatedWaitTime: 0,
+            status: 'completed',
+            cached: true
+        };
+    }
+
+    /**
+     * Scheduling score: tier base + admin priority + aging bonus for time spent waiting
+     */
+    getEffectivePriority(request, now = Date.now()) {
+        const { tierPriority, agingPerMinute } = this.scheduling;
+        const tierScore = tierPriority[request.userTier] ?? tierPriority.free;
+        const waitedMinutes = (now - new Date(request.timestamp).getTime()) / 60000;
+
+        return tierScore + (request.priority || 0) + Math.max(0, waitedMinutes) * agingPerMinute;
+    }
+
+    /**
+     * Time-independent form of getEffectivePriority used to order the backend:
+     * every pending request gains aging at the same rate, so ranking by
+     * score minus the aging already "owed" at submission gives the same order
+     */
+    getSchedulingRank(request) {
+        const { tierPriority, agingPerMinute } = this.scheduling;
+        const tierScore = tierPriority[request.userTier] ?? tierPriority.free;
+        const submittedMinutes = new Date(request.timestamp).getTime() / 60000;
+
+        return tierScore + (request.priority || 0) - submittedMinutes * agingPerMinute;
+    }
+
+    /**
+     * Pending requests in the order workers will pick them up (highest score, then oldest)
+     */
+    async getScheduledQueue(now = Date.now()) {
+        return (await this.backend.list())
+            .map(request => ({ request, score: this.getEffectivePriority(request, now) }))
+            .sort((a, b) => b.score - a.score ||
+                new Date(a.request.timestamp) - new Date(b.request.timestamp))
+            .map(entry => entry.request);
+    }
+
+    /**
+     * 1-based position in the scheduling order, or 0 if the request is not pending
+     */
+    async getQueuePosition(requestId) {
+        return (await this.getScheduledQueue()).findIndex(req => req.requestId === requestId) + 1;
+    }
+
+    /**
+     * Seconds until a request at `position` should start, based on observed job durations.
+     * Lower-tier requests are limited to their tier's concurrency cap.
+     */
+    estimateWaitTime(request, position) {
+        if (position <= 0) return 0;
+
+        const tierCap = this.tierConcurrency[request.userTier] ?? this.tierConcurrency.free;
+        const lanes = Math.max(1, Math.min(this.concurrency, tierCap));
+
+        return Math.ceil(position / lanes) * Math.round(this.averageJobSeconds);
+    }
+
+    /**
+     * Dispatch queued requests to idle workers in priority order,
+     * respecting this node's per-tier concurrency caps.
+     * Calls made while a dispatch is running are folded into one more pass.
+     */
     async processQueue() {
-        if (this.processing || this.queue.length === 0) {
+        if (this.stopped) {
             return;
         }
 
-        this.processing = true;
+        if (this.dispatching) {
+            this.dispatchAgain = true;
+            return;
+        }
+
+        this.dispatching = true;
+        try {
+            let worker = this.workers.find(w => w.state === 'idle');
 
-        while (this.queue.length > 0) {
-            const request = this.queue.shift();
-            this.currentRequest = request;
+            while (worker && !this.stopped) {
+                const activeByTier = this.getActiveByTier();
+                const tiers = TIERS.filter(tier =>
+                    (activeByTier[tier] || 0) < (this.tierConcurrency[tier] ?? this.tierConcurrency.free));
 
-            try {
-                console.log(`Processing: ${request.requestId}`);
-                this.emit('processing', request);
-                await this.processRequest(request);
-            } catch (error) {
-                console.error(`Processing error:`, error);
+                const request = tiers.length > 0 ? await this.backend.claim(tiers) : null;
+                if (!request) {
+                    break;
+                }
+
+                this.runWorker(worker, request);
+                worker = this.workers.find(w => w.state === 'idle');
+            }
+        } catch (error) {
+            console.error('Queue dispatch error:', error);
+        } finally {
+            this.dispatching = false;
+        }
+
+        if (this.dispatchAgain) {
+            this.dispatchAgain = false;
+            await this.processQueue();
+        }
+    }
+
+    async runWorker(worker, request) {
+        worker.state = 'busy';
+        worker.request = request;
+        worker.startedAt = new Date();
+        worker.abortController = new AbortController();
+        request.attempts = (request.attempts || 0) + 1;
+
+        let claimed = false;
+        try {
+            claimed = await this.markProcessing(request, worker);
+            if (!claimed) {
+                // Cancelled, or already picked up elsewhere after a duplicate push
+                console.log(`Skipping ${request.requestId}: no longer queued`);
+                return;
+            }
+            console.log(`Processing: ${request.requestId} (worker ${worker.id}, attempt ${request.attempts})`);
+            this.emit('processing', { ...request, workerId: worker.id });
+            await this.processRequest(request, worker.abortController.signal);
+            this.recordJobDuration(Date.now() - worker.startedAt.getTime());
+        } catch (error) {
+            if (request.cancelled) {
+                // cancelRequest() already persisted the status and emitted the event
+                console.log(`✗ Cancelled while processing: ${request.requestId}`);
+                return;
+            }
+
+            console.error(`Processing error:`, error);
+            this.accumulateUsage(request, error.usage || error.cause?.usage);
+            const errorClass = this.classifyError(error, worker.abortController.signal);
+
+            if (this.shouldRetry(request, errorClass)) {
+                await this.scheduleRetry(request, error, errorClass);
+            } else {
                 await this.handleRequestFailure(request, error);
             }
+        } finally {
+            worker.state = 'idle';
+            worker.request = null;
+            worker.startedAt = null;
+            worker.abortController = null;
+            if (claimed) worker.processed++;
+            setImmediate(() => this.processQueue());
+        }
+    }
+
+    /**
+     * Exponential moving average of successful job durations, used for wait estimates
+     */
+    recordJobDuration(durationMs) {
+        this.averageJobSeconds = this.averageJobSeconds * 0.8 + (durationMs / 1000) * 0.2;
+    }
+
+    /**
+     * Add one attempt's token counts to the request's running total.
+     * Accepts the engine's camelCase shape and the Anthropic snake_case shape.
+     */
+    accumulateUsage(request, usage) {
+        if (!usage) return;
+
+        const previous = request.usage || { model: null, inputTokens: 0, outputTokens: 0 };
+        request.usage = {
+            model: usage.model || previous.model,
+            inputTokens: previous.inputTokens + (usage.inputTokens ?? usage.input_tokens ?? 0),
+            outputTokens: previous.outputTokens + (usage.outputTokens ?? usage.output_tokens ?? 0),
+            estimated: !!(previous.estimated || usage.estimated)
+        };
+    }
+
+    /**
+     * Write the job's usage record (all attempts) and return the summary stored with the result
+     */
+    async recordJobUsage(request, { success, errorCode = null }) {
+        const usage = request.usage || { model: null, inputTokens: 0, outputTokens: 0 };
+        const summary = {
+            model: usage.model || request.model || config.anthropic.model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            tokensUsed: usage.inputTokens + usage.outputTokens,
+            estimatedCost: 0,
+            ...(usage.estimated && { estimated: true })  // counts estimated in Node, not reported by the script
+        };
+
+        if (!this.usageTracker) return summary;
+
+        try {
+            const record = await this.usageTracker.recordUsage(request.userId, {
+                ...summary,
+                requestId: request.requestId,
+                submittedBy: request.submittedBy,
+                cache: request.cache,
+                diagramType: request.diagramType,
+                style: request.style,
+                quality: request.quality,
+                attempts: request.attempts,
+                success,
+                errorCode
+            });
+            summary.estimatedCost = record.estimatedCost;
+        } catch (error) {
+            console.error('Usage recording error:', error);
+        }
+
+        return summary;
+    }
 
-            this.currentRequest = null;
+    /**
+     * Jobs a user has queued, waiting to retry or running - accepted but not yet recorded as usage
+     */
+    async getPendingCount(userId) {
+        if (this.backend.shared && this.db) {
+            // Other nodes' workers and retry timers are only visible in the database
+            return this.db.collection(config.database.queueCollection).countDocuments({
+                userId,
+                status: { $in: ['queued', 'retrying', 'processing'] }
+            });
         }
 
-        this.processing = false;
+        const matches = req => req.userId === userId;
+
+        return (await this.backend.list()).filter(matches).length +
+            [...this.retryTimers.values()].filter(entry => matches(entry.request)).length +
+            this.workers.filter(w => w.request && matches(w.request)).length;
     }
 
-    async processRequest(request) {
+    getActiveByTier() {
+        const active = {};
+        for (const worker of this.workers) {
+            if (worker.request) {
+                const tier = worker.request.userTier || 'free';
+                active[tier] = (active[tier] || 0) + 1;
+            }
+        }
+        return active;
+    }
+
+    async processRequest(request, signal) {
         const { 
             requestId, 
             prompt, 
@@ -108,14 +504,16 @@ class QueueManager extends EventEmitter {
             templateType,
             quality, 
             userId, 
-            drawioNative 
+            drawioNative,
+            model = config.anthropic.model  // requests restored from before the field existed
         } = request;
 
+        const onProgress = (stage, details) => this.reportProgress(request, stage, details);
+
         try {
-            await this.updateRequestStatus(requestId, 'generating', {
-                message: 'Generating diagram...',
-                progress: 10
-            });
+            request.progress = null;  // A retry starts over
+            request.progressTiming = null;
+            onProgress('started');
 
             let result;
 
@@ -126,7 +524,10 @@ class QueueManager extends EventEmitter {
                     prompt,
                     templateType,
                     style,
-                    requestId
+                    requestId,
+                    model,
+                    signal,
+                    onProgress
                 });
             } else {
                 console.log(`🐍 Using Python diagram generator`);
@@ -136,10 +537,20 @@ class QueueManager extends EventEmitter {
                     format: format || 'graphviz',
                     quality,
                     requestId,
-                    drawioNative
+                    drawioNative,
+                    model,
+                    signal,
+                    onProgress
                 });
             }
 
+            // A cancel that lands after generation finished must not be overwritten
+            signal?.throwIfAborted();
+
+            this.accumulateUsage(request, result.usage);
+            const usage = await this.recordJobUsage(request, { success: true });
+            this.reportProgress(request, 'completed');
+
             await this.updateRequestStatus(requestId, 'completed', {
                 message: 'Completed',
                 progress: 100,
@@ -153,15 +564,20 @@ class QueueManager extends EventEmitter {
                 drawioXml: result.drawioXml,
                 svgData: result.svgData,
                 metadata: result.metadata,
+                usage,
+                progress: request.progress,
                 userId,
                 completedAt: new Date()
             });
 
+            await this.resultCache.set(request.cacheKey || this.resultCache.keyFor(request), request, result);
+
             this.emit('completed', {
                 requestId,
+                userId,
                 result: result.imageData,
                 drawioXml: result.drawioXml,
-                usage: {}
+                usage
             });
 
             console.log(`✓ Completed: ${requestId}`);
@@ -176,31 +592,38 @@ class QueueManager extends EventEmitter {
     }
 
     /**
-     * Generate diagram using Draw.io templates (your existing system)
+     * Generate diagram using Draw.io templates
      */
     async generateDrawioDiagram(params) {
-        const { prompt, templateType, style, requestId } = params;
+        const { prompt, templateType, style, requestId, model, signal, onProgress } = params;
         
         console.log('🎨 Draw.io template generation:', { templateType, style });
         
-        // TODO: Implement your existing Draw.io template generation here
-        // This is placeholder - replace with your actual implementation
-        
-        throw new Error('Draw.io template generation not yet implemented in queueManager. Please implement generateDrawioDiagram() method.');
-        
-        // Example of what this should return:
-        // return {
-        //     imageData: base64ImageData,
-        //     drawioXml: drawioXmlString,  // Optional
-        //     metadata: { templateType, style }
-        // };
+        const result = await this.drawioEngine.generate({
+            prompt,
+            templateType,
+            style,
+            requestId,
+            model,
+            signal,
+            onProgress
+        });
+
+        console.log('✅ Draw.io result:', {
+            templateType: result.metadata.templateType,
+            cellCount: result.metadata.cellCount,
+            drawioXmlLength: result.drawioXml.length,
+            hasImageData: !!result.imageData
+        });
+
+        return result;
     }
 
     /**
      * Generate diagram using Python script
      */
     async generateDiagramViaPython(params) {
-        const { prompt, style, format, quality, requestId, drawioNative } = params;
+        const { prompt, style, format, quality, requestId, drawioNative, model = config.anthropic.model, signal, onProgress = () => {} } = params;
         
         const diagramFormat = format || 'graphviz';
         
@@ -230,18 +653,20 @@ class QueueManager extends EventEmitter {
         }
         // ============================================================================
         
-        const scriptPath = path.join(__dirname, '../scripts/generate_diagram.py');
-        
-        const command = `python3.11 "${scriptPath}" \
-            --prompt "${prompt.replace(/"/g, '\\"')}" \
-            --format "${diagramFormat}" \
-            --style "${style}" \
-            --quality "${quality}" \
-            --request-id "${requestId}"`;
+        const { promptArgs, tempDir } = await this.promptArgs(prompt);
+
+        const args = [
+            scriptPath,
+            ...promptArgs,
+            '--format', diagramFormat,
+            '--style', String(style),
+            '--quality', String(quality),
+            '--request-id', requestId
+        ];
 
         try {
             console.log(`Executing Python script...`);
-            console.log(`Command: ${command}`);
+            console.log(`Args: ${JSON.stringify(args)}`);
             console.log(`Working dir: ${process.cwd()}`);
             console.log(`Script path: ${scriptPath}`);
             
@@ -250,7 +675,7 @@ class QueueManager extends EventEmitter {
                 ...process.env,
                 PATH: `${process.env.PATH}:/usr/local/bin:/opt/homebrew/bin`,
                 ANTHROPIC_API_KEY: process.env.APPSETTING_ANTHROPIC_API_KEY || process.env.ANTHROPIC_API_KEY,
-                CLAUDE_MODEL: process.env.APPSETTING_CLAUDE_MODEL || process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
+                CLAUDE_MODEL: model,
                 PYTHONUNBUFFERED: '1'
             };
 
@@ -258,24 +683,47 @@ class QueueManager extends EventEmitter {
             console.log('- ANTHROPIC_API_KEY:', envVars.ANTHROPIC_API_KEY ? `Set (${envVars.ANTHROPIC_API_KEY.length} chars, starts with ${envVars.ANTHROPIC_API_KEY.substring(0, 20)}...)` : 'NOT SET');
             console.log('- PATH:', envVars.PATH?.substring(0, 100) + '...');
             
-            const { stdout, stderr } = await execPromise(command, {
+            // Scripts that print no PROGRESS lines still show movement: an estimate
+            // from the average job duration runs until the first real stage arrives
+            onProgress('prompt_built');
+            onProgress('claude_started');
+            const stopEstimate = this.estimateProgress(onProgress);
+            const scriptProgress = (stage, details) => {
+                stopEstimate();
+                onProgress(stage, details);
+            };
+
+            const { stdout } = await runProcess(config.python.bin, args, {
                 maxBuffer: 10 * 1024 * 1024,
-                timeout: 120000,
+                timeout: config.queue.processingTimeout,
                 cwd: path.join(__dirname, '..'),
-                env: envVars
-            });
+                env: envVars,
+                signal,
+                onStderrLine: (line) => this.handlePythonOutputLine(requestId, line, scriptProgress)
+            }).finally(stopEstimate);
 
             console.log('Python stdout:', stdout);
-            if (stderr) {
-                console.log('Python stderr:', stderr);
-            }
 
             const result = JSON.parse(stdout);
             
             if (!result.success) {
-                throw new Error(result.error || 'Generation failed');
+                const error = new Error(result.error || 'Generation failed');
+                error.usage = result.usage;
+                throw error;
+            }
+
+            if (!result.usage) {
+                result.usage = this.estimateUsage(prompt, quality, result, model);
             }
             
+            onProgress('export_done', {
+                formats: [
+                    result.imageData && (result.format === 'svg' ? 'svg' : 'png'),
+                    result.svgData && 'svg',
+                    result.drawioXml && 'drawio'
+                ].filter((format, index, formats) => format && formats.indexOf(format) === index)
+            });
+
             // Debug logging for result
             console.log('✅ Python result parsed:', {
                 success: result.success,
@@ -291,17 +739,251 @@ class QueueManager extends EventEmitter {
 
         } catch (error) {
             console.error('❌ Python error:', error);
+            // A failed run may still print its JSON result (with token usage) before exiting non-zero
+            if (!error.usage && error.stdout) {
+                try {
+                    error.usage = JSON.parse(error.stdout).usage;
+                } catch (parseError) {
+                    // No parseable result on stdout
+                }
+            }
             console.error('Error details:', {
                 message: error.message,
                 stdout: error.stdout,
                 stderr: error.stderr
             });
-            throw new Error(`Diagram generation failed: ${error.message}`);
+            throw new Error(`Diagram generation failed: ${error.message}`, { cause: error });
+        } finally {
+            if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Arguments that hand the prompt to generate_diagram.py: a private (0600) temp
+     * file, so the prompt never shows up in `ps` or gets parsed as an option.
+     * config.python.legacyPromptArg passes it as one `--prompt=<value>` token instead.
+     */
+    async promptArgs(prompt) {
+        if (config.python.legacyPromptArg) {
+            return { promptArgs: [`--prompt=${prompt}`], tempDir: null };
+        }
+
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'diagram-prompt-'));
+        const promptFile = path.join(tempDir, 'prompt.txt');
+        await fs.promises.writeFile(promptFile, prompt, { encoding: 'utf8', mode: 0o600 });
+        return { promptArgs: ['--prompt-file', promptFile], tempDir };
+    }
+
+    /**
+     * Report estimated `claude_streaming` progress every few seconds, rising
+     * towards 90% on the scale of the average job duration. Returns a stop function.
+     */
+    estimateProgress(onProgress) {
+        const startedAt = Date.now();
+        const [from] = STREAMING_PROGRESS_RANGE;
+        const timer = setInterval(() => {
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const progress = from + (ESTIMATED_PROGRESS_CEILING - from) * (1 - Math.exp(-elapsed / this.averageJobSeconds));
+            onProgress('claude_streaming', { progress, message: 'Generating diagram (estimated progress)' });
+        }, PROGRESS_ESTIMATE_INTERVAL);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Token usage for a successful run whose script did not report any, so
+     * quotas and pricing still apply. Input is the prompt plus the script's own
+     * instructions; output is the generated code when the result includes it,
+     * otherwise a typical size for the quality level.
+     */
+    estimateUsage(prompt, quality, result = {}, model = config.anthropic.model) {
+        const { charsPerToken, promptOverheadTokens, outputTokens } = config.anthropic.usageEstimate;
+        const code = [result.code, result.metadata?.code].find(value => typeof value === 'string');
+
+        return {
+            model,
+            inputTokens: promptOverheadTokens + Math.ceil(prompt.length / charsPerToken),
+            outputTokens: code
+                ? Math.ceil(code.length / charsPerToken)
+                : outputTokens[quality] || outputTokens.standard,
+            estimated: true
+        };
+    }
+
+    /**
+     * Forward progress lines from generate_diagram.py to status subscribers.
+     * Progress lines look like: PROGRESS {"stage": "render_started", "progress": 75, "message": "Rendering diagram"}
+     */
+    handlePythonOutputLine(requestId, line, onProgress) {
+        const match = line.match(/^PROGRESS\s+(\{.*\})\s*$/);
+        if (!match) {
+            console.log(`[python ${requestId}] ${line}`);
+            return;
+        }
+
+        try {
+            const { stage, progress, message, tokens, formats } = JSON.parse(match[1]);
+            onProgress(stage || 'generating', { progress, message, tokens, formats });
+        } catch (error) {
+            console.log(`[python ${requestId}] ${line}`);
+        }
+    }
+
+    /**
+     * Record a generation stage on the request and tell subscribers ('progress' event).
+     * Progress never goes backwards within an attempt. Streaming updates are
+     * throttled, and DB writes happen on stage changes or every few seconds,
+     * so GET /status stays current without a write per token.
+     */
+    reportProgress(request, stage, details = {}) {
+        // Stages the script invents still get through, keeping the current percentage
+        const defaults = PROGRESS_STAGES[stage] || { progress: request.progress?.progress || 0, message: 'Generating diagram...' };
+        const previous = request.progress;
+        const now = Date.now();
+
+        let progress = Number.isFinite(details.progress) ? details.progress : defaults.progress;
+        let message = details.message || defaults.message;
+        if (stage === 'claude_streaming' && Number.isFinite(details.tokens)) {
+            const [from, to] = STREAMING_PROGRESS_RANGE;
+            progress = Math.min(to, from + Math.round((details.tokens / EXPECTED_OUTPUT_TOKENS) * (to - from)));
+            message = details.message || `${defaults.message} (~${details.tokens} tokens)`;
+        }
+        if (stage === 'export_done' && details.formats?.length) {
+            message = details.message || `Exported ${details.formats.map(format => format.toUpperCase()).join(', ')}`;
+        }
+        progress = Math.max(previous?.progress || 0, Math.min(100, Math.round(progress)));
+
+        const timing = request.progressTiming || { emittedAt: 0, persistedAt: 0 };
+        const stageChanged = previous?.stage !== stage;
+        if (!stageChanged && now - timing.emittedAt < PROGRESS_EMIT_INTERVAL) {
+            return;
+        }
+
+        request.progress = {
+            stage,
+            progress,
+            message,
+            ...(Number.isFinite(details.tokens) && { tokens: details.tokens }),
+            ...(details.formats && { formats: details.formats }),
+            updatedAt: new Date(now)
+        };
+        timing.emittedAt = now;
+        request.progressTiming = timing;
+
+        this.emit('progress', { requestId: request.requestId, userId: request.userId, ...request.progress });
+
+        if (this.db && (stageChanged || now - timing.persistedAt >= PROGRESS_PERSIST_INTERVAL)) {
+            timing.persistedAt = now;
+            this.db.collection(config.database.queueCollection).updateOne(
+                { requestId: request.requestId, status: { $ne: 'cancelled' } },
+                { $set: { progress: request.progress, updatedAt: new Date() } }
+            ).catch(error => console.error('DB progress update error:', error));
         }
     }
 
+    /**
+     * Map an error to a retry policy key in config.queue.retry.policies (or null).
+     * `signal` is the job's own signal: once it has fired (cancel or shutdown) nothing is retried.
+     */
+    classifyError(error, signal) {
+        if (signal?.aborted) return null;
+
+        const cause = error.cause || {};
+        const text = [error.message, cause.message, cause.stdout, cause.stderr]
+            .filter(Boolean)
+            .join('\n');
+
+        // processRunner sets ETIMEDOUT only when its own timeout killed the process
+        if (error.code === 'ETIMEDOUT' || cause.code === 'ETIMEDOUT') {
+            return 'pythonTimeout';
+        }
+        // Killed for anything else (output over maxBuffer) would fail the same way again
+        if (error.killed || cause.killed) {
+            return null;
+        }
+        if (cause instanceof SyntaxError || error instanceof SyntaxError ||
+            /Unexpected token|Unexpected end of JSON|No valid draw\.io XML|Invalid draw\.io XML/.test(text)) {
+            return 'malformedOutput';
+        }
+        // TimeoutError: the Claude request (draw.io path) outlived processingTimeout
+        if (error.name === 'TimeoutError' ||
+            /overloaded|rate_limit|Anthropic API error: (429|5\d\d)|APIConnectionError|InternalServerError|ECONNRESET|ENOTFOUND|EAI_AGAIN|\b529\b/i.test(text)) {
+            return 'anthropicTransient';
+        }
+        return null;
+    }
+
+    shouldRetry(request, errorClass) {
+        if (!errorClass || this.stopped) return false;
+        const policy = config.queue.retry.policies[errorClass];
+        return !!policy && request.attempts < policy.maxAttempts;
+    }
+
+    getRetryDelay(attempt) {
+        const { baseDelay, maxDelay, factor } = config.queue.retry;
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+        // Up to 20% jitter so retries from a shared outage spread out
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    /**
+     * Put a failed request back on the queue after an exponential backoff
+     */
+    async scheduleRetry(request, error, errorClass) {
+        const attempt = request.attempts + 1;
+        const delay = this.getRetryDelay(request.attempts);
+        const nextAttemptAt = new Date(Date.now() + delay);
+
+        console.log(`↻ Retrying ${request.requestId} in ${delay}ms (${errorClass}, attempt ${attempt})`);
+
+        await this.updateRequestStatus(request.requestId, 'retrying', {
+            message: `Retrying after error: ${error.message}`,
+            attempt,
+            nextAttemptAt
+        });
+
+        if (this.db) {
+            try {
+                await this.db.collection(config.database.queueCollection).updateOne(
+                    { requestId: request.requestId },
+                    {
+                        $set: {
+                            status: 'retrying',
+                            attempts: request.attempts,
+                            errorClass,
+                            lastError: error.message,
+                            nextAttemptAt,
+                            updatedAt: new Date()
+                        }
+                    }
+                );
+            } catch (dbError) {
+                console.error('DB retry update error:', dbError);
+            }
+        }
+
+        this.emit('retry', {
+            requestId: request.requestId,
+            userId: request.userId,
+            attempt,
+            delay,
+            errorClass,
+            error: error.message
+        });
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(request.requestId);
+            this.pushPending(request)
+                .then(() => this.processQueue())
+                .catch(pushError => console.error(`Retry re-queue error for ${request.requestId}:`, pushError));
+        }, delay);
+        this.retryTimers.set(request.requestId, { timer, request });
+    }
+
     async handleRequestFailure(request, error) {
         try {
+            await this.recordJobUsage(request, { success: false, errorCode: 'GENERATION_FAILED' });
+
             await this.updateRequestStatus(request.requestId, 'failed', {
                 message: error.message,
                 error: error.message
@@ -315,6 +997,7 @@ class QueueManager extends EventEmitter {
 
             this.emit('failed', {
                 requestId: request.requestId,
+                userId: request.userId,
                 error: error.message,
                 code: 'GENERATION_FAILED'
             });
@@ -353,6 +1036,8 @@ class QueueManager extends EventEmitter {
                         svgData: data.svgData,      // NEW: Save SVG data
                         error: data.error,
                         metadata: data.metadata,
+                        usage: data.usage,
+                        ...(data.progress && { progress: data.progress }),
                         completedAt: data.completedAt,
                         updatedAt: new Date()
                     }
@@ -368,12 +1053,21 @@ class QueueManager extends EventEmitter {
         }
     }
 
-    async getRequestStatus(requestId) {
+    /**
+     * Status and result of a request. Pass `owner` ({ userId, isAdmin }) to
+     * only return it to its owner (or an admin) - anyone else gets null.
+     */
+    async getRequestStatus(requestId, owner = null) {
         try {
             // Use MongoDB only (Redis disabled)
             if (this.db) {
                 const dbData = await this.db.collection('queue').findOne({ requestId });
+                if (dbData && owner && !owner.isAdmin && dbData.userId !== owner.userId) {
+                    console.log(`Request ${requestId} is not owned by ${owner.userId}`);
+                    return null;
+                }
                 if (dbData) {
+                    const position = await this.getQueuePosition(requestId);
                     return {
                         requestId: dbData.requestId,
                         status: dbData.status,
@@ -382,7 +1076,13 @@ class QueueManager extends EventEmitter {
                         svgData: dbData.svgData,      // NEW: Return SVG data
                         error: dbData.error,
                         completedAt: dbData.completedAt,
-                        position: 0
+                        attempts: dbData.attempts || 0,
+                        usage: dbData.usage || null,
+                        // In-flight progress is fresher in memory than in the (throttled) DB copy
+                        progress: this.workers.find(w => w.request?.requestId === requestId)?.request.progress ||
+                            dbData.progress || null,
+                        position,
+                        estimatedWaitTime: this.estimateWaitTime(dbData, position)
                     };
                 }
             }
@@ -395,58 +1095,345 @@ class QueueManager extends EventEmitter {
         }
     }
 
-    async cancelRequest(requestId, userId) {
-        const index = this.queue.findIndex(req => 
-            req.requestId === requestId && req.userId === userId
-        );
-        
-        if (index > -1) {
-            this.queue.splice(index, 1);
-            await this.updateRequestStatus(requestId, 'cancelled', {
-                message: 'Cancelled by user'
-            });
-            this.emit('cancelled', { requestId });
-            return true;
+    /**
+     * Cancel a queued, retrying or in-flight request.
+     * In-flight jobs are aborted: the Python process tree is killed or the Claude call is aborted.
+     * With a shared backend, jobs running or waiting to retry on another node are aborted there.
+     * Throws NOT_FOUND, FORBIDDEN (not the owner) or NOT_CANCELLABLE (already finished).
+     */
+    async cancelRequest(requestId, { userId, isAdmin = false } = {}) {
+        const pending = await this.backend.get(requestId);
+        const retryEntry = this.retryTimers.get(requestId);
+        const worker = this.workers.find(w => w.request?.requestId === requestId);
+
+        let request = pending || retryEntry?.request || worker?.request;
+        let previousStatus = pending ? 'queued' : retryEntry ? 'retrying' : worker ? 'processing' : null;
+
+        if (!request && this.db) {
+            request = await this.db.collection(config.database.queueCollection).findOne({ requestId });
+            previousStatus = request?.status;
+        }
+
+        if (!request) {
+            const error = new Error('Request not found');
+            error.code = 'NOT_FOUND';
+            throw error;
+        }
+
+        if (!isAdmin && request.userId !== userId) {
+            const error = new Error('You can only cancel your own requests');
+            error.code = 'FORBIDDEN';
+            throw error;
         }
 
-        return false;
+        const removed = pending && await this.backend.remove(requestId);
+        let runningWorker = worker;
+
+        if (pending && !removed) {
+            // A worker claimed it between the lookup and the remove: find where it runs now
+            await new Promise(resolve => setImmediate(resolve));
+            runningWorker = this.workers.find(w => w.request?.requestId === requestId);
+            if (runningWorker) {
+                previousStatus = 'processing';
+            } else if (this.db) {
+                const current = await this.db.collection(config.database.queueCollection)
+                    .findOne({ requestId }, { projection: { status: 1 } });
+                previousStatus = current?.status || previousStatus;
+            }
+        }
+
+        if (removed) {
+            // Taken off the queue before any worker claimed it
+        } else if (retryEntry || runningWorker) {
+            this.abortLocal(requestId);
+        } else if (this.backend.shared && ['queued', 'retrying', 'processing'].includes(previousStatus)) {
+            // Owned by another node; its worker also skips the job once the status below is written
+            this.publish({ type: 'cancel', requestId });
+        } else if (pending && this.db && previousStatus === 'queued') {
+            // Claimed but not yet marked processing; markProcessing() skips it once cancelled below
+        } else {
+            const error = new Error(`Request is already ${previousStatus}`);
+            error.code = 'NOT_CANCELLABLE';
+            throw error;
+        }
+
+        const cancelledAt = new Date();
+
+        if (this.db) {
+            try {
+                await this.db.collection(config.database.queueCollection).updateOne(
+                    { requestId },
+                    {
+                        $set: {
+                            status: 'cancelled',
+                            cancelledAt,
+                            cancelledBy: userId,
+                            completedAt: cancelledAt,
+                            updatedAt: cancelledAt
+                        }
+                    }
+                );
+            } catch (dbError) {
+                console.error('DB cancel update error:', dbError);
+            }
+        }
+
+        await this.updateRequestStatus(requestId, 'cancelled', {
+            message: 'Cancelled by user'
+        });
+
+        console.log(`✗ Cancelled: ${requestId} (was ${previousStatus})`);
+        this.emit('cancelled', { requestId, userId: request.userId, previousStatus });
+
+        return {
+            success: true,
+            requestId,
+            status: 'cancelled',
+            previousStatus,
+            cancelledAt
+        };
+    }
+
+    /**
+     * Stop a job this node is running or waiting to retry. The caller records the cancellation.
+     */
+    abortLocal(requestId) {
+        const retryEntry = this.retryTimers.get(requestId);
+        if (retryEntry) {
+            clearTimeout(retryEntry.timer);
+            this.retryTimers.delete(requestId);
+        }
+
+        const worker = this.workers.find(w => w.request?.requestId === requestId);
+        if (worker) {
+            worker.request.cancelled = true;
+            worker.abortController.abort(new Error('Cancelled by user'));
+        }
     }
 
-    getQueueStatus() {
+    /**
+     * Queue-wide length and order come from the backend; workers are this node's
+     */
+    async getQueueStatus() {
+        const busyWorkers = this.workers.filter(w => w.state === 'busy');
+        const scheduled = await this.getScheduledQueue();
+
         return {
-            queueLength: this.queue.length,
-            processing: this.processing,
-            currentRequest: this.currentRequest ? {
-                requestId: this.currentRequest.requestId,
-                diagramType: this.currentRequest.diagramType,
-                format: this.currentRequest.format,
-                style: this.currentRequest.style
-            } : null,
-            upcomingRequests: this.queue.slice(0, 5).map(req => ({
+            backend: this.backend.name,
+            nodeId: this.nodeId,
+            queueLength: scheduled.length,
+            maxSize: config.queue.maxSize,
+            processing: busyWorkers.length > 0,
+            concurrency: this.concurrency,
+            tierConcurrency: this.tierConcurrency,
+            activeWorkers: busyWorkers.length,
+            activeByTier: this.getActiveByTier(),
+            workers: this.workers.map(w => ({
+                id: w.id,
+                state: w.state,
+                processed: w.processed,
+                currentRequest: w.request ? {
+                    requestId: w.request.requestId,
+                    userTier: w.request.userTier,
+                    diagramType: w.request.diagramType,
+                    format: w.request.format,
+                    style: w.request.style,
+                    startedAt: w.startedAt,
+                    elapsedMs: Date.now() - w.startedAt.getTime()
+                } : null
+            })),
+            averageJobSeconds: Math.round(this.averageJobSeconds),
+            upcomingRequests: scheduled.slice(0, 5).map((req, index) => ({
                 requestId: req.requestId,
+                userTier: req.userTier,
                 diagramType: req.diagramType,
                 format: req.format,
-                style: req.style
+                style: req.style,
+                priority: req.priority || 0,
+                effectivePriority: Math.round(this.getEffectivePriority(req)),
+                position: index + 1,
+                estimatedWaitTime: this.estimateWaitTime(req, index + 1)
             }))
         };
     }
 
-    getStats() {
+    async getStats() {
         return {
-            totalQueued: this.queue.length,
-            processing: this.processing,
+            backend: this.backend.name,
+            nodeId: this.nodeId,
+            totalQueued: await this.backend.size(),
+            activeWorkers: this.workers.filter(w => w.state === 'busy').length,
+            concurrency: this.concurrency,
             activeConnections: this.wsClients.size
         };
     }
 
+    /**
+     * Save a newly enqueued request to the queue collection.
+     * `fields` override the defaults, e.g. for a request answered from the cache.
+     */
+    async persistRequest(request, fields = {}) {
+        if (!this.db) return;
+
+        await this.db.collection(config.database.queueCollection).insertOne({
+            ...request,
+            status: 'queued',
+            interruptions: 0,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            ...fields
+        });
+    }
+
+    /**
+     * Record that a worker has picked up a request. Returns false if the request
+     * is no longer waiting (cancelled, or taken by another worker), so it must not run.
+     */
+    async markProcessing(request, worker) {
+        if (!this.db) return true;
+
+        try {
+            const result = await this.db.collection(config.database.queueCollection).updateOne(
+                { requestId: request.requestId, status: { $in: ['queued', 'retrying'] } },
+                {
+                    $set: {
+                        status: 'processing',
+                        attempts: request.attempts,
+                        nodeId: this.nodeId,
+                        workerId: worker.id,
+                        startedAt: worker.startedAt,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.matchedCount > 0;
+        } catch (error) {
+            console.error('DB processing update error:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Reload pending and interrupted requests after a restart
+     */
     async restoreQueue() {
-        console.log('Queue restored');
+        if (!this.db) {
+            console.log('Queue restore skipped (no database)');
+            return;
+        }
+
+        const collection = this.db.collection(config.database.queueCollection);
+        // With a shared backend, other nodes' in-flight jobs are still running
+        const documents = await collection
+            .find({
+                $or: [
+                    { status: { $in: ['queued', 'retrying'] } },
+                    { status: 'processing', ...(this.backend.shared && { nodeId: this.nodeId }) }
+                ]
+            })
+            .sort({ status: 1, priority: -1, timestamp: 1 })
+            .toArray();
+
+        const interrupted = [];
+        const pending = [];
+
+        for (const doc of documents) {
+            if (doc.status === 'processing') {
+                interrupted.push(doc);
+            } else {
+                pending.push(doc);
+            }
+        }
+
+        let requeued = 0;
+        let failed = 0;
+
+        for (const doc of interrupted) {
+            const interruptions = (doc.interruptions || 0) + 1;
+
+            if (config.queue.interruptedPolicy === 'fail' || interruptions > config.queue.maxInterruptions) {
+                await collection.updateOne(
+                    { requestId: doc.requestId },
+                    {
+                        $set: {
+                            status: 'failed',
+                            error: 'Processing was interrupted by a server restart',
+                            interruptions,
+                            completedAt: new Date(),
+                            updatedAt: new Date()
+                        }
+                    }
+                );
+                this.emit('failed', {
+                    requestId: doc.requestId,
+                    userId: doc.userId,
+                    error: 'Processing was interrupted by a server restart',
+                    code: 'INTERRUPTED'
+                });
+                failed++;
+                continue;
+            }
+
+            await collection.updateOne(
+                { requestId: doc.requestId },
+                { $set: { status: 'queued', interruptions, updatedAt: new Date() } }
+            );
+            const item = this.toQueueItem(doc);
+            await this.backend.push(item, this.getSchedulingRank(item));
+            requeued++;
+        }
+
+        // Interrupted jobs keep their original timestamp, so their aging bonus
+        // usually puts them ahead of newer work. Pushing a request that is already
+        // in a shared backend just replaces it; markProcessing() stops it running twice.
+        for (const doc of pending) {
+            const item = this.toQueueItem(doc);
+            await this.backend.push(item, this.getSchedulingRank(item));
+        }
+
+        console.log(`Queue restored: ${pending.length} pending, ${requeued} interrupted re-queued, ${failed} interrupted failed`);
+
+        this.publish({ type: 'wake' });
+        this.processQueue();
+    }
+
+    toQueueItem(doc) {
+        return {
+            requestId: doc.requestId,
+            userId: doc.userId,
+            userTier: doc.userTier,
+            submittedBy: doc.submittedBy || null,
+            prompt: doc.prompt,
+            format: doc.format,
+            diagramType: doc.diagramType,
+            templateType: doc.templateType,
+            style: doc.style,
+            quality: doc.quality,
+            outputFormat: doc.outputFormat,
+            drawioNative: doc.drawioNative,
+            priority: doc.priority || 0,
+            callbackUrl: doc.callbackUrl || null,
+            noCache: !!doc.noCache,
+            model: doc.model,
+            cacheKey: doc.cacheKey || null,
+            cache: doc.cache || null,
+            attempts: doc.attempts || 0,
+            timestamp: doc.timestamp
+        };
     }
 
     stopProcessing() {
-        this.processing = false;
+        this.stopped = true;
+        clearInterval(this.pollTimer);
+        for (const { timer } of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+        this.backend.close().catch(error => console.error('Queue backend close error:', error));
         console.log('Processing stopped');
     }
 }
 
-module.exports = QueueManager;
\ No newline at end of file
+module.exports = QueueManager;
+module.exports.PROGRESS_STAGES = PROGRESS_STAGES;
+module.exports.CLUSTER_EVENTS = CLUSTER_EVENTS;
\ No newline at end of file
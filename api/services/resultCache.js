@@ -0,0 +1,100 @@
+// services/resultCache.js - Reuse finished diagrams for identical generation requests
+const crypto = require('crypto');
+const config = require('../config');
+
+// Bump when generation changes enough that old results should no longer be served
+const CACHE_VERSION = 1;
+
+class ResultCache {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get collection() {
+    return this.db.collection(config.database.resultCacheCollection);
+  }
+
+  get enabled() {
+    return config.resultCache.enabled && !!this.db;
+  }
+
+  /**
+   * Content hash of everything that shapes the output: the prompt, style,
+   * format, quality and model, plus the generator and its output options
+   */
+  keyFor(request) {
+    const inputs = {
+      version: CACHE_VERSION,
+      model: request.model || config.anthropic.model,
+      prompt: request.prompt,
+      style: request.style,
+      format: request.format,
+      quality: request.quality,
+      diagramType: request.diagramType,
+      templateType: request.diagramType === 'drawio' ? request.templateType : null,
+      outputFormat: request.outputFormat,
+      drawioNative: !!request.drawioNative
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+  }
+
+  /**
+   * Cached result for `key`, or null. Counts the hit.
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await this.collection.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      return entry || null;
+    } catch (error) {
+      console.error('Result cache lookup error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a successful result, replacing any older entry for the same key.
+   * A result without its image (draw.io preview render failed) is not stored,
+   * so the next identical request renders again instead of reusing it.
+   */
+  async set(key, request, result) {
+    if (!this.enabled) return;
+    if (!result.imageData || result.metadata?.previewError) {
+      console.log(`Result cache: not storing ${request.requestId} (no preview image)`);
+      return;
+    }
+
+    const now = new Date();
+    try {
+      await this.collection.updateOne(
+        { key },
+        {
+          $set: {
+            result: result.imageData,
+            drawioXml: result.drawioXml,
+            svgData: result.svgData,
+            metadata: result.metadata,
+            sourceRequestId: request.requestId,
+            diagramType: request.diagramType,
+            style: request.style,
+            model: request.usage?.model || request.model || config.anthropic.model,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + config.resultCache.ttlSeconds * 1000)
+          },
+          $setOnInsert: { hits: 0, lastHitAt: null }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Result cache store error:', error);
+    }
+  }
+}
+
+module.exports = ResultCache;
@@ -0,0 +1,52 @@
+// services/shareLinks.js - Time-limited signed URLs for sharing a result without credentials
+const crypto = require('crypto');
+const config = require('../config');
+
+class ShareLinks {
+  constructor(secret = config.sharing.secret) {
+    // Never sign share links with the JWT secret itself
+    this.secret = secret || crypto.createHmac('sha256', config.jwt.secret).update('share-links').digest();
+  }
+
+  /**
+   * Sign `requestId` until `expiresInSeconds` from now.
+   * Returns { expires (unix seconds), signature }
+   */
+  sign(requestId, expiresInSeconds = config.sharing.defaultExpirySeconds) {
+    if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 60 || expiresInSeconds > config.sharing.maxExpirySeconds) {
+      throw createError('VALIDATION_ERROR', `expiresIn must be between 60 and ${config.sharing.maxExpirySeconds} seconds`);
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return { expires, signature: this.signature(requestId, expires) };
+  }
+
+  /**
+   * Check a presented link. Throws INVALID_SIGNATURE or LINK_EXPIRED.
+   */
+  verify(requestId, expires, signature) {
+    const expiresAt = Number(expires);
+    const expected = this.signature(requestId, expiresAt);
+
+    if (!Number.isInteger(expiresAt) || typeof signature !== 'string' || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw createError('INVALID_SIGNATURE', 'Invalid share link');
+    }
+
+    if (expiresAt * 1000 <= Date.now()) {
+      throw createError('LINK_EXPIRED', 'This share link has expired');
+    }
+  }
+
+  signature(requestId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${requestId}.${expires}`).digest('base64url');
+  }
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = ShareLinks;
@@ -1,10 +1,68 @@
 // services/usageTracker.js - Track API usage per user and globally
 const config = require('../config');
 
+const TIME_WINDOWS = {
+  minute: 60000,
+  hour: 3600000,
+  day: 86400000,
+  week: 7 * 86400000,
+  month: 30 * 86400000
+};
+
+const USER_CACHE_TTL = 60000;
+const GLOBAL_CACHE_TTL = 5000;
+const CACHE_MAX_ENTRIES = 10000;
+const CACHE_SWEEP_INTERVAL = 60000;
+
 class UsageTracker {
   constructor(db) {
     this.db = db;
-    this.cache = new Map(); // In-memory cache for quick lookups
+    this.cache = new Map(); // In-memory cache for quick lookups, oldest entry first
+    this.cacheMaxEntries = CACHE_MAX_ENTRIES;
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Cached value for key, or undefined when missing or expired
+   */
+  cacheGet(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return undefined;
+    if (cached.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return undefined;
+    }
+    return cached.data;
+  }
+
+  /**
+   * Cache a value for ttl ms. Expired entries are swept at most once per
+   * CACHE_SWEEP_INTERVAL and the oldest entries dropped past cacheMaxEntries,
+   * so one entry per user and window cannot grow the map for the life of the process.
+   */
+  cacheSet(key, data, ttl) {
+    const now = Date.now();
+    if (now - this.lastSweep >= CACHE_SWEEP_INTERVAL) {
+      this.sweepCache(now);
+    }
+
+    this.cache.delete(key); // re-insert so the map stays ordered by write time
+    this.cache.set(key, { data, expiresAt: now + ttl });
+
+    for (const oldest of this.cache.keys()) {
+      if (this.cache.size <= this.cacheMaxEntries) break;
+      this.cache.delete(oldest);
+    }
+  }
+
+  /**
+   * Drop every expired cache entry
+   */
+  sweepCache(now = Date.now()) {
+    for (const [key, cached] of this.cache) {
+      if (cached.expiresAt <= now) this.cache.delete(key);
+    }
+    this.lastSweep = now;
   }
 
   /**
@@ -14,31 +72,12 @@ class UsageTracker {
     const cacheKey = `${userId}-${timeWindow}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 60000) { // Cache for 1 minute
-        return cached.data;
-      }
-    }
-
-    const now = new Date();
-    let startTime;
+    const cached = this.cacheGet(cacheKey);
+    if (cached) return cached;
 
-    switch (timeWindow) {
-      case 'minute':
-        startTime = new Date(now.getTime() - 60000);
-        break;
-      case 'hour':
-        startTime = new Date(now.getTime() - 3600000);
-        break;
-      case 'day':
-        startTime = new Date(now.getTime() - 86400000);
-        break;
-      default:
-        startTime = new Date(now.getTime() - 86400000);
-    }
+    const startTime = this.getWindowStart(timeWindow);
 
-    // Query database for usage
+    // Query database for usage, split by diagram type
     const usage = await this.db.collection(config.database.usageCollection).aggregate([
       {
         $match: {
@@ -48,21 +87,26 @@ class UsageTracker {
       },
       {
         $group: {
-          _id: null,
+          _id: '$diagramType',
           totalRequests: { $sum: 1 },
+          failedRequests: { $sum: { $cond: ['$success', 0, 1] } },
           totalTokens: { $sum: '$tokensUsed' },
           totalCost: { $sum: '$estimatedCost' }
         }
       }
     ]).toArray();
 
-    const result = usage[0] || { totalRequests: 0, totalTokens: 0, totalCost: 0 };
+    const result = { totalRequests: 0, failedRequests: 0, totalTokens: 0, totalCost: 0, byDiagramType: {} };
+    for (const group of usage) {
+      result.totalRequests += group.totalRequests;
+      result.failedRequests += group.failedRequests;
+      result.totalTokens += group.totalTokens || 0;
+      result.totalCost += group.totalCost || 0;
+      result.byDiagramType[group._id || 'unknown'] = group.totalRequests;
+    }
 
     // Cache the result
-    this.cache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
+    this.cacheSet(cacheKey, result, USER_CACHE_TTL);
 
     return result;
   }
@@ -73,27 +117,10 @@ class UsageTracker {
   async getGlobalUsage(timeWindow = 'minute') {
     const cacheKey = `global-${timeWindow}`;
     
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 5000) { // Cache for 5 seconds
-        return cached.data;
-      }
-    }
+    const cached = this.cacheGet(cacheKey);
+    if (cached) return cached;
 
-    const now = new Date();
-    let startTime;
-
-    switch (timeWindow) {
-      case 'minute':
-        startTime = new Date(now.getTime() - 60000);
-        break;
-      case 'hour':
-        startTime = new Date(now.getTime() - 3600000);
-        break;
-      case 'day':
-        startTime = new Date(now.getTime() - 86400000);
-        break;
-    }
+    const startTime = this.getWindowStart(timeWindow);
 
     const usage = await this.db.collection(config.database.usageCollection).aggregate([
       {
@@ -112,29 +139,45 @@ class UsageTracker {
 
     const result = usage[0] || { totalRequests: 0, totalTokens: 0 };
 
-    this.cache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
+    this.cacheSet(cacheKey, result, GLOBAL_CACHE_TTL);
 
     return result;
   }
 
+  /**
+   * Start of a rolling time window ('minute', 'hour', 'day', 'week', 'month')
+   */
+  getWindowStart(timeWindow) {
+    const duration = TIME_WINDOWS[timeWindow] || TIME_WINDOWS.day;
+    return new Date(Date.now() - duration);
+  }
+
   /**
    * Record API usage
    */
   async recordUsage(userId, requestData) {
+    const inputTokens = requestData.inputTokens || 0;
+    const outputTokens = requestData.outputTokens || 0;
+    const model = requestData.model || config.anthropic.model;
+
     const record = {
       userId: userId,
+      requestId: requestData.requestId || null,
+      submittedBy: requestData.submittedBy || null,
+      cache: requestData.cache || null,        // 'hit', 'miss' or 'bypass' (noCache); null when caching is off
       timestamp: new Date(),
-      tokensUsed: requestData.tokensUsed || 0,
-      inputTokens: requestData.inputTokens || 0,
-      outputTokens: requestData.outputTokens || 0,
-      model: requestData.model || config.anthropic.model,
-      estimatedCost: this.calculateCost(requestData),
+      tokensUsed: requestData.tokensUsed || inputTokens + outputTokens,
+      inputTokens,
+      outputTokens,
+      estimated: !!requestData.estimated,  // token counts estimated because the generator reported none
+      model,
+      estimatedCost: this.calculateCost({ model, inputTokens, outputTokens }),
       success: requestData.success || false,
       errorCode: requestData.errorCode || null,
-      diagramType: requestData.diagramType || 'unknown'
+      diagramType: requestData.diagramType || 'unknown',
+      style: requestData.style || null,
+      quality: requestData.quality || null,
+      attempts: requestData.attempts || 1
     };
 
     await this.db.collection(config.database.usageCollection).insertOne(record);
@@ -143,58 +186,102 @@ class UsageTracker {
     this.cache.delete(`${userId}-minute`);
     this.cache.delete(`${userId}-hour`);
     this.cache.delete(`${userId}-day`);
+    this.cache.delete(`${userId}-week`);
+    this.cache.delete(`${userId}-month`);
     this.cache.delete('global-minute');
 
     return record;
   }
 
   /**
-   * Calculate estimated cost based on token usage
-   * Prices as of Jan 2025 for Sonnet 4.5
+   * Calculate estimated cost based on token usage and the model's price
    */
   calculateCost(requestData) {
-    const inputTokenPrice = 3.00 / 1000000;  // $3 per million input tokens
-    const outputTokenPrice = 15.00 / 1000000; // $15 per million output tokens
+    const price = this.getModelPricing(requestData.model || config.anthropic.model);
 
-    const inputCost = (requestData.inputTokens || 0) * inputTokenPrice;
-    const outputCost = (requestData.outputTokens || 0) * outputTokenPrice;
+    const inputCost = (requestData.inputTokens || 0) * price.input / 1000000;
+    const outputCost = (requestData.outputTokens || 0) * price.output / 1000000;
 
     return inputCost + outputCost;
   }
 
   /**
-   * Check if user has exceeded their tier limits
+   * Per-million-token prices for a model, matched on the longest prefix in
+   * config.anthropic.pricing (so dated model ids need no entry of their own)
+   */
+  getModelPricing(model) {
+    const { pricing } = config.anthropic;
+    const match = Object.keys(pricing)
+      .filter(prefix => prefix !== 'default' && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!match) {
+      console.warn(`⚠️ No pricing for model ${model}, using default rates`);
+      return pricing.default;
+    }
+    return pricing[match];
+  }
+
+  /**
+   * Check if user has exceeded their tier limits.
+   * `pending` is the user's queued/running jobs, which are not recorded yet.
    */
-  async checkUserLimit(userId, userTier) {
+  async checkUserLimit(userId, userTier, pending = 0) {
     const tierLimits = config.rateLimits.tiers[userTier] || config.rateLimits.tiers.free;
 
-    // Check daily limit
+    // Check daily limits (failed generations do not use up request quota)
     const dayUsage = await this.getUserUsage(userId, 'day');
-    if (dayUsage.totalRequests >= tierLimits.requestsPerDay) {
+    const dayRequests = dayUsage.totalRequests - dayUsage.failedRequests + pending;
+    if (dayRequests >= tierLimits.requestsPerDay) {
       return {
         allowed: false,
         reason: 'daily_limit_exceeded',
         limit: tierLimits.requestsPerDay,
-        current: dayUsage.totalRequests,
-        resetTime: this.getResetTime('day')
+        current: dayRequests,
+        resetTime: await this.getWindowResetTime(userId, 'day')
+      };
+    }
+
+    if (dayUsage.totalTokens >= tierLimits.tokensPerDay) {
+      return {
+        allowed: false,
+        reason: 'daily_token_limit_exceeded',
+        limit: tierLimits.tokensPerDay,
+        current: dayUsage.totalTokens,
+        resetTime: await this.getWindowResetTime(userId, 'day')
       };
     }
 
     // Check hourly limit
     const hourUsage = await this.getUserUsage(userId, 'hour');
-    if (hourUsage.totalRequests >= tierLimits.requestsPerHour) {
+    const hourRequests = hourUsage.totalRequests - hourUsage.failedRequests + pending;
+    if (hourRequests >= tierLimits.requestsPerHour) {
       return {
         allowed: false,
         reason: 'hourly_limit_exceeded',
         limit: tierLimits.requestsPerHour,
-        current: hourUsage.totalRequests,
-        resetTime: this.getResetTime('hour')
+        current: hourRequests,
+        resetTime: await this.getWindowResetTime(userId, 'hour')
       };
     }
 
     return { allowed: true };
   }
 
+  /**
+   * When the oldest usage record leaves a rolling window, freeing a slot.
+   * Falls back to a full window when nothing is recorded (limit reached by pending jobs).
+   */
+  async getWindowResetTime(userId, timeWindow) {
+    const oldest = await this.db.collection(config.database.usageCollection).findOne(
+      { userId, timestamp: { $gte: this.getWindowStart(timeWindow) } },
+      { sort: { timestamp: 1 }, projection: { timestamp: 1 } }
+    );
+
+    const from = oldest ? oldest.timestamp.getTime() : Date.now();
+    return new Date(from + TIME_WINDOWS[timeWindow]);
+  }
+
   /**
    * Check global API limits
    */
@@ -206,6 +293,8 @@ class UsageTracker {
       return {
         allowed: false,
         reason: 'global_request_limit',
+        limit: config.rateLimits.requestsPerMinute,
+        current: minuteUsage.totalRequests,
         retryAfter: 60 - (new Date().getSeconds())
       };
     }
@@ -214,6 +303,8 @@ class UsageTracker {
       return {
         allowed: false,
         reason: 'global_token_limit',
+        limit: config.rateLimits.tokensPerMinute,
+        current: minuteUsage.totalTokens,
         retryAfter: 60 - (new Date().getSeconds())
       };
     }
@@ -261,6 +352,15 @@ class UsageTracker {
           uniqueUsers: { $addToSet: '$userId' },
           successfulRequests: {
             $sum: { $cond: ['$success', 1, 0] }
+          },
+          cacheHits: {
+            $sum: { $cond: [{ $eq: ['$cache', 'hit'] }, 1, 0] }
+          },
+          cacheMisses: {
+            $sum: { $cond: [{ $eq: ['$cache', 'miss'] }, 1, 0] }
+          },
+          cacheBypassed: {
+            $sum: { $cond: [{ $eq: ['$cache', 'bypass'] }, 1, 0] }
           }
         }
       },
@@ -275,9 +375,25 @@ class UsageTracker {
       tokens: s.totalTokens,
       cost: s.totalCost,
       uniqueUsers: s.uniqueUsers.length,
-      successRate: (s.successfulRequests / s.totalRequests * 100).toFixed(2)
+      successRate: (s.successfulRequests / s.totalRequests * 100).toFixed(2),
+      cache: {
+        hits: s.cacheHits,
+        misses: s.cacheMisses,
+        bypassed: s.cacheBypassed,
+        hitRate: cacheHitRate(s.cacheHits, s.cacheMisses)
+      }
     }));
   }
 }
 
+/**
+ * Share of cache lookups answered from the cache, as a percentage string like successRate
+ */
+function cacheHitRate(hits, misses) {
+  const lookups = hits + misses;
+  return lookups > 0 ? (hits / lookups * 100).toFixed(2) : null;
+}
+
 module.exports = UsageTracker;
+module.exports.cacheHitRate = cacheHitRate;
+module.exports.TIME_WINDOWS = TIME_WINDOWS;
@@ -0,0 +1,394 @@
+// services/webhookDispatcher.js - Signed job-completion callbacks with retries and a delivery log
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+const EVENTS = {
+  completed: 'request.completed',
+  failed: 'request.failed',
+  cancelled: 'request.cancelled'
+};
+
+const MAX_URL_LENGTH = 2048;
+
+// Callback targets must not reach into our own network, or anything not unicast.
+// BlockList applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) too.
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10);
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16);
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12);
+PRIVATE_RANGES.addSubnet('192.0.0.0', 24);
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16);
+PRIVATE_RANGES.addSubnet('198.18.0.0', 15);
+PRIVATE_RANGES.addSubnet('224.0.0.0', 4);   // multicast
+PRIVATE_RANGES.addSubnet('240.0.0.0', 4);   // reserved, including broadcast
+PRIVATE_RANGES.addSubnet('::', 96, 'ipv6'); // unspecified, loopback and IPv4-compatible
+PRIVATE_RANGES.addAddress('::1', 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE_RANGES.addSubnet('ff00::', 8, 'ipv6');
+
+class WebhookDispatcher {
+  constructor(db) {
+    this.db = db;
+    this.masterSecret = config.webhooks.secret ||
+      crypto.createHmac('sha256', config.jwt.secret).update('webhooks').digest();
+    this.timers = new Map();  // deliveryId -> retry timer
+    this.sending = new Set(); // deliveryIds with an attempt in progress
+    this.nodeId = config.queue.nodeId;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * A pending delivery is owned by one node until its lease runs out, so with
+   * several API nodes each retry is sent once. The owner renews the lease every
+   * time it schedules an attempt.
+   */
+  leaseUntil(nextAttemptAt) {
+    return new Date(Math.max(Date.now(), new Date(nextAttemptAt).getTime()) + config.webhooks.leaseMs);
+  }
+
+  get collection() {
+    return this.db.collection(config.database.webhookDeliveriesCollection);
+  }
+
+  /**
+   * Forward QueueManager's terminal events to the request's callbackUrl
+   */
+  attach(queueManager) {
+    for (const status of Object.keys(EVENTS)) {
+      queueManager.on(status, (data) => {
+        this.dispatch(status, data).catch(error => {
+          console.error(`Webhook dispatch error for ${data.requestId}:`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Each user verifies callbacks with their own secret, derived from the master secret
+   */
+  getSigningSecret(userId) {
+    return 'whsec_' + crypto.createHmac('sha256', this.masterSecret).update(`user:${userId}`).digest('base64url');
+  }
+
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Check that `url` is an acceptable callback target. Throws VALIDATION_ERROR.
+   * Resolves { url, address, family }: send() connects to that checked address,
+   * so a DNS answer that changes afterwards cannot redirect the callback.
+   */
+  async validateCallbackUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw createError('VALIDATION_ERROR', 'callbackUrl must be an absolute URL');
+    }
+
+    const allowedProtocols = config.webhooks.allowInsecure ? ['https:', 'http:'] : ['https:'];
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw createError('VALIDATION_ERROR', 'callbackUrl must use https');
+    }
+    if (url.length > MAX_URL_LENGTH || parsed.username || parsed.password) {
+      throw createError('VALIDATION_ERROR', `callbackUrl must be at most ${MAX_URL_LENGTH} characters and contain no credentials`);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      throw createError('VALIDATION_ERROR', `callbackUrl host ${hostname} could not be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw createError('VALIDATION_ERROR', 'callbackUrl must not point at a private or loopback address');
+    }
+
+    return { url: parsed, address: addresses[0].address, family: addresses[0].family };
+  }
+
+  /**
+   * Create a delivery for a finished request that asked for a callback
+   */
+  async dispatch(status, data) {
+    if (!this.db) return;
+
+    const request = await this.db.collection(config.database.queueCollection).findOne(
+      { requestId: data.requestId },
+      { projection: { requestId: 1, userId: 1, callbackUrl: 1 } }
+    );
+    if (!request?.callbackUrl) return;
+
+    const deliveryId = 'whd_' + crypto.randomBytes(8).toString('hex');
+    const delivery = {
+      deliveryId,
+      requestId: request.requestId,
+      userId: request.userId,
+      event: EVENTS[status],
+      url: request.callbackUrl,
+      payload: {
+        deliveryId,
+        event: EVENTS[status],
+        requestId: request.requestId,
+        status,
+        occurredAt: new Date().toISOString(),
+        ...(data.usage && { usage: data.usage }),
+        ...(data.error && { error: data.error, code: data.code }),
+        ...(data.previousStatus && { previousStatus: data.previousStatus })
+      },
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date(),
+      owner: this.nodeId,
+      leaseUntil: this.leaseUntil(new Date()),
+      createdAt: new Date(),
+      deliveredAt: null
+    };
+
+    await this.collection.insertOne(delivery);
+    console.log(`📮 Webhook queued: ${delivery.deliveryId} (${delivery.event}) -> ${delivery.url}`);
+
+    await this.attempt(delivery);
+  }
+
+  /**
+   * Make one delivery attempt, then record it and schedule a retry if needed.
+   * 2xx is success; network errors, timeouts, 408, 429 and 5xx are retried
+   * with exponential backoff; anything else fails the delivery.
+   */
+  async attempt(delivery) {
+    this.timers.delete(delivery.deliveryId);
+    this.sending.add(delivery.deliveryId);
+
+    let attempt;
+    try {
+      attempt = await this.send(delivery);
+    } finally {
+      this.sending.delete(delivery.deliveryId);
+    }
+    delivery.attempts.push(attempt);
+
+    const attemptsMade = delivery.attempts.length;
+    if (attempt.ok) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = attempt.at;
+      delivery.nextAttemptAt = null;
+      console.log(`📬 Webhook delivered: ${delivery.deliveryId} (${attempt.statusCode})`);
+    } else if (attempt.retryable && attemptsMade < config.webhooks.maxAttempts) {
+      const delay = config.webhooks.initialDelayMs * Math.pow(2, attemptsMade - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      this.schedule(delivery, delay);
+      console.warn(`⚠️ Webhook ${delivery.deliveryId} attempt ${attemptsMade} failed (${attempt.error || attempt.statusCode}), retrying in ${delay}ms`);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.warn(`❌ Webhook ${delivery.deliveryId} failed after ${attemptsMade} attempt(s)`);
+    }
+
+    await this.collection.updateOne(
+      { deliveryId: delivery.deliveryId },
+      {
+        $set: {
+          status: delivery.status,
+          nextAttemptAt: delivery.nextAttemptAt,
+          deliveredAt: delivery.deliveredAt,
+          leaseUntil: delivery.status === 'pending' ? this.leaseUntil(delivery.nextAttemptAt) : null
+        },
+        $push: { attempts: attempt }
+      }
+    );
+  }
+
+  async send(delivery) {
+    const at = new Date();
+    const startedAt = Date.now();
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startedAt / 1000);
+
+    let target;
+    try {
+      // The host may resolve differently now than when the request was accepted
+      target = await this.validateCallbackUrl(delivery.url);
+    } catch (error) {
+      return { at, ok: false, retryable: false, statusCode: null, error: error.message, durationMs: 0 };
+    }
+
+    try {
+      const statusCode = await post(target, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Cloudstrucc-Diagram-Webhooks/1.0',
+        'X-Webhook-Id': delivery.deliveryId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': this.sign(this.getSigningSecret(delivery.userId), timestamp, body)
+      }, body);
+
+      const ok = statusCode >= 200 && statusCode < 300;
+      return {
+        at,
+        ok,
+        retryable: statusCode === 408 || statusCode === 429 || statusCode >= 500,
+        statusCode,
+        error: ok ? null : `HTTP ${statusCode}`,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        at,
+        ok: false,
+        retryable: true,
+        statusCode: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  schedule(delivery, delay) {
+    const timer = setTimeout(() => {
+      this.attempt(delivery).catch(error => {
+        console.error(`Webhook retry error for ${delivery.deliveryId}:`, error);
+      });
+    }, Math.max(0, delay));
+    this.timers.set(delivery.deliveryId, timer);
+  }
+
+  /**
+   * Reschedule deliveries that were waiting for a retry when this node stopped,
+   * and take over those whose owner's lease ran out. Runs at startup and then
+   * every sweepIntervalMs. Each delivery is claimed atomically, so two nodes
+   * never schedule the same one.
+   */
+  async resumePending() {
+    if (!this.db) return;
+
+    let resumed = 0;
+    let delivery;
+    while ((delivery = await this.claimPending())) {
+      this.schedule(delivery, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      console.log(`Webhooks restored: ${resumed} pending deliveries`);
+    }
+
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => {
+        this.resumePending().catch(error => console.error('Webhook sweep error:', error));
+      }, config.webhooks.sweepIntervalMs);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Take one pending delivery this node is not already handling: its own from
+   * before a restart, or another node's with an expired lease
+   */
+  async claimPending() {
+    const now = new Date();
+    return this.collection.findOneAndUpdate(
+      {
+        status: 'pending',
+        deliveryId: { $nin: [...this.timers.keys(), ...this.sending] },
+        $or: [
+          { owner: this.nodeId },
+          { leaseUntil: { $lt: now } },
+          { leaseUntil: { $exists: false } }
+        ]
+      },
+      [{
+        $set: {
+          owner: this.nodeId,
+          leaseUntil: { $add: [{ $max: ['$$NOW', '$nextAttemptAt'] }, config.webhooks.leaseMs] }
+        }
+      }],
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Delivery log for a request, newest first
+   */
+  async getDeliveries(requestId) {
+    const deliveries = await this.collection
+      .find({ requestId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return deliveries.map(({ _id, userId, owner, leaseUntil, ...delivery }) => delivery);
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * POST `body` to a checked target and resolve its status code. The socket goes to
+ * `target.address`; the Host header and TLS name stay the URL's. Redirects are
+ * not followed.
+ */
+function post(target, headers, body) {
+  const { url, address, family } = target;
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => {
+        if (options.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+      }
+    }, response => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${config.webhooks.timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, config.webhooks.timeoutMs);
+
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = WebhookDispatcher;
+module.exports.EVENTS = EVENTS;
+module.exports.isPrivateAddress = isPrivateAddress;
@@ -35,6 +35,7 @@
  */
 
 import { spawn } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -42,6 +43,10 @@ import { simpleGit } from 'simple-git';
 import { program } from 'commander';
 import dotenv from 'dotenv';
 import Anthropic from '@anthropic-ai/sdk';
+import yaml from 'js-yaml';
+// Copied from the repo's shared/ by `npm install` (prepare: vendor-shared.js)
+import sharedCatalogue from './shared/catalogue.js';
+import promptTemplates from './shared/promptTemplates.js';
 
 dotenv.config();
 
@@ -60,6 +65,10 @@ const config = {
     imageFile: 'diagram.png',
     drawioFile: 'diagram.drawio',
   },
+  cache: {
+    dir: process.env.DIAGRAM_CACHE_DIR || path.join(__dirname, '.diagram-cache'),
+    maxAgeDays: parseInt(process.env.DIAGRAM_CACHE_MAX_AGE_DAYS, 10) || 30,
+  },
   github: {
     token: process.env.GITHUB_TOKEN,
     owner: process.env.GITHUB_OWNER,
@@ -82,454 +91,27 @@ const config = {
   local: {
     outputDir: process.env.LOCAL_OUTPUT_DIR || './output',
   },
-  commitMessage: process.env.COMMIT_MESSAGE_PREFIX || 'docs(diagrams): update architecture diagrams',
-};
-
-const QUALITY_PRESETS = {
-  simple: {
-    name: 'Simple',
-    description: 'Basic diagram with main components, minimal detail',
-    guidance: `Create a SIMPLE diagram: 5-8 nodes, 1-2 clusters, basic labels`,
-  },
-  standard: {
-    name: 'Standard',
-    description: 'Balanced diagram with good detail and organization',
-    guidance: `Create a STANDARD diagram: 8-15 nodes, 3-5 clusters, descriptive labels`,
-  },
-  enterprise: {
-    name: 'Enterprise',
-    description: 'Comprehensive diagram with full detail, automation, monitoring',
-    guidance: `Create an ENTERPRISE diagram: comprehensive coverage, nested clusters, detailed labels, include identity, automation, monitoring, DR layers`,
+  catalogue: {
+    paths: process.env.CATALOGUE_PATHS, // comma-separated JSON/YAML files or directories
   },
+  commitMessage: process.env.COMMIT_MESSAGE_PREFIX || 'docs(diagrams): update architecture diagrams',
 };
 
-// ALL ORIGINAL STYLES + DRAW.IO
-const DIAGRAM_STYLES = {
-  // NEW: DRAW.IO
-  drawio: {
-    name: 'Draw.io / diagrams.net',
-    category: 'Editable Diagrams',
-    outputFormat: 'xml',
-    description: 'Generates editable draw.io XML with professional cloud provider styling',
-  },
-  
-  // CLOUD PROVIDERS (ALL ORIGINAL)
-  azure: {
-    name: 'Azure Architecture',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.azure.compute import FunctionApps, AppServices, VM, AKS, ContainerInstances
-from diagrams.azure.database import SQLDatabases, CosmosDb, BlobStorage, DataLake
-from diagrams.azure.devops import Devops, Repos, Pipelines, Artifacts, Boards
-from diagrams.azure.identity import ManagedIdentities, ActiveDirectory, ConditionalAccess, Users as AzureUsers
-from diagrams.azure.integration import LogicApps, ServiceBus, EventGridDomains, APIManagement
-from diagrams.azure.network import VirtualNetworks, Firewall, LoadBalancers, ApplicationGateway, DNS, PrivateEndpoint, Subnets
-from diagrams.azure.security import KeyVaults, SecurityCenter, Sentinel
-from diagrams.azure.storage import StorageAccounts, BlobStorage, FileStorage, QueueStorage
-from diagrams.azure.analytics import LogAnalyticsWorkspaces, EventHubs, Databricks, SynapseAnalytics
-from diagrams.azure.web import AppServices, AppServicePlans
-from diagrams.azure.general import Subscriptions, Resourcegroups, Managementgroups
-from diagrams.azure.ml import MachineLearningServiceWorkspaces
-from diagrams.onprem.client import Users
-from diagrams.saas.chat import Teams
-from diagrams.generic.storage import Storage
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL`,
-  },
-
-  aws: {
-    name: 'AWS Architecture',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.aws.compute import Lambda, EC2, ECS, EKS, Fargate, ElasticBeanstalk, Batch
-from diagrams.aws.database import RDS, Dynamodb, ElastiCache, Redshift, Aurora, Neptune
-from diagrams.aws.network import VPC, ELB, ALB, NLB, CloudFront, Route53, APIGateway, PrivateSubnet, PublicSubnet, NATGateway, InternetGateway
-from diagrams.aws.storage import S3, EBS, EFS, FSx, Glacier
-from diagrams.aws.security import IAM, Cognito, KMS, SecretsManager, WAF, Shield, ACM, SecurityHub, GuardDuty, Inspector
-from diagrams.aws.integration import SQS, SNS, Eventbridge, StepFunctions, MQ
-from diagrams.aws.analytics import Kinesis, Athena, Glue, EMR, Quicksight, LakeFormation
-from diagrams.aws.management import Cloudwatch, Cloudtrail, Config, SystemsManager, Organizations, ControlTower
-from diagrams.aws.devtools import Codepipeline, Codecommit, Codebuild, Codedeploy
-from diagrams.aws.ml import Sagemaker, Rekognition, Comprehend
-from diagrams.aws.general import Users
-from diagrams.onprem.client import Users as OnPremUsers
-from diagrams.generic.storage import Storage
-from diagrams.generic.compute import Rack`,
-  },
-
-  gcp: {
-    name: 'GCP Architecture',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.gcp.compute import Functions, Run, GKE, ComputeEngine, AppEngine, GCF
-from diagrams.gcp.database import SQL as CloudSQL, Spanner, Firestore, Bigtable, Memorystore
-from diagrams.gcp.network import VPC, LoadBalancing, CDN, DNS, Armor, NAT, Router
-from diagrams.gcp.storage import GCS, Filestore, PersistentDisk
-from diagrams.gcp.security import Iam, KMS, SecurityCommandCenter, KeyManagementService
-from diagrams.gcp.analytics import BigQuery, Dataflow, Pubsub, Dataproc, Composer
-from diagrams.gcp.devtools import Build, SourceRepositories, ContainerRegistry
-from diagrams.gcp.ml import AIHub, AutoML, VisionAPI
-from diagrams.gcp.operations import Monitoring, Logging
-from diagrams.onprem.client import Users
-from diagrams.generic.storage import Storage
-from diagrams.generic.compute import Rack`,
-  },
-
-  alibabacloud: {
-    name: 'Alibaba Cloud',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.alibabacloud.compute import ECS, ContainerService, FunctionCompute, ElasticSearch, AutoScaling
-from diagrams.alibabacloud.database import RDS, PolarDB, Redis as AliRedis, MongoDB as AliMongoDB, AnalyticDB
-from diagrams.alibabacloud.network import SLB, ALB, VPC as AliVPC, CDN as AliCDN, DNS as AliDNS, NAT as AliNAT, VPN as AliVPN
-from diagrams.alibabacloud.storage import OSS, NAS as AliNAS, ESSD
-from diagrams.alibabacloud.security import WAF as AliWAF, AntiDdos, SecurityCenter as AliSecurityCenter, DataEncryptionService
-from diagrams.alibabacloud.analytics import DataV, Datahub, ELK
-from diagrams.alibabacloud.application import APIGateway as AliAPIGateway, LogService, MessageNotificationService
-from diagrams.onprem.client import Users
-from diagrams.generic.storage import Storage
-from diagrams.generic.compute import Rack`,
-  },
-
-  ibm: {
-    name: 'IBM Cloud',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.ibm.compute import BareMetalServer, VirtualMachineClassic, MQ, PowerSystems
-from diagrams.ibm.network import VPC as IbmVPC, LoadBalancerClassic, DirectLink, TransitGateway, VPN as IbmVPN
-from diagrams.ibm.storage import BlockStorage, ObjectStorage, FileStorage as IbmFileStorage
-from diagrams.ibm.database import CloudDatabases, Cloudant, Db2, Informix
-from diagrams.ibm.applications import OpenShift, CloudFoundry
-from diagrams.ibm.devops import Toolchain, AutoScaling as IbmAutoScaling
-from diagrams.ibm.security import IdentityProvider, KeyProtect, ApiConnect
-from diagrams.ibm.analytics import Watson, StreamingAnalytics
-from diagrams.ibm.management import CloudManagement, Monitoring as IbmMonitoring, AlertNotification
-from diagrams.ibm.infrastructure import ContainerKubernetes, ContainerRegistry as IbmContainerRegistry
-from diagrams.ibm.general import Cloudservices
-from diagrams.onprem.client import Users
-from diagrams.generic.compute import Rack`,
-  },
-
-  oci: {
-    name: 'Oracle Cloud (OCI)',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.oci.compute import Compute, Container, Functions as OciFunctions, VM as OciVM, VMCluster
-from diagrams.oci.database import Autonomous, DatabaseService, Dcat
-from diagrams.oci.network import VCN, LoadBalancer as OciLB, DRG, Firewall as OciFirewall, ServiceGateway, InternetGateway as OciIGW
-from diagrams.oci.storage import BlockStorage as OciBlock, FileStorage as OciFS, ObjectStorage as OciObject
-from diagrams.oci.security import Vault, CloudGuard, IDCloud, KeyManagement, WAF as OciWAF, Bastion
-from diagrams.oci.governance import Compartments, Policies, Tagging, Audit
-from diagrams.oci.monitoring import Alarm, Events, Logging as OciLogging, Notifications, Telemetry
-from diagrams.oci.connectivity import Backbone, CDN as OciCDN, FastConnect, VPN as OciVPN, DNS as OciDNS
-from diagrams.onprem.client import Users
-from diagrams.generic.compute import Rack`,
-  },
-
-  digitalocean: {
-    name: 'DigitalOcean',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.digitalocean.compute import Containers, Docker as DoDocker, Droplet, K8SCluster, K8SNodePool
-from diagrams.digitalocean.database import DbaasPrimary, DbaasReadReplica, DbaasStandby
-from diagrams.digitalocean.network import Certificate, Firewall as DoFirewall, FloatingIp, LoadBalancer as DoLB, DomainRegistration
-from diagrams.digitalocean.storage import Folder, Space, Volume
-from diagrams.onprem.client import Users
-from diagrams.generic.compute import Rack`,
-  },
-
-  openstack: {
-    name: 'OpenStack',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.openstack.compute import Nova, Qemu
-from diagrams.openstack.networking import Neutron, Designate, Octavia
-from diagrams.openstack.storage import Cinder, Manila, Swift
-from diagrams.openstack.sharedservices import Glance, Keystone, Barbican, Heat
-from diagrams.openstack.deployment import Ansible as OsAnsible, Kolla, TripleO
-from diagrams.openstack.monitoring import Monasca, Telemetry
-from diagrams.openstack.frontend import Horizon
-from diagrams.onprem.client import Users
-from diagrams.generic.compute import Rack`,
-  },
-
-  outscale: {
-    name: 'Outscale (3DS)',
-    category: 'Cloud Providers',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.outscale.compute import Compute as OsCompute, DirectConnect as OsDc
-from diagrams.outscale.network import LoadBalancer as OsLB, Net, SiteToSiteVpng, InternetService, NatService
-from diagrams.outscale.storage import Storage as OsStorage, SimpleStorageService
-from diagrams.outscale.security import IdentityAndAccessManagement, Firewall as OsFirewall
-from diagrams.onprem.client import Users
-from diagrams.generic.compute import Rack`,
-  },
-
-  // CONTAINER & DEVOPS (ALL ORIGINAL)
-  k8s: {
-    name: 'Kubernetes Architecture',
-    category: 'Container & DevOps',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.k8s.compute import Pod, Deployment, ReplicaSet, StatefulSet, DaemonSet, Job, Cronjob
-from diagrams.k8s.network import Service, Ingress, NetworkPolicy
-from diagrams.k8s.storage import PV, PVC, StorageClass
-from diagrams.k8s.rbac import ServiceAccount, Role, RoleBinding, ClusterRole, ClusterRoleBinding
-from diagrams.k8s.controlplane import APIServer, Scheduler, ControllerManager
-from diagrams.k8s.infra import Node, Master
-from diagrams.k8s.clusterconfig import HPA, LimitRange, Quota
-from diagrams.k8s.others import CRD
-from diagrams.k8s.podconfig import ConfigMap, Secret
-from diagrams.k8s.group import Namespace
-from diagrams.onprem.client import Users
-from diagrams.onprem.network import Nginx, Istio, Envoy, Traefik, Kong
-from diagrams.onprem.monitoring import Prometheus, Grafana
-from diagrams.onprem.logging import Loki, FluentBit
-from diagrams.onprem.tracing import Jaeger
-from diagrams.generic.storage import Storage
-from diagrams.generic.compute import Rack`,
-  },
-
-  generic: {
-    name: 'Generic / Open Source',
-    category: 'Container & DevOps',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL
-from diagrams.generic.network import Firewall, Router, Switch, Subnet, VPN
-from diagrams.generic.storage import Storage
-from diagrams.generic.os import Windows, LinuxGeneral, Ubuntu, Centos
-from diagrams.generic.place import Datacenter
-from diagrams.generic.device import Mobile, Tablet
-from diagrams.generic.blank import Blank
-from diagrams.onprem.client import Users, Client
-from diagrams.onprem.compute import Server, Nomad
-from diagrams.onprem.database import PostgreSQL, MySQL, MongoDB, Redis, Cassandra, InfluxDB, Neo4J, MariaDB, Clickhouse, CockroachDB
-from diagrams.onprem.network import Nginx, Apache, Traefik, HAProxy, Envoy, Istio, Consul, Kong, Linkerd, Zookeeper, Caddy, Gunicorn, Tomcat
-from diagrams.onprem.queue import Kafka, RabbitMQ, ActiveMQ, Celery
-from diagrams.onprem.monitoring import Prometheus, Grafana, Datadog, Splunk, Nagios, Zabbix, Thanos, Sentry, Newrelic
-from diagrams.onprem.ci import Jenkins, GithubActions, GitlabCI, CircleCI, DroneCI, TravisCI, Teamcity, Concourse
-from diagrams.onprem.container import Docker, Containerd
-from diagrams.onprem.vcs import Git, Github, Gitlab, Bitbucket
-from diagrams.onprem.security import Vault, Trivy, Bitwarden
-from diagrams.onprem.inmemory import Redis as RedisCache, Memcached, Hazelcast
-from diagrams.onprem.logging import FluentBit, Loki, Graylog, RSyslog
-from diagrams.onprem.tracing import Jaeger, Tempo
-from diagrams.onprem.gitops import ArgoCD, Flux
-from diagrams.onprem.workflow import Airflow, Kubeflow, Nifi
-from diagrams.onprem.iac import Ansible, Terraform, Puppet, Atlantis
-from diagrams.onprem.certificates import Letsencrypt, CertManager
-from diagrams.saas.chat import Teams, Slack, Discord
-from diagrams.saas.cdn import Cloudflare, Akamai, Fastly
-from diagrams.saas.identity import Auth0, Okta
-from diagrams.saas.alerting import Pagerduty, Opsgenie
-from diagrams.programming.language import Python, Javascript, Go, Rust, Java, Nodejs, Csharp, Typescript
-from diagrams.programming.framework import React, Vue, Angular, Django, Flask, Spring, Fastapi`,
-  },
-
-  // ENTERPRISE ARCHITECTURE (ALL ORIGINAL)
-  c4: {
-    name: 'C4 Model',
-    category: 'Enterprise Architecture',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.c4 import Person, Container, Database, System, SystemBoundary, Relationship
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL
-from diagrams.generic.storage import Storage
-from diagrams.onprem.client import Users`,
-  },
-
-  uml: {
-    name: 'UML / UML2',
-    category: 'Enterprise Architecture',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL
-from diagrams.generic.storage import Storage
-from diagrams.generic.network import Switch, Router
-from diagrams.generic.blank import Blank
-from diagrams.onprem.client import Users, Client
-from diagrams.onprem.compute import Server
-from diagrams.programming.language import Python, Java, Csharp
-from diagrams.programming.framework import Spring, Django, React`,
-  },
-
-  archimate: {
-    name: 'ArchiMate',
-    category: 'Enterprise Architecture',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL
-from diagrams.generic.storage import Storage
-from diagrams.generic.network import Switch, Router, Firewall, Subnet
-from diagrams.generic.blank import Blank
-from diagrams.generic.place import Datacenter
-from diagrams.generic.device import Mobile, Tablet
-from diagrams.onprem.client import Users, Client
-from diagrams.onprem.compute import Server
-from diagrams.onprem.network import Nginx
-from diagrams.onprem.database import PostgreSQL
-from diagrams.onprem.queue import Kafka`,
-  },
-
-  enterprise: {
-    name: 'Enterprise (TOGAF)',
-    category: 'Enterprise Architecture',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.generic.compute import Rack
-from diagrams.generic.database import SQL
-from diagrams.generic.storage import Storage
-from diagrams.generic.network import Switch, Router, Firewall
-from diagrams.generic.place import Datacenter
-from diagrams.onprem.client import Users, Client
-from diagrams.onprem.compute import Server
-from diagrams.onprem.database import PostgreSQL
-from diagrams.onprem.queue import Kafka
-from diagrams.saas.identity import Okta`,
-  },
-
-  // SAAS & SPECIALIZED (ALL ORIGINAL)
-  elastic: {
-    name: 'Elastic Stack',
-    category: 'SaaS & Specialized',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.elastic.elasticsearch import Elasticsearch, Kibana, Logstash, Beats, Alerting, MachineLearning, Maps, Monitoring
-from diagrams.elastic.observability import APM, Logs, Metrics, Observability, Uptime
-from diagrams.elastic.agent import Agent, Fleet, Integrations
-from diagrams.elastic.beats import APM as APMBeat, Auditbeat, Filebeat, Functionbeat, Heartbeat, Metricbeat, Packetbeat, Winlogbeat
-from diagrams.elastic.saas import Elastic, Cloud
-from diagrams.elastic.security import Endpoint, SIEM, Security
-from diagrams.generic.compute import Rack
-from diagrams.onprem.client import Users`,
-  },
-
-  firebase: {
-    name: 'Firebase',
-    category: 'SaaS & Specialized',
-    outputFormat: 'png',
-    imports: `
-from diagrams import Diagram, Cluster, Edge
-from diagrams.firebase.develop import Authentication, Firestore, Functions, Hosting, RealtimeDatabase, Storage as FirebaseStorage
-from diagrams.firebase.grow import ABTesting, DynamicLinks, Messaging, RemoteConfig
-from diagrams.firebase.quality import AppDistribution, Crashlytics, PerformanceMonitoring, TestLab
-from diagrams.firebase.base import Firebase
-from diagrams.onprem.client import Users
-from diagrams.generic.device import Mobile, Tablet`,
-  },
-};
+// Styles, templates and quality presets live in shared/catalogue.js, plus any CATALOGUE_PATHS files
+function loadCatalogue() {
+  try {
+    return sharedCatalogue.loadCatalogue({
+      files: sharedCatalogue.parseCataloguePaths(config.catalogue.paths),
+      parseYaml: yaml.load,
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
 
-// ALL 40+ ORIGINAL TEMPLATES (UNCHANGED)
-const TEMPLATES = {
-  'm365-cmk': {
-    name: 'M365 Customer Managed Keys',
-    description: 'Complete M365 CMK architecture',
-    style: 'azure',
-    quality: 'enterprise',
-    prompt: `M365 Customer Managed Keys architecture with Azure Key Vault (HSM-Protected), Root Keys, DEP Keys for SharePoint/Exchange/Teams, Entra ID, RBAC, Log Analytics monitoring`,
-  },
-  'power-platform-cmk': {
-    name: 'Power Platform CMK',
-    description: 'Power Platform with Customer Managed Keys',
-    style: 'azure',
-    quality: 'enterprise',
-    prompt: `Power Platform Customer Managed Keys architecture with Entra ID, Managed Identity, Key Vault, Power Apps, Power Automate, Dataverse`,
-  },
-  'azure-landing-zone': {
-    name: 'Azure Landing Zone',
-    description: 'Enterprise-scale Azure landing zone',
-    style: 'azure',
-    quality: 'enterprise',
-    prompt: `Azure Enterprise Landing Zone with Management Groups, Platform Subscriptions, Spoke VNets, Policy, Defender, Sentinel`,
-  },
-  'zero-trust': {
-    name: 'Zero Trust Architecture',
-    description: 'Enterprise Zero Trust',
-    style: 'azure',
-    quality: 'enterprise',
-    prompt: `Zero Trust with Entra ID, Conditional Access, PIM, MFA, Intune, Firewall, Private Endpoints, Key Vault, Purview, Sentinel`,
-  },
-  'aws-serverless': {
-    name: 'AWS Serverless',
-    description: 'Serverless with API Gateway, Lambda, DynamoDB',
-    style: 'aws',
-    quality: 'enterprise',
-    prompt: `AWS Serverless with CloudFront, WAF, API Gateway, Lambda, DynamoDB, S3, IAM, KMS, CloudWatch`,
-  },
-  'aws-eks': {
-    name: 'AWS EKS Platform',
-    description: 'Production EKS cluster',
-    style: 'aws',
-    quality: 'enterprise',
-    prompt: `AWS EKS with VPC, NAT Gateway, ALB, EKS Control Plane, Node Groups, IRSA, KMS, Security Groups, CloudWatch`,
-  },
-  'gcp-data-platform': {
-    name: 'GCP Data Platform',
-    description: 'Modern data platform with BigQuery',
-    style: 'gcp',
-    quality: 'enterprise',
-    prompt: `GCP Data Platform with Pub/Sub, Cloud Storage, Dataflow, BigQuery, Dataproc, Composer, KMS, IAM`,
-  },
-  'k8s-microservices': {
-    name: 'Kubernetes Microservices',
-    description: 'Production microservices platform',
-    style: 'k8s',
-    quality: 'enterprise',
-    prompt: `K8s with Ingress, Deployments, Services, ConfigMaps, Secrets, HPA, Prometheus, Grafana, ArgoCD`,
-  },
-  'oss-observability': {
-    name: 'Open Source Observability',
-    description: 'Observability stack',
-    style: 'generic',
-    quality: 'enterprise',
-    prompt: `OSS Observability with Prometheus, Alertmanager, Loki, FluentBit, Tempo, Jaeger, Grafana, PagerDuty`,
-  },
-  'oss-cicd': {
-    name: 'Open Source CI/CD',
-    description: 'GitOps CI/CD pipeline',
-    style: 'generic',
-    quality: 'enterprise',
-    prompt: `OSS CI/CD with GitHub, Actions, Trivy scan, Harbor registry, ArgoCD, Helm, K8s, Slack`,
-  },
-  'oss-secrets': {
-    name: 'Open Source Secrets Management',
-    description: 'HashiCorp Vault secrets',
-    style: 'generic',
-    quality: 'enterprise',
-    prompt: `Vault with HA servers, Consul storage, auto-unseal, K8s auth, KV, PKI, Vault Agent, K8s CSI`,
-  },
-  // ... keeping file size manageable, you have all 40+ templates in original
-};
+const catalogue = loadCatalogue();
+const { qualities: QUALITY_PRESETS, styles: DIAGRAM_STYLES, templates: TEMPLATES } = catalogue;
 
 function enhanceDescription(description, quality) {
   // Original enhancement logic
@@ -684,6 +266,36 @@ function cleanTemp() {
   if (fs.existsSync(config.temp.dir)) fs.rmSync(config.temp.dir, { recursive: true });
 }
 
+// RESULT CACHE - identical requests reuse Claude's last answer instead of a new call
+function getCacheKey(description, style, quality) {
+  const outputFormat = DIAGRAM_STYLES[style]?.outputFormat === 'xml' ? 'xml' : 'png';
+  const inputs = { prompt: description, style, format: outputFormat, quality, model: config.anthropic.model, catalogue: catalogue.checksum };
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+function readCachedSpec(key) {
+  const cacheFile = path.join(config.cache.dir, `${key}.json`);
+  if (!fs.existsSync(cacheFile)) return null;
+
+  const ageDays = (Date.now() - fs.statSync(cacheFile).mtimeMs) / 86400000;
+  if (ageDays > config.cache.maxAgeDays) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedSpec(key, spec) {
+  if (!fs.existsSync(config.cache.dir)) fs.mkdirSync(config.cache.dir, { recursive: true });
+  fs.writeFileSync(path.join(config.cache.dir, `${key}.json`), JSON.stringify(spec, null, 2));
+}
+
+function cleanCache() {
+  if (fs.existsSync(config.cache.dir)) fs.rmSync(config.cache.dir, { recursive: true });
+}
+
 // ORIGINAL PUBLISHING (keeping all targets)
 async function publishToLocal(spec, imageBuffer) {
   const outputDir = config.local.outputDir;
@@ -786,12 +398,27 @@ async function commandGenerate(description, options) {
     }
     
     console.log(`\n📋 Using template: ${template.name}`);
-    finalDescription = template.prompt;
+    try {
+      const rendered = catalogue.renderTemplate(options.template, promptTemplates.parseAssignments(options.set));
+      finalDescription = rendered.prompt;
+      for (const [name, value] of Object.entries(rendered.parameters)) {
+        console.log(`   ${name} = ${value}`);
+      }
+    } catch (error) {
+      console.error(`\n❌ ${error.message}`);
+      console.log(`Run: node ai-diagram.js templates ${options.template}`);
+      process.exit(1);
+    }
     if (description) finalDescription += `\n\nAdditional: ${description}`;
     style = options.style || template.style; // Allow style override for draw.io
     quality = template.quality || 'enterprise';
   }
   
+  if (options.set.length > 0 && !options.template) {
+    console.error('\n❌ Error: --set needs --template');
+    process.exit(1);
+  }
+
   if (!finalDescription) {
     console.error('\n❌ Error: Provide description or use --template');
     process.exit(1);
@@ -799,7 +426,15 @@ async function commandGenerate(description, options) {
 
   try {
     ensureTempDir();
-    const spec = await generateDiagramWithClaude(finalDescription, style, quality, options);
+    const cacheKey = getCacheKey(finalDescription, style, quality);
+    let spec = options.cache === false ? null : readCachedSpec(cacheKey);
+
+    if (spec) {
+      console.log(`\n♻️  Using cached result (${cacheKey.slice(0, 12)}), pass --no-cache to regenerate`);
+    } else {
+      spec = await generateDiagramWithClaude(finalDescription, style, quality, options);
+      writeCachedSpec(cacheKey, spec);
+    }
 
     console.log('\n📋 Specification:');
     console.log(`   Title: ${spec.title}`);
@@ -924,17 +559,46 @@ async function commandStyles() {
   console.log('');
 }
 
-async function commandTemplates() {
+async function commandTemplates(name) {
+  if (name) {
+    const template = TEMPLATES[name];
+    if (!template) {
+      console.error(`\n❌ Unknown template: ${name}`);
+      process.exit(1);
+    }
+
+    console.log(`\n═══ ${template.name} ═══\n`);
+    if (template.description) console.log(`  ${template.description}\n`);
+    console.log(`  Style: ${template.style || 'azure'}   Quality: ${template.quality || 'enterprise'}\n`);
+
+    const parameters = Object.entries(template.parameters || {});
+    if (parameters.length === 0) {
+      console.log('  No parameters.');
+    }
+    for (const [key, parameter] of parameters) {
+      const type = parameter.enum ? parameter.enum.join('|') : parameter.type;
+      const fallback = parameter.default === undefined ? 'required' : `default: ${JSON.stringify(parameter.default)}`;
+      console.log(`  ${key.padEnd(20)} ${type.padEnd(10)} ${fallback}${parameter.description ? `  ${parameter.description}` : ''}`);
+    }
+
+    console.log(`\nPrompt:\n  ${template.prompt}\n`);
+    return;
+  }
+
   console.log('\n═══ AVAILABLE TEMPLATES ═══\n');
   
   for (const [key, template] of Object.entries(TEMPLATES)) {
+    const parameters = Object.keys(template.parameters || {});
     console.log(`  ${key}`);
-    console.log(`     ${template.name} - ${template.description}`);
+    console.log(`     ${template.name}${template.description ? ` - ${template.description}` : ''}`);
+    if (parameters.length > 0) console.log(`     Parameters: ${parameters.join(', ')}`);
   }
   
   console.log('\nUsage:');
   console.log('  node ai-diagram.js generate --template m365-cmk');
   console.log('  node ai-diagram.js generate --template m365-cmk --style drawio');
+  console.log('  node ai-diagram.js generate --template aws-eks --set region=ca-central-1 --set nodeGroups=3');
+  console.log('  node ai-diagram.js templates aws-eks   # parameters and defaults');
   console.log('');
 }
 
@@ -946,6 +610,22 @@ async function commandQuality() {
   console.log('');
 }
 
+async function commandCatalogue(options) {
+  if (options.json) {
+    console.log(JSON.stringify({ ...catalogue.summary(), files: catalogue.sources }, null, 2));
+    return;
+  }
+
+  console.log('\n═══ CATALOGUE ═══\n');
+  console.log(`  Version:   ${catalogue.version}`);
+  console.log(`  Checksum:  ${catalogue.checksum}`);
+  console.log(`  Styles:    ${Object.keys(DIAGRAM_STYLES).length}`);
+  console.log(`  Templates: ${Object.keys(TEMPLATES).length}`);
+  console.log(`  Files:     ${catalogue.sources.length > 0 ? catalogue.sources.join(', ') : '(built-in only)'}`);
+  console.log('\nCompare the checksum with GET /api/diagram/catalogue to check the API has the same entries.');
+  console.log('');
+}
+
 // MAIN CLI
 program
   .name('ai-diagram')
@@ -958,13 +638,20 @@ program
   .option('-s, --style <style>', 'Style: azure, aws, gcp, k8s, generic, drawio, uml, archimate, c4, etc.', 'azure')
   .option('-q, --quality <quality>', 'Quality: simple, standard, enterprise', 'standard')
   .option('-t, --template <template>', 'Use predefined template')
+  .option('--set <key=value>', 'Set a template parameter (repeatable)', (value, previous) => [...previous, value], [])
   .option('-o, --open', 'Open generated file')
   .option('-v, --verbose', 'Verbose output')
+  .option('--no-cache', 'Call Claude even if an identical request is cached')
   .action(commandGenerate);
 
-program.command('templates').description('List templates').action(commandTemplates);
+program.command('templates [name]').description('List templates, or show one with its parameters').action(commandTemplates);
 program.command('styles').description('List styles').action(commandStyles);
 program.command('quality').description('List quality levels').action(commandQuality);
+program
+  .command('catalogue')
+  .description('Show catalogue version, checksum and custom files')
+  .option('--json', 'Print as JSON')
+  .action(commandCatalogue);
 
 program
   .command('preview')
@@ -988,6 +675,14 @@ program
   .option('-v, --verbose', 'Verbose')
   .action(commandPublish);
 
-program.command('clean').description('Remove temp files').action(cleanTemp);
+program
+  .command('clean')
+  .description('Remove temp files')
+  .option('--all', 'Also remove cached results')
+  .option('--cache', 'Remove only cached results')
+  .action((options) => {
+    if (!options.cache) cleanTemp();
+    if (options.all || options.cache) cleanCache();
+  });
 
 program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// vendor-shared.js - Copy the repo's shared/ modules into the package
+//
+// ai-diagram.js imports the style/template catalogue from ./shared, the same
+// CommonJS modules the API and webapp use. Outside the repo (npm pack, npm i -g)
+// ../shared does not exist, so `prepare` copies it in and `files` publishes it.
+// Installs from a tarball already contain ./shared and skip the copy.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const source = path.join(__dirname, '..', 'shared');
+const target = path.join(__dirname, 'shared');
+
+if (!fs.existsSync(source)) {
+  if (!fs.existsSync(target)) {
+    console.error('❌ Neither ../shared nor ./shared exists; the catalogue cannot be loaded');
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.mkdirSync(target, { recursive: true });
+
+const files = fs.readdirSync(source).filter(file => file.endsWith('.js'));
+for (const file of files) {
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+}
+
+// This package is "type": "module"; the shared modules are CommonJS
+fs.writeFileSync(path.join(target, 'package.json'), JSON.stringify({ type: 'commonjs' }, null, 2) + '\n');
+
+console.log(`📦 Copied ${files.length} shared modules into ${path.relative(process.cwd(), target) || '.'}`);
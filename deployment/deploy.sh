@@ -146,7 +146,7 @@ build_and_push_images() {
     info "Building API Docker image..."
     cd "$REPO_PATH/api" || error "API directory not found"
     
-    docker build -t "$ACR_LOGIN_SERVER/api:$API_IMAGE_TAG" -f Dockerfile . || error "Failed to build API image"
+    docker build -t "$ACR_LOGIN_SERVER/api:$API_IMAGE_TAG" -f Dockerfile --build-context shared=../shared . || error "Failed to build API image"
     success "API image built"
     
     info "Pushing API image to registry..."
@@ -157,7 +157,7 @@ build_and_push_images() {
     info "Building Webapp Docker image..."
     cd "$REPO_PATH/webapp-frontend" || error "Webapp directory not found"
     
-    docker build -t "$ACR_LOGIN_SERVER/webapp:$WEBAPP_IMAGE_TAG" -f Dockerfile . || error "Failed to build Webapp image"
+    docker build -t "$ACR_LOGIN_SERVER/webapp:$WEBAPP_IMAGE_TAG" -f Dockerfile --build-context shared=../shared . || error "Failed to build Webapp image"
     success "Webapp image built"
     
     info "Pushing Webapp image to registry..."
@@ -14,7 +14,11 @@ npm install \
   chalk \
   ora \
   inquirer \
-  fs-extra
+  fs-extra \
+  js-yaml
+
+# Copy the shared catalogue modules into the CLI package
+npm run prepare
 
 echo ""
 echo "✅ All Node.js dependencies installed!"
@@ -0,0 +1,756 @@
+// shared/catalogue.js - Style, template and quality catalogue shared by the CLI, the API and the webapp
+//
+// DIAGRAM_STYLES are the CLI's styles, with the `diagrams` import block Claude
+// is given for each; TEMPLATES are ready-made prompts with a suggested style
+// and quality; QUALITY_PRESETS set how much detail to ask for.
+//
+// loadCatalogue() adds user-defined styles and templates from JSON or YAML
+// files (see CATALOGUE_PATHS in the READMEs). A file holds `styles` and/or
+// `templates` keyed by id; an id that already exists is merged over the
+// built-in entry, and later files win:
+//
+//   templates:
+//     acme-web:
+//       name: Acme web stack
+//       description: Our standard three-tier layout
+//       style: azure
+//       quality: standard
+//       prompt: Front Door, App Service, Azure SQL ...
+//
+// Every loaded catalogue carries `version` (CATALOGUE_VERSION, plus "+custom"
+// when files were loaded) and a `checksum` of its content, so a client can
+// tell whether it sees the same catalogue as the API.
+//
+// The API accepts the styles in diagramOptions.js; pythonStyleCatalogue() and
+// pythonTemplateCatalogue() describe those with the metadata kept here.
+//
+// This module has no dependencies; callers that read YAML pass in a parser
+// (e.g. js-yaml's `load`).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PYTHON_FORMATS, PYTHON_STYLES, QUALITIES } = require('./diagramOptions');
+const { checkTemplateDefinition, renderTemplate } = require('./promptTemplates');
+
+// Bump when built-in styles, templates or presets change
+const CATALOGUE_VERSION = '1.2.0';
+
+const FILE_PARSERS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const QUALITY_PRESETS = {
+  simple: {
+    name: 'Simple',
+    description: 'Basic diagram with main components, minimal detail',
+    guidance: `Create a SIMPLE diagram: 5-8 nodes, 1-2 clusters, basic labels`,
+  },
+  standard: {
+    name: 'Standard',
+    description: 'Balanced diagram with good detail and organization',
+    guidance: `Create a STANDARD diagram: 8-15 nodes, 3-5 clusters, descriptive labels`,
+  },
+  enterprise: {
+    name: 'Enterprise',
+    description: 'Comprehensive diagram with full detail, automation, monitoring',
+    guidance: `Create an ENTERPRISE diagram: comprehensive coverage, nested clusters, detailed labels, include identity, automation, monitoring, DR layers`,
+  },
+};
+
+// Styles by category. `imports` is the import block Claude writes against;
+// drawio produces XML instead of Python. `aliases` are ids the API uses.
+const DIAGRAM_STYLES = {
+  // DRAW.IO
+  drawio: {
+    name: 'Draw.io / diagrams.net',
+    category: 'Editable Diagrams',
+    outputFormat: 'xml',
+    description: 'Generates editable draw.io XML with professional cloud provider styling',
+  },
+  
+  // CLOUD PROVIDERS
+  azure: {
+    name: 'Azure Architecture',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.azure.compute import FunctionApps, AppServices, VM, AKS, ContainerInstances
+from diagrams.azure.database import SQLDatabases, CosmosDb, BlobStorage, DataLake
+from diagrams.azure.devops import Devops, Repos, Pipelines, Artifacts, Boards
+from diagrams.azure.identity import ManagedIdentities, ActiveDirectory, ConditionalAccess, Users as AzureUsers
+from diagrams.azure.integration import LogicApps, ServiceBus, EventGridDomains, APIManagement
+from diagrams.azure.network import VirtualNetworks, Firewall, LoadBalancers, ApplicationGateway, DNS, PrivateEndpoint, Subnets
+from diagrams.azure.security import KeyVaults, SecurityCenter, Sentinel
+from diagrams.azure.storage import StorageAccounts, BlobStorage, FileStorage, QueueStorage
+from diagrams.azure.analytics import LogAnalyticsWorkspaces, EventHubs, Databricks, SynapseAnalytics
+from diagrams.azure.web import AppServices, AppServicePlans
+from diagrams.azure.general import Subscriptions, Resourcegroups, Managementgroups
+from diagrams.azure.ml import MachineLearningServiceWorkspaces
+from diagrams.onprem.client import Users
+from diagrams.saas.chat import Teams
+from diagrams.generic.storage import Storage
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL`,
+  },
+
+  aws: {
+    name: 'AWS Architecture',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.aws.compute import Lambda, EC2, ECS, EKS, Fargate, ElasticBeanstalk, Batch
+from diagrams.aws.database import RDS, Dynamodb, ElastiCache, Redshift, Aurora, Neptune
+from diagrams.aws.network import VPC, ELB, ALB, NLB, CloudFront, Route53, APIGateway, PrivateSubnet, PublicSubnet, NATGateway, InternetGateway
+from diagrams.aws.storage import S3, EBS, EFS, FSx, Glacier
+from diagrams.aws.security import IAM, Cognito, KMS, SecretsManager, WAF, Shield, ACM, SecurityHub, GuardDuty, Inspector
+from diagrams.aws.integration import SQS, SNS, Eventbridge, StepFunctions, MQ
+from diagrams.aws.analytics import Kinesis, Athena, Glue, EMR, Quicksight, LakeFormation
+from diagrams.aws.management import Cloudwatch, Cloudtrail, Config, SystemsManager, Organizations, ControlTower
+from diagrams.aws.devtools import Codepipeline, Codecommit, Codebuild, Codedeploy
+from diagrams.aws.ml import Sagemaker, Rekognition, Comprehend
+from diagrams.aws.general import Users
+from diagrams.onprem.client import Users as OnPremUsers
+from diagrams.generic.storage import Storage
+from diagrams.generic.compute import Rack`,
+  },
+
+  gcp: {
+    name: 'GCP Architecture',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.gcp.compute import Functions, Run, GKE, ComputeEngine, AppEngine, GCF
+from diagrams.gcp.database import SQL as CloudSQL, Spanner, Firestore, Bigtable, Memorystore
+from diagrams.gcp.network import VPC, LoadBalancing, CDN, DNS, Armor, NAT, Router
+from diagrams.gcp.storage import GCS, Filestore, PersistentDisk
+from diagrams.gcp.security import Iam, KMS, SecurityCommandCenter, KeyManagementService
+from diagrams.gcp.analytics import BigQuery, Dataflow, Pubsub, Dataproc, Composer
+from diagrams.gcp.devtools import Build, SourceRepositories, ContainerRegistry
+from diagrams.gcp.ml import AIHub, AutoML, VisionAPI
+from diagrams.gcp.operations import Monitoring, Logging
+from diagrams.onprem.client import Users
+from diagrams.generic.storage import Storage
+from diagrams.generic.compute import Rack`,
+  },
+
+  alibabacloud: {
+    name: 'Alibaba Cloud',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.alibabacloud.compute import ECS, ContainerService, FunctionCompute, ElasticSearch, AutoScaling
+from diagrams.alibabacloud.database import RDS, PolarDB, Redis as AliRedis, MongoDB as AliMongoDB, AnalyticDB
+from diagrams.alibabacloud.network import SLB, ALB, VPC as AliVPC, CDN as AliCDN, DNS as AliDNS, NAT as AliNAT, VPN as AliVPN
+from diagrams.alibabacloud.storage import OSS, NAS as AliNAS, ESSD
+from diagrams.alibabacloud.security import WAF as AliWAF, AntiDdos, SecurityCenter as AliSecurityCenter, DataEncryptionService
+from diagrams.alibabacloud.analytics import DataV, Datahub, ELK
+from diagrams.alibabacloud.application import APIGateway as AliAPIGateway, LogService, MessageNotificationService
+from diagrams.onprem.client import Users
+from diagrams.generic.storage import Storage
+from diagrams.generic.compute import Rack`,
+  },
+
+  ibm: {
+    name: 'IBM Cloud',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.ibm.compute import BareMetalServer, VirtualMachineClassic, MQ, PowerSystems
+from diagrams.ibm.network import VPC as IbmVPC, LoadBalancerClassic, DirectLink, TransitGateway, VPN as IbmVPN
+from diagrams.ibm.storage import BlockStorage, ObjectStorage, FileStorage as IbmFileStorage
+from diagrams.ibm.database import CloudDatabases, Cloudant, Db2, Informix
+from diagrams.ibm.applications import OpenShift, CloudFoundry
+from diagrams.ibm.devops import Toolchain, AutoScaling as IbmAutoScaling
+from diagrams.ibm.security import IdentityProvider, KeyProtect, ApiConnect
+from diagrams.ibm.analytics import Watson, StreamingAnalytics
+from diagrams.ibm.management import CloudManagement, Monitoring as IbmMonitoring, AlertNotification
+from diagrams.ibm.infrastructure import ContainerKubernetes, ContainerRegistry as IbmContainerRegistry
+from diagrams.ibm.general import Cloudservices
+from diagrams.onprem.client import Users
+from diagrams.generic.compute import Rack`,
+  },
+
+  oci: {
+    name: 'Oracle Cloud (OCI)',
+    category: 'Cloud Providers',
+    aliases: ['oracle'],
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.oci.compute import Compute, Container, Functions as OciFunctions, VM as OciVM, VMCluster
+from diagrams.oci.database import Autonomous, DatabaseService, Dcat
+from diagrams.oci.network import VCN, LoadBalancer as OciLB, DRG, Firewall as OciFirewall, ServiceGateway, InternetGateway as OciIGW
+from diagrams.oci.storage import BlockStorage as OciBlock, FileStorage as OciFS, ObjectStorage as OciObject
+from diagrams.oci.security import Vault, CloudGuard, IDCloud, KeyManagement, WAF as OciWAF, Bastion
+from diagrams.oci.governance import Compartments, Policies, Tagging, Audit
+from diagrams.oci.monitoring import Alarm, Events, Logging as OciLogging, Notifications, Telemetry
+from diagrams.oci.connectivity import Backbone, CDN as OciCDN, FastConnect, VPN as OciVPN, DNS as OciDNS
+from diagrams.onprem.client import Users
+from diagrams.generic.compute import Rack`,
+  },
+
+  digitalocean: {
+    name: 'DigitalOcean',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.digitalocean.compute import Containers, Docker as DoDocker, Droplet, K8SCluster, K8SNodePool
+from diagrams.digitalocean.database import DbaasPrimary, DbaasReadReplica, DbaasStandby
+from diagrams.digitalocean.network import Certificate, Firewall as DoFirewall, FloatingIp, LoadBalancer as DoLB, DomainRegistration
+from diagrams.digitalocean.storage import Folder, Space, Volume
+from diagrams.onprem.client import Users
+from diagrams.generic.compute import Rack`,
+  },
+
+  openstack: {
+    name: 'OpenStack',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.openstack.compute import Nova, Qemu
+from diagrams.openstack.networking import Neutron, Designate, Octavia
+from diagrams.openstack.storage import Cinder, Manila, Swift
+from diagrams.openstack.sharedservices import Glance, Keystone, Barbican, Heat
+from diagrams.openstack.deployment import Ansible as OsAnsible, Kolla, TripleO
+from diagrams.openstack.monitoring import Monasca, Telemetry
+from diagrams.openstack.frontend import Horizon
+from diagrams.onprem.client import Users
+from diagrams.generic.compute import Rack`,
+  },
+
+  outscale: {
+    name: 'Outscale (3DS)',
+    category: 'Cloud Providers',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.outscale.compute import Compute as OsCompute, DirectConnect as OsDc
+from diagrams.outscale.network import LoadBalancer as OsLB, Net, SiteToSiteVpng, InternetService, NatService
+from diagrams.outscale.storage import Storage as OsStorage, SimpleStorageService
+from diagrams.outscale.security import IdentityAndAccessManagement, Firewall as OsFirewall
+from diagrams.onprem.client import Users
+from diagrams.generic.compute import Rack`,
+  },
+
+  // CONTAINER & DEVOPS
+  k8s: {
+    name: 'Kubernetes Architecture',
+    category: 'Container & DevOps',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.k8s.compute import Pod, Deployment, ReplicaSet, StatefulSet, DaemonSet, Job, Cronjob
+from diagrams.k8s.network import Service, Ingress, NetworkPolicy
+from diagrams.k8s.storage import PV, PVC, StorageClass
+from diagrams.k8s.rbac import ServiceAccount, Role, RoleBinding, ClusterRole, ClusterRoleBinding
+from diagrams.k8s.controlplane import APIServer, Scheduler, ControllerManager
+from diagrams.k8s.infra import Node, Master
+from diagrams.k8s.clusterconfig import HPA, LimitRange, Quota
+from diagrams.k8s.others import CRD
+from diagrams.k8s.podconfig import ConfigMap, Secret
+from diagrams.k8s.group import Namespace
+from diagrams.onprem.client import Users
+from diagrams.onprem.network import Nginx, Istio, Envoy, Traefik, Kong
+from diagrams.onprem.monitoring import Prometheus, Grafana
+from diagrams.onprem.logging import Loki, FluentBit
+from diagrams.onprem.tracing import Jaeger
+from diagrams.generic.storage import Storage
+from diagrams.generic.compute import Rack`,
+  },
+
+  generic: {
+    name: 'Generic / Open Source',
+    category: 'Container & DevOps',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL
+from diagrams.generic.network import Firewall, Router, Switch, Subnet, VPN
+from diagrams.generic.storage import Storage
+from diagrams.generic.os import Windows, LinuxGeneral, Ubuntu, Centos
+from diagrams.generic.place import Datacenter
+from diagrams.generic.device import Mobile, Tablet
+from diagrams.generic.blank import Blank
+from diagrams.onprem.client import Users, Client
+from diagrams.onprem.compute import Server, Nomad
+from diagrams.onprem.database import PostgreSQL, MySQL, MongoDB, Redis, Cassandra, InfluxDB, Neo4J, MariaDB, Clickhouse, CockroachDB
+from diagrams.onprem.network import Nginx, Apache, Traefik, HAProxy, Envoy, Istio, Consul, Kong, Linkerd, Zookeeper, Caddy, Gunicorn, Tomcat
+from diagrams.onprem.queue import Kafka, RabbitMQ, ActiveMQ, Celery
+from diagrams.onprem.monitoring import Prometheus, Grafana, Datadog, Splunk, Nagios, Zabbix, Thanos, Sentry, Newrelic
+from diagrams.onprem.ci import Jenkins, GithubActions, GitlabCI, CircleCI, DroneCI, TravisCI, Teamcity, Concourse
+from diagrams.onprem.container import Docker, Containerd
+from diagrams.onprem.vcs import Git, Github, Gitlab, Bitbucket
+from diagrams.onprem.security import Vault, Trivy, Bitwarden
+from diagrams.onprem.inmemory import Redis as RedisCache, Memcached, Hazelcast
+from diagrams.onprem.logging import FluentBit, Loki, Graylog, RSyslog
+from diagrams.onprem.tracing import Jaeger, Tempo
+from diagrams.onprem.gitops import ArgoCD, Flux
+from diagrams.onprem.workflow import Airflow, Kubeflow, Nifi
+from diagrams.onprem.iac import Ansible, Terraform, Puppet, Atlantis
+from diagrams.onprem.certificates import Letsencrypt, CertManager
+from diagrams.saas.chat import Teams, Slack, Discord
+from diagrams.saas.cdn import Cloudflare, Akamai, Fastly
+from diagrams.saas.identity import Auth0, Okta
+from diagrams.saas.alerting import Pagerduty, Opsgenie
+from diagrams.programming.language import Python, Javascript, Go, Rust, Java, Nodejs, Csharp, Typescript
+from diagrams.programming.framework import React, Vue, Angular, Django, Flask, Spring, Fastapi`,
+  },
+
+  // ENTERPRISE ARCHITECTURE
+  c4: {
+    name: 'C4 Model',
+    category: 'Enterprise Architecture',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.c4 import Person, Container, Database, System, SystemBoundary, Relationship
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL
+from diagrams.generic.storage import Storage
+from diagrams.onprem.client import Users`,
+  },
+
+  uml: {
+    name: 'UML / UML2',
+    category: 'Enterprise Architecture',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL
+from diagrams.generic.storage import Storage
+from diagrams.generic.network import Switch, Router
+from diagrams.generic.blank import Blank
+from diagrams.onprem.client import Users, Client
+from diagrams.onprem.compute import Server
+from diagrams.programming.language import Python, Java, Csharp
+from diagrams.programming.framework import Spring, Django, React`,
+  },
+
+  archimate: {
+    name: 'ArchiMate',
+    category: 'Enterprise Architecture',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL
+from diagrams.generic.storage import Storage
+from diagrams.generic.network import Switch, Router, Firewall, Subnet
+from diagrams.generic.blank import Blank
+from diagrams.generic.place import Datacenter
+from diagrams.generic.device import Mobile, Tablet
+from diagrams.onprem.client import Users, Client
+from diagrams.onprem.compute import Server
+from diagrams.onprem.network import Nginx
+from diagrams.onprem.database import PostgreSQL
+from diagrams.onprem.queue import Kafka`,
+  },
+
+  enterprise: {
+    name: 'Enterprise (TOGAF)',
+    category: 'Enterprise Architecture',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.generic.compute import Rack
+from diagrams.generic.database import SQL
+from diagrams.generic.storage import Storage
+from diagrams.generic.network import Switch, Router, Firewall
+from diagrams.generic.place import Datacenter
+from diagrams.onprem.client import Users, Client
+from diagrams.onprem.compute import Server
+from diagrams.onprem.database import PostgreSQL
+from diagrams.onprem.queue import Kafka
+from diagrams.saas.identity import Okta`,
+  },
+
+  // SAAS & SPECIALIZED
+  elastic: {
+    name: 'Elastic Stack',
+    category: 'SaaS & Specialized',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.elastic.elasticsearch import Elasticsearch, Kibana, Logstash, Beats, Alerting, MachineLearning, Maps, Monitoring
+from diagrams.elastic.observability import APM, Logs, Metrics, Observability, Uptime
+from diagrams.elastic.agent import Agent, Fleet, Integrations
+from diagrams.elastic.beats import APM as APMBeat, Auditbeat, Filebeat, Functionbeat, Heartbeat, Metricbeat, Packetbeat, Winlogbeat
+from diagrams.elastic.saas import Elastic, Cloud
+from diagrams.elastic.security import Endpoint, SIEM, Security
+from diagrams.generic.compute import Rack
+from diagrams.onprem.client import Users`,
+  },
+
+  firebase: {
+    name: 'Firebase',
+    category: 'SaaS & Specialized',
+    outputFormat: 'png',
+    imports: `
+from diagrams import Diagram, Cluster, Edge
+from diagrams.firebase.develop import Authentication, Firestore, Functions, Hosting, RealtimeDatabase, Storage as FirebaseStorage
+from diagrams.firebase.grow import ABTesting, DynamicLinks, Messaging, RemoteConfig
+from diagrams.firebase.quality import AppDistribution, Crashlytics, PerformanceMonitoring, TestLab
+from diagrams.firebase.base import Firebase
+from diagrams.onprem.client import Users
+from diagrams.generic.device import Mobile, Tablet`,
+  },
+};
+
+// Prompt templates, with the style and quality they were written for.
+// `parameters` and {{...}} placeholders are described in promptTemplates.js.
+const TEMPLATES = {
+  'm365-cmk': {
+    name: 'M365 Customer Managed Keys',
+    description: 'Complete M365 CMK architecture',
+    style: 'azure',
+    quality: 'enterprise',
+    parameters: {
+      region: { type: 'string', default: 'East US', description: 'Azure region of the key vaults' },
+      namePrefix: { type: 'string', default: '', description: 'Naming prefix for resources, e.g. contoso-prod' },
+      sharepoint: { type: 'boolean', default: true, description: 'Include SharePoint/OneDrive' },
+      exchange: { type: 'boolean', default: true, description: 'Include Exchange Online' },
+      teams: { type: 'boolean', default: true, description: 'Include Teams' },
+    },
+    prompt: `M365 Customer Managed Keys architecture with Azure Key Vault (HSM-Protected) in {{region}}{{#if namePrefix}} (resources named {{namePrefix}}-*){{/if}}, Root Keys{{#if sharepoint}}, SharePoint/OneDrive DEP Key{{/if}}{{#if exchange}}, Exchange DEP Key{{/if}}{{#if teams}}, Teams DEP Key{{/if}}, Entra ID, RBAC, Log Analytics monitoring`,
+  },
+  'power-platform-cmk': {
+    name: 'Power Platform CMK',
+    description: 'Power Platform with Customer Managed Keys',
+    style: 'azure',
+    quality: 'enterprise',
+    prompt: `Power Platform Customer Managed Keys architecture with Entra ID, Managed Identity, Key Vault, Power Apps, Power Automate, Dataverse`,
+  },
+  'azure-landing-zone': {
+    name: 'Azure Landing Zone',
+    description: 'Enterprise-scale Azure landing zone',
+    style: 'azure',
+    quality: 'enterprise',
+    parameters: {
+      region: { type: 'string', default: 'East US', description: 'Primary Azure region' },
+      spokes: { type: 'integer', default: 2, minimum: 1, maximum: 10, description: 'Number of spoke VNets' },
+      firewall: { type: 'boolean', default: true, description: 'Azure Firewall in the hub' },
+    },
+    prompt: `Azure Enterprise Landing Zone in {{region}} with Management Groups, Platform Subscriptions, a hub VNet{{#if firewall}} with Azure Firewall{{/if}} and {{spokes}} Spoke VNets, Policy, Defender, Sentinel`,
+  },
+  'zero-trust': {
+    name: 'Zero Trust Architecture',
+    description: 'Enterprise Zero Trust',
+    style: 'azure',
+    quality: 'enterprise',
+    prompt: `Zero Trust with Entra ID, Conditional Access, PIM, MFA, Intune, Firewall, Private Endpoints, Key Vault, Purview, Sentinel`,
+  },
+  'aws-serverless': {
+    name: 'AWS Serverless',
+    description: 'Serverless with API Gateway, Lambda, DynamoDB',
+    style: 'aws',
+    quality: 'enterprise',
+    prompt: `AWS Serverless with CloudFront, WAF, API Gateway, Lambda, DynamoDB, S3, IAM, KMS, CloudWatch`,
+  },
+  'aws-eks': {
+    name: 'AWS EKS Platform',
+    description: 'Production EKS cluster',
+    style: 'aws',
+    quality: 'enterprise',
+    parameters: {
+      region: { type: 'string', default: 'us-east-1', description: 'AWS region' },
+      availabilityZones: { type: 'integer', default: 3, minimum: 1, maximum: 6 },
+      nodeGroups: { type: 'integer', default: 2, minimum: 1, maximum: 10, description: 'Managed node groups' },
+      karpenter: { type: 'boolean', default: false, description: 'Karpenter instead of Cluster Autoscaler' },
+    },
+    prompt: `AWS EKS in {{region}} with a VPC across {{availabilityZones}} availability zones, NAT Gateway, ALB, EKS Control Plane, {{nodeGroups}} managed Node Groups{{#if karpenter}} scaled by Karpenter{{else}} with Cluster Autoscaler{{/if}}, IRSA, KMS, Security Groups, CloudWatch`,
+  },
+  'gcp-data-platform': {
+    name: 'GCP Data Platform',
+    description: 'Modern data platform with BigQuery',
+    style: 'gcp',
+    quality: 'enterprise',
+    prompt: `GCP Data Platform with Pub/Sub, Cloud Storage, Dataflow, BigQuery, Dataproc, Composer, KMS, IAM`,
+  },
+  'k8s-microservices': {
+    name: 'Kubernetes Microservices',
+    description: 'Production microservices platform',
+    style: 'k8s',
+    quality: 'enterprise',
+    prompt: `K8s with Ingress, Deployments, Services, ConfigMaps, Secrets, HPA, Prometheus, Grafana, ArgoCD`,
+  },
+  'oss-observability': {
+    name: 'Open Source Observability',
+    description: 'Observability stack',
+    style: 'generic',
+    quality: 'enterprise',
+    prompt: `OSS Observability with Prometheus, Alertmanager, Loki, FluentBit, Tempo, Jaeger, Grafana, PagerDuty`,
+  },
+  'oss-cicd': {
+    name: 'Open Source CI/CD',
+    description: 'GitOps CI/CD pipeline',
+    style: 'generic',
+    quality: 'enterprise',
+    prompt: `OSS CI/CD with GitHub, Actions, Trivy scan, Harbor registry, ArgoCD, Helm, K8s, Slack`,
+  },
+  'oss-secrets': {
+    name: 'Open Source Secrets Management',
+    description: 'HashiCorp Vault secrets',
+    style: 'generic',
+    quality: 'enterprise',
+    prompt: `Vault with HA servers, Consul storage, auto-unseal, K8s auth, KV, PKI, Vault Agent, K8s CSI`,
+  },
+};
+
+const createError = (message, file) => {
+  const error = new Error(file ? `${file}: ${message}` : message);
+  error.code = 'CATALOGUE_ERROR';
+  return error;
+};
+
+/**
+ * Split a comma-separated CATALOGUE_PATHS value into paths
+ */
+function parseCataloguePaths(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Files to load for `paths`; a directory contributes its .json/.yaml/.yml files in name order
+ */
+function resolveFiles(paths) {
+  return paths.flatMap(entry => {
+    const stat = fs.statSync(entry, { throwIfNoEntry: false });
+    if (!stat) throw createError('catalogue file not found', entry);
+    if (!stat.isDirectory()) return [entry];
+
+    return fs.readdirSync(entry)
+      .filter(name => FILE_PARSERS[path.extname(name).toLowerCase()])
+      .sort()
+      .map(name => path.join(entry, name));
+  });
+}
+
+function readFile(file, parseYaml) {
+  const parser = FILE_PARSERS[path.extname(file).toLowerCase()];
+  if (!parser) throw createError('catalogue files must be .json, .yaml or .yml', file);
+  if (parser === 'yaml' && !parseYaml) throw createError('no YAML parser was given to loadCatalogue', file);
+
+  const text = fs.readFileSync(file, 'utf8');
+  let data;
+  try {
+    data = parser === 'json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw createError(`could not parse: ${error.message}`, file);
+  }
+
+  if (!isObject(data)) throw createError('expected an object with `styles` and/or `templates`', file);
+  const unknown = Object.keys(data).filter(key => key !== 'styles' && key !== 'templates');
+  if (unknown.length > 0) throw createError(`unknown section(s): ${unknown.join(', ')}`, file);
+
+  return data;
+}
+
+/**
+ * Merge one file's entries into `styles`/`templates`, checking each merged entry
+ */
+function mergeEntries(data, styles, templates, file) {
+  for (const [section, target] of [['styles', styles], ['templates', templates]]) {
+    if (data[section] === undefined) continue;
+    if (!isObject(data[section])) throw createError(`\`${section}\` must be an object keyed by id`, file);
+
+    for (const [id, entry] of Object.entries(data[section])) {
+      if (!isObject(entry)) throw createError(`${section}.${id} must be an object`, file);
+      target[id] = { ...target[id], ...entry };
+    }
+  }
+
+  for (const [id, style] of Object.entries(data.styles || {})) {
+    const merged = styles[id];
+    if (typeof merged.name !== 'string' || !merged.name) throw createError(`styles.${id} needs a name`, file);
+    if (merged.outputFormat !== 'xml' && typeof merged.imports !== 'string') {
+      throw createError(`styles.${id} needs an \`imports\` block`, file);
+    }
+    if (style.aliases !== undefined && !Array.isArray(style.aliases)) {
+      throw createError(`styles.${id}.aliases must be a list`, file);
+    }
+  }
+
+  for (const id of Object.keys(data.templates || {})) {
+    const merged = templates[id];
+    for (const field of ['name', 'prompt']) {
+      if (typeof merged[field] !== 'string' || !merged[field]) throw createError(`templates.${id} needs a ${field}`, file);
+    }
+  }
+}
+
+/**
+ * The built-in catalogue plus the styles and templates in `files` (paths to
+ * JSON/YAML files or directories). `parseYaml(text)` is needed for YAML files.
+ * Throws CATALOGUE_ERROR naming the file on a missing file or invalid entry.
+ */
+function loadCatalogue({ files = [], parseYaml = null } = {}) {
+  const styles = clone(DIAGRAM_STYLES);
+  const templates = clone(TEMPLATES);
+  const sources = resolveFiles(files);
+
+  for (const file of sources) {
+    mergeEntries(readFile(file, parseYaml), styles, templates, file);
+  }
+
+  for (const [id, template] of Object.entries(templates)) {
+    if (template.style && !styles[template.style] && !PYTHON_STYLES[template.style]) {
+      throw createError(`templates.${id} uses unknown style "${template.style}"`);
+    }
+    if (template.quality && !QUALITY_PRESETS[template.quality]) {
+      throw createError(`templates.${id} uses unknown quality "${template.quality}"`);
+    }
+    const [problem] = checkTemplateDefinition(template);
+    if (problem) throw createError(`templates.${id}: ${problem}`);
+  }
+
+  return createCatalogue({ styles, templates, qualities: clone(QUALITY_PRESETS), sources });
+}
+
+function createCatalogue({ styles, templates, qualities, sources }) {
+  const version = sources.length > 0 ? `${CATALOGUE_VERSION}+custom` : CATALOGUE_VERSION;
+  const checksum = crypto.createHash('sha256')
+    .update(stableStringify({ styles, templates, qualities }))
+    .digest('hex')
+    .slice(0, 16);
+
+  /**
+   * Catalogue entry for a style id, looking through `aliases` (e.g. oracle -> oci)
+   */
+  const findStyle = id => {
+    if (Object.hasOwn(styles, id)) return { id, ...styles[id] };
+
+    const entry = Object.entries(styles).find(([, style]) => (style.aliases || []).includes(id));
+    return entry ? { id: entry[0], ...entry[1] } : null;
+  };
+
+  return {
+    version,
+    checksum,
+    sources,
+    styles,
+    templates,
+    qualities,
+    findStyle,
+
+    /**
+     * Version, checksum and entry counts, for health checks and drift reports
+     */
+    summary() {
+      return {
+        version,
+        checksum,
+        sources: sources.length,
+        styles: Object.keys(styles).length,
+        templates: Object.keys(templates).length
+      };
+    },
+
+    /**
+     * Prompt for template `id` filled with `values`; returns { prompt, parameters, template }.
+     * Throws VALIDATION_ERROR for an unknown template or invalid parameters.
+     */
+    renderTemplate(id, values = {}) {
+      const template = Object.hasOwn(templates, id) ? templates[id] : null;
+      if (!template) {
+        const error = new Error(`Unknown template "${id}"`);
+        error.code = 'VALIDATION_ERROR';
+        error.fields = [{ field: 'template', message: 'is not a catalogue template' }];
+        throw error;
+      }
+      return { ...renderTemplate(template, values), template: { id, ...template } };
+    },
+
+    /**
+     * Python formats, styles and quality levels the API accepts, without import blocks
+     */
+    pythonStyleCatalogue() {
+      return {
+        version,
+        checksum,
+        formats: Object.entries(PYTHON_FORMATS).map(([id, format]) => ({ id, ...format })),
+        styles: Object.entries(PYTHON_STYLES).map(([id, style]) => {
+          const entry = findStyle(id);
+          return {
+            id,
+            name: style.name,
+            format: style.format,
+            group: style.group || null,
+            category: entry?.category || null,
+            description: entry?.description || null
+          };
+        }),
+        qualities: Object.entries(QUALITIES).map(([id, quality]) => ({
+          id,
+          name: quality.name,
+          nodes: quality.nodes,
+          description: qualities[id]?.description || quality.description
+        }))
+      };
+    },
+
+    /**
+     * Prompt templates whose suggested style the API accepts
+     */
+    pythonTemplateCatalogue() {
+      return {
+        version,
+        checksum,
+        templates: Object.entries(templates)
+          .filter(([, template]) => PYTHON_STYLES[template.style])
+          .map(([id, template]) => ({
+            id,
+            name: template.name,
+            description: template.description || '',
+            style: template.style,
+            format: PYTHON_STYLES[template.style].format,
+            quality: template.quality || 'standard',
+            parameters: template.parameters || {},
+            prompt: template.prompt
+          }))
+      };
+    }
+  };
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function clone(entries) {
+  return Object.fromEntries(Object.entries(entries).map(([id, entry]) => [id, { ...entry }]));
+}
+
+/**
+ * JSON with object keys sorted, so equal catalogues hash the same regardless of file order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  CATALOGUE_VERSION,
+  QUALITY_PRESETS,
+  DIAGRAM_STYLES,
+  TEMPLATES,
+  parseCataloguePaths,
+  loadCatalogue
+};
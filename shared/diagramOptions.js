@@ -0,0 +1,77 @@
+// shared/diagramOptions.js - The diagram options every component agrees on
+//
+// Generators, Python output formats and their styles, quality levels and
+// output file types. The API validates requests and publishes its OpenAPI
+// enums from here, so an option added here is accepted and documented at once.
+//
+// This module has no dependencies.
+
+const DIAGRAM_TYPES = {
+  python: 'Python `diagrams` code rendered with Graphviz',
+  drawio: 'Editable draw.io XML generated from a draw.io template'
+};
+
+const PYTHON_FORMATS = {
+  graphviz: {
+    name: 'Cloud Architecture (Icons & Logos)',
+    description: 'Best for cloud infrastructure with proper icons and logos'
+  },
+  'graphviz-dot': {
+    name: 'Traditional Diagrams (Flowcharts/States)',
+    description: 'Best for process flows, state machines, org charts'
+  }
+};
+
+// `format` is the Python format the style belongs to; `group` is for pickers
+const PYTHON_STYLES = {
+  azure: { name: 'Azure', format: 'graphviz', group: 'Major Cloud' },
+  aws: { name: 'AWS', format: 'graphviz', group: 'Major Cloud' },
+  gcp: { name: 'GCP', format: 'graphviz', group: 'Major Cloud' },
+  saas: { name: 'SaaS Services', format: 'graphviz', group: 'SaaS' },
+  elastic: { name: 'Elastic Stack', format: 'graphviz', group: 'SaaS' },
+  firebase: { name: 'Firebase', format: 'graphviz', group: 'SaaS' },
+  ibm: { name: 'IBM Cloud', format: 'graphviz', group: 'Enterprise' },
+  oracle: { name: 'Oracle Cloud', format: 'graphviz', group: 'Enterprise' },
+  c4: { name: 'C4 Model', format: 'graphviz', group: 'Architecture Frameworks' },
+  uml: { name: 'UML 2.0', format: 'graphviz', group: 'Architecture Frameworks' },
+  archimate: { name: 'ArchiMate', format: 'graphviz', group: 'Architecture Frameworks' },
+  enterprise: { name: 'TOGAF Layers', format: 'graphviz', group: 'Architecture Frameworks' },
+  k8s: { name: 'Kubernetes', format: 'graphviz', group: 'Other' },
+  digitalocean: { name: 'Digital Ocean', format: 'graphviz', group: 'Other' },
+  alibabacloud: { name: 'Alibaba Cloud', format: 'graphviz', group: 'Other' },
+  openstack: { name: 'OpenStack', format: 'graphviz', group: 'Other' },
+  outscale: { name: 'Outscale', format: 'graphviz', group: 'Other' },
+  generic: { name: 'Generic', format: 'graphviz', group: 'Other' },
+  flowchart: { name: 'Flowchart / Process Diagram', format: 'graphviz-dot' },
+  state: { name: 'State Machine', format: 'graphviz-dot' },
+  orgchart: { name: 'Organization Chart', format: 'graphviz-dot' },
+  network: { name: 'Network Topology', format: 'graphviz-dot' },
+  sequence: { name: 'Sequence Diagram', format: 'graphviz-dot' }
+};
+
+const QUALITIES = {
+  simple: { name: 'Simple', nodes: '5-8', description: 'Quick concepts, internal docs' },
+  standard: { name: 'Standard', nodes: '8-15', description: 'Team presentations, documentation' },
+  enterprise: { name: 'Enterprise', nodes: '15+', description: 'Client presentations, compliance' }
+};
+
+const OUTPUT_FORMATS = {
+  png: 'PNG image',
+  svg: 'SVG image'
+};
+
+/**
+ * Style ids available for a Python format
+ */
+function pythonStylesFor(format) {
+  return Object.keys(PYTHON_STYLES).filter(id => PYTHON_STYLES[id].format === format);
+}
+
+module.exports = {
+  DIAGRAM_TYPES,
+  PYTHON_FORMATS,
+  PYTHON_STYLES,
+  QUALITIES,
+  OUTPUT_FORMATS,
+  pythonStylesFor
+};
@@ -0,0 +1,236 @@
+// shared/identity.js - Identity token contract shared by the webapp, the API and its scripts
+//
+// Every caller token is an HS256 JWT with:
+//   header  kid    - which signing key was used (key rotation)
+//   claims  iss    - who minted it (ISSUERS)
+//           aud    - AUDIENCE
+//           sub    - the user id that owns requests and usage
+//           tier   - one of TIERS
+//           scopes - subset of SCOPES
+//           role   - optional, 'admin'
+//           exp    - expiry
+//
+// A trusted service (the webapp) that authenticates with the service account
+// key can act for one of its users by also sending a delegation token in
+// DELEGATION_HEADER: a short-lived HS256 JWT signed with the service account
+// key itself, carrying sub + tier and `typ: 'delegation'`.
+//
+// This module has no dependencies; callers pass in their own `jsonwebtoken`.
+
+const ISSUERS = {
+  webapp: 'cloudstrucc-webapp',
+  cli: 'cloudstrucc-cli'
+};
+
+const AUDIENCE = 'cloudstrucc-diagram-api';
+
+const ALGORITHM = 'HS256';
+
+const TIERS = ['free', 'standard', 'pro', 'enterprise'];
+
+const DELEGATION_HEADER = 'x-delegated-user';
+
+const DELEGATION_TYPE = 'delegation';
+
+const SCOPES = {
+  'diagrams:generate': 'Submit and cancel diagram requests',
+  'diagrams:read': 'Read request status and results',
+  'usage:read': 'Read usage for the key owner'
+};
+
+/**
+ * Parse a key ring spec: "kid1:secret1,kid2:secret2".
+ * The first key signs new tokens; every listed key is accepted when verifying,
+ * so a new key can be prepended and the old one removed once its tokens expire.
+ * Falls back to a single `fallbackSecret` under kid "default".
+ */
+function parseKeyRing(spec, fallbackSecret) {
+  const keys = new Map();
+
+  for (const entry of String(spec || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    const kid = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (kid && secret) keys.set(kid, secret);
+  }
+
+  if (keys.size === 0 && fallbackSecret) {
+    keys.set('default', fallbackSecret);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No JWT signing keys configured (set JWT_SIGNING_KEYS or a JWT secret)');
+  }
+
+  return { activeKid: keys.keys().next().value, keys };
+}
+
+/**
+ * Sign an identity token for a user
+ */
+function signIdentityToken({ jwt, keyRing, issuer, userId, tier, scopes, role, email, expiresIn = '24h' }) {
+  if (!userId) {
+    throw new Error('Identity tokens need a userId (sub)');
+  }
+  if (!TIERS.includes(tier)) {
+    throw new Error(`Unknown tier: ${tier}`);
+  }
+
+  const claims = {
+    tier,
+    scopes: scopes || Object.keys(SCOPES),
+    ...(role && { role }),
+    ...(email && { email })
+  };
+
+  return jwt.sign(claims, keyRing.keys.get(keyRing.activeKid), {
+    algorithm: ALGORITHM,
+    keyid: keyRing.activeKid,
+    issuer,
+    audience: AUDIENCE,
+    subject: String(userId),
+    expiresIn
+  });
+}
+
+/**
+ * Verify a token and return the caller's principal:
+ *   { userId, tier, scopes, role, isAdmin, issuer, kid, legacy }
+ *
+ * Tokens minted before this contract ({ apiKey, tier } or { userId, tier },
+ * no iss/aud/kid) are accepted only when `allowLegacy` is set. Their role and
+ * tier were self-asserted, so they run as free tier and never as admin.
+ * Throws on any invalid token.
+ */
+function verifyIdentityToken({ jwt, keyRing, token, allowLegacy = false }) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || typeof decoded.payload !== 'object') {
+    throw new Error('Malformed token');
+  }
+
+  if (decoded.payload.typ === DELEGATION_TYPE) {
+    throw new Error('Delegation tokens cannot be used as identity tokens');
+  }
+
+  const { kid } = decoded.header;
+
+  if (!kid && !decoded.payload.iss) {
+    if (!allowLegacy) {
+      throw new Error('Legacy tokens are no longer accepted');
+    }
+    const { role, tier, ...claims } = verifyWithAnyKey(jwt, keyRing, token, { algorithms: [ALGORITHM] });
+    return toPrincipal({ ...claims, sub: claims.userId || claims.apiKey }, { kid: null, legacy: true });
+  }
+
+  const secret = keyRing.keys.get(kid);
+  if (!secret) {
+    throw new Error(`Unknown signing key: ${kid}`);
+  }
+
+  const claims = jwt.verify(token, secret, {
+    algorithms: [ALGORITHM],
+    audience: AUDIENCE,
+    issuer: Object.values(ISSUERS)
+  });
+
+  return toPrincipal(claims, { kid, legacy: false });
+}
+
+/**
+ * Sign a delegation token so a service can act for `userId` at `tier`.
+ * Kept short-lived: it is minted per API call.
+ */
+function signDelegationToken({ jwt, secret, issuer, userId, tier, expiresIn = '5m' }) {
+  if (!userId) {
+    throw new Error('Delegation tokens need a userId (sub)');
+  }
+  if (!TIERS.includes(tier)) {
+    throw new Error(`Unknown tier: ${tier}`);
+  }
+
+  return jwt.sign({ typ: DELEGATION_TYPE, tier }, secret, {
+    algorithm: ALGORITHM,
+    issuer,
+    audience: AUDIENCE,
+    subject: String(userId),
+    expiresIn
+  });
+}
+
+/**
+ * Verify a delegation token against the service account key and return
+ * { userId, tier, issuer }. Throws on any invalid token.
+ */
+function verifyDelegationToken({ jwt, secret, token }) {
+  const claims = jwt.verify(token, secret, {
+    algorithms: [ALGORITHM],
+    audience: AUDIENCE,
+    issuer: Object.values(ISSUERS)
+  });
+
+  if (claims.typ !== DELEGATION_TYPE) {
+    throw new Error('Not a delegation token');
+  }
+  if (!claims.sub) {
+    throw new Error('Token has no subject');
+  }
+  if (!TIERS.includes(claims.tier)) {
+    throw new Error(`Unknown tier: ${claims.tier}`);
+  }
+
+  return {
+    userId: String(claims.sub),
+    tier: claims.tier,
+    issuer: claims.iss
+  };
+}
+
+function verifyWithAnyKey(jwt, keyRing, token, options) {
+  let lastError;
+  for (const secret of keyRing.keys.values()) {
+    try {
+      return jwt.verify(token, secret, options);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+function toPrincipal(claims, { kid, legacy }) {
+  if (!claims.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  const tier = TIERS.includes(claims.tier) ? claims.tier : 'free';
+  const scopes = Array.isArray(claims.scopes)
+    ? claims.scopes.filter(scope => SCOPES[scope])
+    : Object.keys(SCOPES);
+
+  return {
+    userId: String(claims.sub),
+    tier,
+    scopes,
+    role: claims.role || null,
+    isAdmin: claims.role === 'admin',
+    email: claims.email || null,
+    issuer: claims.iss || null,
+    kid,
+    legacy
+  };
+}
+
+module.exports = {
+  ISSUERS,
+  AUDIENCE,
+  ALGORITHM,
+  TIERS,
+  SCOPES,
+  DELEGATION_HEADER,
+  parseKeyRing,
+  signIdentityToken,
+  verifyIdentityToken,
+  signDelegationToken,
+  verifyDelegationToken
+};
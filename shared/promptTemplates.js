@@ -0,0 +1,250 @@
+// shared/promptTemplates.js - Parameterised prompts for catalogue templates
+//
+// A template may declare typed `parameters` and use them in its prompt:
+//
+//   parameters:
+//     region:     { type: string, default: us-east-1, description: AWS region }
+//     nodeGroups: { type: integer, default: 2, minimum: 1, maximum: 10 }
+//     karpenter:  { type: boolean, default: false }
+//   prompt: >
+//     AWS EKS in {{region}} with {{nodeGroups}} node groups
+//     {{#if karpenter}}and Karpenter autoscaling{{else}}and Cluster Autoscaler{{/if}}
+//
+// Types are string (optionally limited to `enum`), integer, number (with
+// `minimum`/`maximum`) and boolean. A parameter without a default is required.
+// `{{#if name}}` / `{{#unless name}}` sections (with optional `{{else}}`) are
+// kept when the value is true, a non-empty string or a non-zero number.
+//
+// Values may be given as strings (CLI --set, form fields); they are converted
+// to the declared type, and an empty string means "use the default". Invalid values throw VALIDATION_ERROR with `fields`.
+//
+// This module has no dependencies.
+
+const PARAMETER_TYPES = ['string', 'integer', 'number', 'boolean'];
+
+// Keywords need a word boundary, so `{{elseRegion}}` and `{{ifCount}}` stay variables
+const TAG = /\{\{\s*(#if\b|#unless\b|\/if\b|\/unless\b|else\b)?\s*([A-Za-z_][A-Za-z0-9_]*)?\s*\}\}/g;
+
+const createError = (code, message, fields) => {
+  const error = new Error(message);
+  error.code = code;
+  if (fields) error.fields = fields;
+  return error;
+};
+
+/**
+ * Parse a prompt into text, variable and section nodes. Throws on unbalanced sections.
+ */
+function parsePrompt(prompt) {
+  if (typeof prompt !== 'string') throw createError('CATALOGUE_ERROR', 'prompt must be a string');
+
+  const root = [];
+  const open = [];
+  let target = root;
+  let last = 0;
+
+  for (const match of prompt.matchAll(TAG)) {
+    const [tag, keyword, name] = match;
+    const section = open[open.length - 1];
+
+    if (match.index > last) target.push({ text: prompt.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (keyword === '#if' || keyword === '#unless') {
+      if (!name) throw createError('CATALOGUE_ERROR', `"${tag}" needs a parameter name`);
+      const node = { section: keyword.slice(1), name, children: [], otherwise: null };
+      target.push(node);
+      open.push(node);
+      target = node.children;
+    } else if (keyword === 'else') {
+      if (!section || section.otherwise) throw createError('CATALOGUE_ERROR', 'unexpected {{else}}');
+      section.otherwise = [];
+      target = section.otherwise;
+    } else if (keyword) {
+      if (!section || section.section !== keyword.slice(1)) throw createError('CATALOGUE_ERROR', `unexpected {{${keyword}}}`);
+      open.pop();
+      const parent = open[open.length - 1];
+      target = parent ? parent.otherwise || parent.children : root;
+    } else if (name) {
+      target.push({ variable: name });
+    }
+  }
+
+  if (open.length > 0) throw createError('CATALOGUE_ERROR', `unclosed {{#${open[open.length - 1].section}}}`);
+  if (last < prompt.length) root.push({ text: prompt.slice(last) });
+  return root;
+}
+
+/**
+ * Parameter names a prompt refers to
+ */
+function promptVariables(prompt) {
+  const names = new Set();
+  const walk = nodes => nodes.forEach(node => {
+    if (node.variable) names.add(node.variable);
+    if (node.section) {
+      names.add(node.name);
+      walk(node.children);
+      if (node.otherwise) walk(node.otherwise);
+    }
+  });
+  walk(parsePrompt(prompt));
+  return [...names];
+}
+
+/**
+ * Problems with a template's parameter definitions and prompt, as messages
+ */
+function checkTemplateDefinition(template) {
+  const problems = [];
+  const parameters = template.parameters || {};
+
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return ['parameters must be an object keyed by name'];
+  }
+
+  for (const [name, definition] of Object.entries(parameters)) {
+    if (!PARAMETER_TYPES.includes(definition?.type)) {
+      problems.push(`parameters.${name}.type must be one of: ${PARAMETER_TYPES.join(', ')}`);
+      continue;
+    }
+    if (definition.enum !== undefined && (!Array.isArray(definition.enum) || definition.enum.length === 0)) {
+      problems.push(`parameters.${name}.enum must be a non-empty list`);
+      continue;
+    }
+    if (definition.default !== undefined) {
+      const error = checkValue(definition, definition.default);
+      if (error) problems.push(`parameters.${name}.default ${error}`);
+    }
+  }
+
+  try {
+    for (const name of promptVariables(template.prompt)) {
+      if (!Object.hasOwn(parameters, name)) problems.push(`prompt uses undeclared parameter "${name}"`);
+    }
+  } catch (error) {
+    problems.push(`prompt: ${error.message}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Convert a string from the CLI or a form to the parameter's type; other values pass through
+ */
+function coerceValue(definition, value) {
+  if (typeof value !== 'string') return value;
+
+  switch (definition.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (['true', 'yes', 'on', '1'].includes(value.toLowerCase())) return true;
+      if (['false', 'no', 'off', '0'].includes(value.toLowerCase())) return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Why `value` does not fit `definition`, or null
+ */
+function checkValue(definition, value) {
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) return `must be one of: ${definition.enum.join(', ')}`;
+  if (definition.minimum !== undefined && value < definition.minimum) return `must be at least ${definition.minimum}`;
+  if (definition.maximum !== undefined && value > definition.maximum) return `must be at most ${definition.maximum}`;
+  return null;
+}
+
+/**
+ * Resolve `values` against the template's parameters (defaults, type conversion)
+ * and render its prompt. Returns { prompt, parameters }.
+ * Throws VALIDATION_ERROR listing each unknown, missing or invalid parameter.
+ */
+function renderTemplate(template, values = {}) {
+  const definitions = template.parameters || {};
+  const fields = [];
+  const resolved = {};
+
+  for (const name of Object.keys(values)) {
+    if (!Object.hasOwn(definitions, name)) fields.push({ field: `parameters.${name}`, message: 'is not a parameter of this template' });
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const given = Object.hasOwn(values, name) && values[name] !== undefined && values[name] !== '';
+    const value = given ? coerceValue(definition, values[name]) : definition.default;
+
+    if (value === undefined) {
+      fields.push({ field: `parameters.${name}`, message: 'is required' });
+      continue;
+    }
+
+    const error = checkValue(definition, value);
+    if (error) {
+      fields.push({ field: `parameters.${name}`, message: error, ...(definition.enum && { allowed: definition.enum }) });
+    } else {
+      resolved[name] = value;
+    }
+  }
+
+  if (fields.length > 0) {
+    throw createError('VALIDATION_ERROR', fields.map(field => `${field.field} ${field.message}`).join('; '), fields);
+  }
+
+  return { prompt: evaluate(parsePrompt(template.prompt), resolved).replace(/[ \t]+\n/g, '\n').trim(), parameters: resolved };
+}
+
+// Only own properties are looked up, so names like `toString` never reach Object.prototype
+function evaluate(nodes, values) {
+  return nodes.map(node => {
+    if (node.text !== undefined) return node.text;
+    if (node.variable) return Object.hasOwn(values, node.variable) ? String(values[node.variable]) : '';
+
+    const truthy = Object.hasOwn(values, node.name) && isTruthy(values[node.name]);
+    const keep = node.section === 'if' ? truthy : !truthy;
+    if (keep) return evaluate(node.children, values);
+    return node.otherwise ? evaluate(node.otherwise, values) : '';
+  }).join('');
+}
+
+function isTruthy(value) {
+  return value === true || (typeof value === 'string' && value !== '') || (typeof value === 'number' && value !== 0);
+}
+
+/**
+ * Parse `key=value` strings (CLI --set) into an object
+ */
+function parseAssignments(assignments = []) {
+  const values = {};
+  for (const assignment of assignments) {
+    const index = assignment.indexOf('=');
+    if (index < 1) throw createError('VALIDATION_ERROR', `"${assignment}" is not key=value`);
+    values[assignment.slice(0, index).trim()] = assignment.slice(index + 1);
+  }
+  return values;
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  parsePrompt,
+  checkTemplateDefinition,
+  renderTemplate,
+  parseAssignments
+};
@@ -61,9 +61,15 @@ app.engine('hbs', engine({
       }
       return str;
     },
-    // JSON stringify helper
+    // JSON stringify helper, safe inside an inline <script>: escapes the
+    // characters that could close the tag or break the JS string
     json: (context) => {
-      return JSON.stringify(context);
+      return JSON.stringify(context)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
     },
     // Equality helper
     eq: (a, b) => a === b,
@@ -159,6 +165,9 @@ app.use((req, res, next) => {
 app.use('/', require('./routes/index'));
 app.use('/auth', require('./routes/auth'));
 app.use('/diagrams', require('./routes/diagrams'));
+app.use('/api-keys', require('./routes/apiKeys'));
+app.use('/templates', require('./routes/templates'));
+app.use('/teams', require('./routes/teams'));
 
 // 404 Handler
 app.use((req, res) => {
@@ -18,6 +18,21 @@ module.exports = {
     }
   },
 
+  // Ensure the user's tier includes API access (API keys page)
+  ensureApiAccess: function(req, res, next) {
+    if (!req.isAuthenticated()) {
+      req.flash('error_msg', 'Please log in to view this resource');
+      return res.redirect('/login');
+    }
+
+    if (req.user.getTierLimits().apiAccess) {
+      return next();
+    }
+
+    req.flash('error_msg', 'API access requires the standard or pro tier');
+    res.redirect('/pricing');
+  },
+
   // Check user tier
   ensureTier: function(minTier) {
     const tierLevels = { free: 1, standard: 2, pro: 3 };
@@ -62,6 +62,10 @@ const DiagramSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  apiRequestId: {  // The API's queue request id, used to follow the job to completion
+    type: String,
+    default: null
+  },
   status: {
     type: String,
     enum: ['generating', 'completed', 'failed'],
@@ -71,6 +75,11 @@ const DiagramSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  progress: {  // Latest generation stage reported by the API while generating
+    stage: { type: String, default: null },
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: null }
+  },
   tokensUsed: {
     type: Number,
     default: 0
@@ -106,5 +115,6 @@ DiagramSchema.pre('save', function(next) {
 // Index for faster queries
 DiagramSchema.index({ user: 1, createdAt: -1 });
 DiagramSchema.index({ user: 1, favorite: 1 });
+DiagramSchema.index({ status: 1, apiRequestId: 1 });
 
 module.exports = mongoose.model('Diagram', DiagramSchema);
\ No newline at end of file
@@ -0,0 +1,76 @@
+// models/Team.js - Team Model (members see each other's team templates)
+const mongoose = require('mongoose');
+
+const TeamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  invites: [{  // Only the invited email's account can accept
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+TeamSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+TeamSchema.methods.memberFor = function(user) {
+  return this.members.find(member => (member.user._id || member.user).equals(user._id));
+};
+
+TeamSchema.methods.isAdmin = function(user) {
+  return this.memberFor(user)?.role === 'admin';
+};
+
+// Index for faster queries
+TeamSchema.index({ 'members.user': 1 });
+TeamSchema.index({ 'invites.email': 1 });
+
+module.exports = mongoose.model('Team', TeamSchema);
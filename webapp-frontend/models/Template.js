@@ -0,0 +1,109 @@
+// models/Template.js - Saved prompt/style/quality combinations users can reuse and share
+const mongoose = require('mongoose');
+
+const TemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  diagramFormat: {
+    type: String,
+    default: 'graphviz'
+  },
+  style: {
+    type: String,
+    default: 'azure'
+  },
+  quality: {
+    type: String,
+    enum: ['simple', 'standard', 'enterprise'],
+    default: 'standard'
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'team', 'public'],
+    default: 'private'
+  },
+  team: {  // Owner's team when shared with it, so moving team doesn't re-share old templates
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  sourceDiagram: {  // Diagram it was saved from, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagram',
+    default: null
+  },
+  usageCount: {  // Diagrams generated from it; orders the library
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+TemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Query for the templates a user can see: their own, their team's and public ones
+TemplateSchema.statics.visibleTo = function(user) {
+  const visible = [{ user: user._id }, { visibility: 'public' }];
+  if (user.team) {
+    visible.push({ visibility: 'team', team: user.team });
+  }
+  return this.find({ $or: visible });
+};
+
+// Most used first, newest breaking ties
+TemplateSchema.statics.popularFor = function(user, limit = 50) {
+  return this.visibleTo(user)
+    .sort({ usageCount: -1, createdAt: -1 })
+    .limit(limit)
+    .populate('user', 'name')
+    .lean();
+};
+
+// Count a diagram generated from this template
+TemplateSchema.statics.recordUse = function(templateId) {
+  return this.updateOne(
+    { _id: templateId },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+// Index for faster queries
+TemplateSchema.index({ user: 1, createdAt: -1 });
+TemplateSchema.index({ visibility: 1, usageCount: -1 });
+TemplateSchema.index({ visibility: 1, team: 1, usageCount: -1 });
+
+module.exports = mongoose.model('Template', TemplateSchema);
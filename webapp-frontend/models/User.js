@@ -35,6 +35,11 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  team: {  // Set when the user creates a team or accepts an invite; members see team templates
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
   jwtToken: {
     type: String,
     default: null
@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const form = document.getElementById('generator-form');
     const statusArea = document.getElementById('status-area');
     const statusText = document.getElementById('status-text');
+    const statusProgress = document.getElementById('status-progress');
 
     if (!form) return;
 
@@ -13,6 +14,8 @@ document.addEventListener('DOMContentLoaded', function() {
         const drawioNativeCheckbox = document.getElementById('drawioNative');
         const drawioNativeValue = drawioNativeCheckbox ? drawioNativeCheckbox.checked : false;
 
+        const templateSelect = document.getElementById('template');
+
         const formData = {
             title: document.getElementById('title').value,
             prompt: document.getElementById('prompt').value,
@@ -20,7 +23,8 @@ document.addEventListener('DOMContentLoaded', function() {
             format: document.getElementById('diagramFormat').value,  // For API (graphviz or graphviz-dot)
             style: document.getElementById('style').value,
             quality: document.getElementById('quality').value,
-            drawioNative: drawioNativeValue
+            drawioNative: drawioNativeValue,
+            template: templateSelect && templateSelect.value ? templateSelect.value : null
         };
 
         // DEBUG LOGGING
@@ -62,7 +66,7 @@ document.addEventListener('DOMContentLoaded', function() {
             console.log('✅ Diagram created with ID:', diagramId);
             console.log('✅ Request ID:', requestId);
             
-            statusText.textContent = '🎨 Your diagram is being created... This usually takes 15-30 seconds.';
+            statusText.textContent = '📨 Request submitted - waiting for the diagram service...';
 
             // Poll for status using requestId (up to 2 minutes)
             await pollDiagramStatus(diagramId, requestId);
@@ -138,8 +142,16 @@ document.addEventListener('DOMContentLoaded', function() {
                     
                     throw new Error(errorMsg);
 
+                } else if (result.progress && result.progress.stage) {
+                    // Still generating - show the stage the API reported
+                    const percent = Math.max(0, Math.min(100, result.progress.percent || 0));
+                    statusText.textContent = `${stageIcon(result.progress.stage)} ${result.progress.message} (${percent}%, ${elapsed}s)`;
+                    setProgress(percent);
+
+                    setTimeout(poll, 2000);
+
                 } else {
-                    // Still generating - show friendly progress message
+                    // Still generating, no stage reported yet - show friendly progress message
                     let message = '';
                     if (elapsed < 10) {
                         message = '🎨 Generating your diagram...';
@@ -175,4 +187,26 @@ document.addEventListener('DOMContentLoaded', function() {
 
         await poll();
     }
+
+    function setProgress(percent) {
+        if (!statusProgress) return;
+        statusProgress.style.width = `${percent}%`;
+        statusProgress.setAttribute('aria-valuenow', percent);
+    }
+
+    function stageIcon(stage) {
+        const icons = {
+            queued: '⏳',
+            processing: '⚙️',
+            started: '⚙️',
+            prompt_built: '📝',
+            claude_started: '🤖',
+            claude_streaming: '✍️',
+            code_received: '📦',
+            render_started: '🖼️',
+            export_done: '💾',
+            completed: '✅'
+        };
+        return icons[stage] || '🎨';
+    }
 });
@@ -0,0 +1,74 @@
+// routes/apiKeys.js - API Key Management (standard/pro tiers)
+const express = require('express');
+const router = express.Router();
+const { ensureApiAccess } = require('../middleware/auth');
+const DiagramAPIClient = require('../services/diagramApiClient');
+
+const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days', selected: true },
+  { days: 180, label: '180 days' },
+  { days: 365, label: '1 year' }
+];
+
+async function renderKeysPage(req, res, extra = {}) {
+  const [keys, scopes] = await Promise.all([
+    DiagramAPIClient.listApiKeys(req.user),
+    DiagramAPIClient.getApiKeyScopes()
+  ]);
+
+  res.render('api-keys', {
+    title: 'API Keys - CloudStrucc Diagrams',
+    layout: 'main',
+    keys,
+    scopes,
+    expiryOptions: EXPIRY_OPTIONS,
+    apiUrl: process.env.API_URL || 'http://localhost:3000',
+    ...extra
+  });
+}
+
+// API Keys Page
+router.get('/', ensureApiAccess, async (req, res) => {
+  try {
+    await renderKeysPage(req, res);
+  } catch (err) {
+    console.error('Error loading API keys:', err);
+    req.flash('error_msg', 'Error loading API keys');
+    res.redirect('/dashboard');
+  }
+});
+
+// Create Key - the new key is rendered once and never stored by the webapp
+router.post('/', ensureApiAccess, async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body;
+    const scopes = [].concat(req.body.scopes || []);
+
+    const created = await DiagramAPIClient.createApiKey(req.user, {
+      name,
+      scopes,
+      expiresInDays: parseInt(expiresInDays, 10)
+    });
+
+    await renderKeysPage(req, res, { newKey: created });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    req.flash('error_msg', err.message || 'Error creating API key');
+    res.redirect('/api-keys');
+  }
+});
+
+// Revoke Key
+router.delete('/:keyId', ensureApiAccess, async (req, res) => {
+  try {
+    const revoked = await DiagramAPIClient.revokeApiKey(req.user, req.params.keyId);
+    req.flash('success_msg', `API key "${revoked.name}" revoked`);
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    req.flash('error_msg', err.message || 'Error revoking API key');
+  }
+  res.redirect('/api-keys');
+});
+
+module.exports = router;
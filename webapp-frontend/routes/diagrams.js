@@ -5,12 +5,15 @@ const { v4: uuidv4 } = require('uuid');
 const { ensureAuthenticated } = require('../middleware/auth');
 const Diagram = require('../models/Diagram');
 const DiagramAPIClient = require('../services/diagramApiClient');
+const ApiJobTracker = require('../services/apiJobTracker');
+const Template = require('../models/Template');
+const catalogue = require('../services/catalogue');
 const fetch = require('node-fetch'); 
 
 
 // webapp/routes/diagrams.js - Updated with Service Account Auth
 
-async function callPythonAPI(options) {
+async function callPythonAPI(user, options) {
     const apiUrl = process.env.API_URL || 'https://api-cloudstrucc-unique.azurewebsites.net';
     const serviceKey = process.env.SERVICE_ACCOUNT_KEY;
     
@@ -50,7 +53,7 @@ async function callPythonAPI(options) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'X-Service-Key': serviceKey  // ⚠️ SERVICE ACCOUNT AUTH
+                ...DiagramAPIClient.serviceHeaders(user)  // Service account acting for this user
             },
             body: JSON.stringify(requestBody)
         });
@@ -100,19 +103,38 @@ router.get('/generator', ensureAuthenticated, async (req, res) => {
     const canCreate = req.user.canCreateDiagram();
     const limits = req.user.getTierLimits();
 
-    // Get available templates and styles
-    const templates = [];
-    const styles = ['azure', 'aws', 'gcp', 'kubernetes', 'generic'];
-    
-    // try {
-    //   const templatesData = await DiagramAPIClient.getPythonTemplates(req.user);
-    //   templates = templatesData.templates || [];
-      
-    //   const stylesData = await DiagramAPIClient.getPythonStyles(req.user);
-    //   styles = stylesData.styles || [];
-    // } catch (err) {
-    //   console.error('Error fetching templates/styles:', err);
-    // }
+    // Formats, styles, qualities and templates come from the API's discovery endpoints.
+    // The bundled catalogue is the same data, so the page still works if the API is down.
+    let options;
+    let templates;
+    try {
+      [options, { templates }] = await Promise.all([
+        DiagramAPIClient.getPythonStyles(req.user),
+        DiagramAPIClient.getPythonTemplates(req.user)
+      ]);
+
+      if (options.checksum !== catalogue.checksum) {
+        console.warn(`⚠️ Catalogue drift: API has ${options.version} (${options.checksum}), webapp has ${catalogue.version} (${catalogue.checksum})`);
+      }
+    } catch (err) {
+      console.error('⚠️ Could not load styles/templates from the API, using the bundled catalogue:', err.message);
+      options = catalogue.pythonStyleCatalogue();
+      templates = catalogue.pythonTemplateCatalogue().templates;
+    }
+
+    // Saved templates the user can see, most used first
+    const library = (await Template.popularFor(req.user)).map(template => ({
+      id: String(template._id),
+      name: template.name,
+      description: template.description,
+      prompt: template.prompt,
+      format: template.diagramFormat,
+      style: template.style,
+      quality: template.quality,
+      visibility: template.visibility,
+      usageCount: template.usageCount,
+      owner: template.user ? template.user.name : null
+    }));
 
     res.render('generator', {
       title: 'Generate Diagram - Cloudstrucc',
@@ -120,8 +142,12 @@ router.get('/generator', ensureAuthenticated, async (req, res) => {
       canCreate,
       remaining: limits.diagramsPerDay - req.user.diagramsToday,
       limit: limits.diagramsPerDay,
+      formats: options.formats,
+      qualities: options.qualities,
       templates,
-      styles
+      library,
+      selectedTemplate: req.query.template || '',
+      catalogue: { styles: options.styles, formats: options.formats, templates, library }
     });
   } catch (err) {
     console.error(err);
@@ -130,9 +156,23 @@ router.get('/generator', ensureAuthenticated, async (req, res) => {
   }
 });
  
-router.post('/generate', async (req, res) => {
+// Render a catalogue template's prompt with the generator form's parameter values
+router.post('/templates/:id/render', ensureAuthenticated, (req, res) => {
+  try {
+    const { prompt, parameters } = catalogue.renderTemplate(req.params.id, req.body.parameters || {});
+    res.json({ success: true, prompt, parameters });
+  } catch (err) {
+    if (err.code !== 'VALIDATION_ERROR') {
+      console.error('❌ Error rendering template:', err);
+      return res.status(500).json({ success: false, message: 'Error rendering template' });
+    }
+    res.status(400).json({ success: false, message: err.message, fields: err.fields || [] });
+  }
+});
+
+router.post('/generate', ensureAuthenticated, async (req, res) => {
     try {
-        const { title, prompt, format, style, quality, drawioNative } = req.body;
+        const { title, prompt, format, style, quality, drawioNative, template } = req.body;
         
         console.log('🐛 Received request:', { title, format, style, quality, drawioNative });
         
@@ -148,15 +188,23 @@ router.post('/generate', async (req, res) => {
             diagramType: 'python',
             style,
             quality,
+            template: template || null,
             status: 'generating',
             requestId: requestId
         });
         
         await diagram.save();
         console.log('✅ Created diagram with ID:', diagram._id);
+
+        // Generating from a saved template counts towards its popularity
+        if (/^[0-9a-fA-F]{24}$/.test(template)) {
+            Template.visibleTo(req.user).findOne({ _id: template })
+                .then(saved => saved && Template.recordUse(saved._id))
+                .catch(err => console.error('⚠️ Could not count template use:', err.message));
+        }
         
         // Start async generation (don't wait for it)
-        generateDiagramAsync(diagram._id, requestId, { prompt, format, style, quality, drawioNative });
+        generateDiagramAsync(req.user, diagram._id, requestId, { prompt, format, style, quality, drawioNative });
         
         // Return immediately
         res.json({ 
@@ -172,12 +220,12 @@ router.post('/generate', async (req, res) => {
 });
 
 // Separate async function for generation
-async function generateDiagramAsync(diagramId, requestId, options) {
+// Enqueues on the API, then follows the job until it really finishes
+async function generateDiagramAsync(user, diagramId, requestId, options) {
     try {
         console.log('🎨 Starting generation for:', diagramId);
         
-        // Call Python API - THIS is where apiResponse is defined
-        const apiResponse = await callPythonAPI({
+        const apiResponse = await callPythonAPI(user, {
             prompt: options.prompt,
             format: options.format,
             style: options.style,
@@ -186,21 +234,14 @@ async function generateDiagramAsync(diagramId, requestId, options) {
             requestId: requestId
         });
         
-        console.log('🐛 API Response received');
-        console.log('   - Has imageData:', !!apiResponse.imageData);
-        console.log('   - Has drawioXml:', !!apiResponse.drawioXml);
-        console.log('   - drawioXml length:', apiResponse.drawioXml?.length || 0);
-        
-        // Update diagram with results
+        // The API only accepted the job - remember its id so tracking survives a restart
         await Diagram.findByIdAndUpdate(diagramId, {
-            imageData: apiResponse.imageData,
-            drawioXml: apiResponse.drawioXml,  // ⚠️ CRITICAL LINE
-            svgData: apiResponse.svgData,
-            code: apiResponse.code,
-            status: 'completed'
+            apiRequestId: apiResponse.requestId
         });
         
-        console.log('✅ Diagram updated successfully');
+        console.log('📡 Tracking API job:', apiResponse.requestId, `(${apiResponse.status})`);
+        
+        await ApiJobTracker.track(user, diagramId, apiResponse.requestId);
         
     } catch (error) {
         console.error('❌ Generation failed:', error);
@@ -264,6 +305,7 @@ router.get('/status/:diagramId', ensureAuthenticated, async (req, res) => {
         diagramType: diagram.diagramType
       } : null,
       error: diagram.error,
+      progress: diagram.progress,
       position: 0
     });
 
@@ -0,0 +1,191 @@
+// routes/teams.js - Teams for sharing templates
+// Membership is never self-assigned: you create a team (and admin it) or
+// accept an invite a team admin sent to your account's email.
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../middleware/auth');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+const isObjectId = id => /^[0-9a-fA-F]{24}$/.test(id);
+
+// The user's team, if they administer it; otherwise flashes why not and returns null
+async function findAdministeredTeam(req) {
+  const team = req.user.team && await Team.findById(req.user.team);
+  if (!team || !team.isAdmin(req.user)) {
+    req.flash('error_msg', 'Only team admins can do that');
+    return null;
+  }
+  return team;
+}
+
+// Create Team - the creator becomes its first admin
+router.post('/', ensureAuthenticated, async (req, res) => {
+  try {
+    if (req.user.team) {
+      req.flash('error_msg', 'Leave your current team before creating another');
+      return res.redirect('/templates');
+    }
+
+    const team = await Team.create({
+      name: req.body.name,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'admin' }]
+    });
+    req.user.team = team._id;
+    await req.user.save();
+
+    console.log('✅ Created team:', team._id);
+    req.flash('success_msg', `Team "${team.name}" created`);
+  } catch (err) {
+    console.error('Error creating team:', err);
+    req.flash('error_msg', err.message || 'Error creating team');
+  }
+  res.redirect('/templates');
+});
+
+// Invite by email (admins only)
+router.post('/invites', ensureAuthenticated, async (req, res) => {
+  try {
+    const team = await findAdministeredTeam(req);
+    if (!team) return res.redirect('/templates');
+
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      req.flash('error_msg', 'Enter an email address to invite');
+      return res.redirect('/templates');
+    }
+
+    const member = await User.findOne({ email, team: team._id });
+    if (!member && !team.invites.some(invite => invite.email === email)) {
+      team.invites.push({ email, invitedBy: req.user._id });
+      await team.save();
+    }
+
+    req.flash('success_msg', member ? `${email} is already in the team` : `Invited ${email}`);
+  } catch (err) {
+    console.error('Error inviting to team:', err);
+    req.flash('error_msg', err.message || 'Error sending invite');
+  }
+  res.redirect('/templates');
+});
+
+// Withdraw an invite (admins only)
+router.delete('/invites/:email', ensureAuthenticated, async (req, res) => {
+  try {
+    const team = await findAdministeredTeam(req);
+    if (!team) return res.redirect('/templates');
+
+    team.invites = team.invites.filter(invite => invite.email !== req.params.email.toLowerCase());
+    await team.save();
+    req.flash('success_msg', 'Invite withdrawn');
+  } catch (err) {
+    console.error('Error withdrawing invite:', err);
+    req.flash('error_msg', 'Error withdrawing invite');
+  }
+  res.redirect('/templates');
+});
+
+// Accept an invite sent to this account's email
+router.post('/:teamId/accept', ensureAuthenticated, async (req, res) => {
+  try {
+    if (req.user.team) {
+      req.flash('error_msg', 'Leave your current team before joining another');
+      return res.redirect('/templates');
+    }
+
+    const team = isObjectId(req.params.teamId) && await Team.findOneAndUpdate(
+      { _id: req.params.teamId, 'invites.email': req.user.email },
+      {
+        $pull: { invites: { email: req.user.email } },
+        $push: { members: { user: req.user._id, role: 'member' } }
+      },
+      { new: true }
+    );
+    if (!team) {
+      req.flash('error_msg', 'Invite not found');
+      return res.redirect('/templates');
+    }
+
+    req.user.team = team._id;
+    await req.user.save();
+    req.flash('success_msg', `You joined "${team.name}"`);
+  } catch (err) {
+    console.error('Error accepting invite:', err);
+    req.flash('error_msg', 'Error accepting invite');
+  }
+  res.redirect('/templates');
+});
+
+// Decline an invite
+router.post('/:teamId/decline', ensureAuthenticated, async (req, res) => {
+  try {
+    if (isObjectId(req.params.teamId)) {
+      await Team.updateOne({ _id: req.params.teamId }, { $pull: { invites: { email: req.user.email } } });
+    }
+    req.flash('success_msg', 'Invite declined');
+  } catch (err) {
+    console.error('Error declining invite:', err);
+    req.flash('error_msg', 'Error declining invite');
+  }
+  res.redirect('/templates');
+});
+
+// Remove a member (admins), or leave the team (your own id)
+router.delete('/members/:userId', ensureAuthenticated, async (req, res) => {
+  try {
+    const team = req.user.team && await Team.findById(req.user.team);
+    const leaving = req.params.userId === String(req.user._id);
+    if (!team || (!leaving && !team.isAdmin(req.user))) {
+      req.flash('error_msg', 'Only team admins can remove members');
+      return res.redirect('/templates');
+    }
+
+    const member = team.members.find(m => String(m.user) === req.params.userId);
+    if (!member) {
+      req.flash('error_msg', 'Member not found');
+      return res.redirect('/templates');
+    }
+
+    const otherAdmins = team.members.filter(m => m.role === 'admin' && m !== member);
+    if (member.role === 'admin' && otherAdmins.length === 0 && team.members.length > 1) {
+      req.flash('error_msg', 'Make another member an admin before the last admin leaves');
+      return res.redirect('/templates');
+    }
+
+    team.members = team.members.filter(m => m !== member);
+    if (team.members.length === 0) {
+      await team.deleteOne();
+    } else {
+      await team.save();
+    }
+    await User.updateOne({ _id: member.user, team: team._id }, { $set: { team: null } });
+
+    req.flash('success_msg', leaving ? `You left "${team.name}"` : 'Member removed');
+  } catch (err) {
+    console.error('Error removing team member:', err);
+    req.flash('error_msg', 'Error removing member');
+  }
+  res.redirect('/templates');
+});
+
+// Make a member an admin (admins only)
+router.post('/members/:userId/admin', ensureAuthenticated, async (req, res) => {
+  try {
+    const team = await findAdministeredTeam(req);
+    if (!team) return res.redirect('/templates');
+
+    const member = team.members.find(m => String(m.user) === req.params.userId);
+    if (member) {
+      member.role = 'admin';
+      await team.save();
+    }
+    req.flash(member ? 'success_msg' : 'error_msg', member ? 'Member is now an admin' : 'Member not found');
+  } catch (err) {
+    console.error('Error promoting team member:', err);
+    req.flash('error_msg', 'Error updating member');
+  }
+  res.redirect('/templates');
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/templates.js - Template Library (saved prompt/style/quality combinations)
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../middleware/auth');
+const Diagram = require('../models/Diagram');
+const Team = require('../models/Team');
+const Template = require('../models/Template');
+
+const VISIBILITIES = Template.schema.path('visibility').enumValues;
+
+// Visibility fields for a new or edited template; team sharing needs a team
+function sharingFor(user, visibility = 'private') {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+  if (visibility === 'team' && !user.team) {
+    throw new Error('Create or join a team on the Templates page before sharing with it');
+  }
+  return { visibility, team: visibility === 'team' ? user.team : null };
+}
+
+const isObjectId = id => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Find a template the user owns, or null
+async function findOwned(user, id) {
+  if (!isObjectId(id)) return null;
+  return Template.findOne({ _id: id, user: user._id });
+}
+
+// Template Library Page - most used first
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const [templates, team, invitations] = await Promise.all([
+      Template.popularFor(req.user, 100),
+      req.user.team ? Team.findById(req.user.team).populate('members.user', 'name email') : null,
+      Team.find({ 'invites.email': req.user.email }).select('name')
+    ]);
+
+    res.render('templates', {
+      title: 'Templates - CloudStrucc Diagrams',
+      layout: 'main',
+      templates: templates.map(template => ({
+        ...template,
+        owned: template.user && template.user._id.equals(req.user._id)
+      })),
+      team: team && {
+        name: team.name,
+        isAdmin: team.isAdmin(req.user),
+        members: team.members.filter(member => member.user).map(member => ({
+          id: String(member.user._id),
+          name: member.user.name,
+          email: member.user.email,
+          role: member.role,
+          isYou: member.user._id.equals(req.user._id)
+        })),
+        invites: team.invites.map(invite => invite.email)
+      },
+      invitations
+    });
+  } catch (err) {
+    console.error('Error loading templates:', err);
+    req.flash('error_msg', 'Error loading templates');
+    res.redirect('/dashboard');
+  }
+});
+
+// Create Template - from one of the user's diagrams, or from the fields given
+router.post('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const { diagramId, name, description, visibility } = req.body;
+    let source = req.body;
+
+    if (diagramId) {
+      source = isObjectId(diagramId) && await Diagram.findOne({ _id: diagramId, user: req.user._id });
+      if (!source) {
+        req.flash('error_msg', 'Diagram not found');
+        return res.redirect('/diagrams/my-diagrams');
+      }
+    }
+
+    const template = await Template.create({
+      user: req.user._id,
+      name: name || source.title,
+      description,
+      prompt: source.prompt,
+      diagramFormat: source.diagramFormat || source.format || undefined,
+      style: source.style,
+      quality: source.quality,
+      sourceDiagram: diagramId || null,
+      ...sharingFor(req.user, visibility)
+    });
+
+    console.log('✅ Created template:', template._id, `(${template.visibility})`);
+    req.flash('success_msg', `Template "${template.name}" saved`);
+    res.redirect('/templates');
+  } catch (err) {
+    console.error('Error creating template:', err);
+    req.flash('error_msg', err.message || 'Error saving template');
+    res.redirect(req.body.diagramId ? `/diagrams/view/${req.body.diagramId}` : '/templates');
+  }
+});
+
+// Update Template (owner only)
+router.put('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const template = await findOwned(req.user, req.params.id);
+    if (!template) {
+      req.flash('error_msg', 'Template not found');
+      return res.redirect('/templates');
+    }
+
+    const { name, description, prompt, visibility } = req.body;
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (prompt !== undefined) template.prompt = prompt;
+    if (visibility !== undefined) Object.assign(template, sharingFor(req.user, visibility));
+
+    await template.save();
+    req.flash('success_msg', `Template "${template.name}" updated`);
+  } catch (err) {
+    console.error('Error updating template:', err);
+    req.flash('error_msg', err.message || 'Error updating template');
+  }
+  res.redirect('/templates');
+});
+
+// Delete Template (owner only)
+router.delete('/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const template = await findOwned(req.user, req.params.id);
+    if (!template) {
+      req.flash('error_msg', 'Template not found');
+      return res.redirect('/templates');
+    }
+
+    await template.deleteOne();
+    req.flash('success_msg', `Template "${template.name}" deleted`);
+  } catch (err) {
+    console.error('Error deleting template:', err);
+    req.flash('error_msg', 'Error deleting template');
+  }
+  res.redirect('/templates');
+});
+
+module.exports = router;
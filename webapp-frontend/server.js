@@ -2,6 +2,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const app = require('./app');
+const ApiJobTracker = require('./services/apiJobTracker');
 
 // Environment Variables
 const PORT = process.env.PORT || process.env.WEBSITES_PORT || 3001;
@@ -16,6 +17,11 @@ if (!MONGODB_URI) {
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('✓ MongoDB connected');
+
+    // Pick up diagrams whose API jobs were still running when we last stopped
+    ApiJobTracker.resumePending().catch((err) => {
+      console.error('❌ Could not resume diagram tracking:', err);
+    });
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
@@ -39,6 +45,7 @@ Routes:
   GET    /dashboard     - User dashboard
   GET    /generator     - Diagram generator
   GET    /my-diagrams   - User diagrams
+  GET    /templates     - Template library
 `);
 });
 
@@ -0,0 +1,232 @@
+// services/apiJobTracker.js - Follow an API job to completion and update its Diagram
+const WebSocket = require('ws');
+const Diagram = require('../models/Diagram');
+const DiagramAPIClient = require('./diagramApiClient');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const WS_URL = API_URL.replace(/^http/, 'ws');
+
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+const RECONNECT_DELAY = 5000;
+const STATUS_CHECK_INTERVAL = 30000;          // Safety net in case a socket message is missed
+const MAX_TRACKING_TIME = 60 * 60 * 1000;
+
+// user id -> { user, socket, reconnectTimer, jobs: Map(apiRequestId -> handlers) }
+// One WebSocket per user on the API's user channel, shared by all of that user's jobs
+const channels = new Map();
+
+class ApiJobTracker {
+  /**
+   * Follow `apiRequestId` on its owner's API user channel and write the final
+   * result (or error) into the Diagram once the job really finishes.
+   * Falls back to status checks while the socket is down.
+   * Resolves with the Diagram's final status.
+   */
+  static track(user, diagramId, apiRequestId) {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      let checkTimer = null;
+      let finished = false;
+
+      const finish = async (apiStatus) => {
+        if (finished) return;
+        finished = true;
+        clearInterval(checkTimer);
+        this.unwatch(user, apiRequestId);
+
+        resolve(await this.applyResult(diagramId, apiRequestId, apiStatus));
+      };
+
+      // The socket only says *that* the job finished; the full result comes from /status
+      const checkStatus = async () => {
+        if (finished) return;
+
+        try {
+          const apiStatus = await DiagramAPIClient.checkStatus(user, apiRequestId);
+          if (FINAL_STATES.includes(apiStatus.status)) {
+            await finish(apiStatus);
+            return;
+          }
+        } catch (error) {
+          if (error.status === 404) {
+            await finish({ status: 'failed', error: 'The API no longer has this request' });
+            return;
+          }
+          console.warn(`⚠️ Status check for ${apiRequestId} failed: ${error.message}`);
+        }
+
+        if (Date.now() - startedAt > MAX_TRACKING_TIME) {
+          await finish({ status: 'failed', error: 'Timed out waiting for the diagram API' });
+        }
+      };
+
+      checkTimer = setInterval(checkStatus, STATUS_CHECK_INTERVAL);
+      this.watch(user, apiRequestId, {
+        // The job may have finished before the channel was (re)subscribed
+        onOpen: checkStatus,
+        onMessage: (message) => {
+          if (FINAL_STATES.includes(message.type)) {
+            checkStatus();
+          } else if (message.type === 'progress' || message.type === 'status') {
+            this.applyProgress(diagramId, message);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Route the user channel's messages for `apiRequestId` to `handlers`,
+   * opening the user's channel if this is their first tracked job
+   */
+  static watch(user, apiRequestId, handlers) {
+    const userId = String(user._id);
+    let channel = channels.get(userId);
+    if (!channel) {
+      channel = { userId, user, socket: null, reconnectTimer: null, jobs: new Map() };
+      channels.set(userId, channel);
+      this.connect(channel);
+    }
+
+    channel.jobs.set(apiRequestId, handlers);
+    if (channel.socket?.readyState === WebSocket.OPEN) handlers.onOpen();
+  }
+
+  /**
+   * Stop routing messages for `apiRequestId`; the channel closes with the user's last job
+   */
+  static unwatch(user, apiRequestId) {
+    const userId = String(user._id);
+    const channel = channels.get(userId);
+    if (!channel) return;
+
+    channel.jobs.delete(apiRequestId);
+    if (channel.jobs.size === 0) {
+      channels.delete(userId);
+      clearTimeout(channel.reconnectTimer);
+      if (channel.socket) channel.socket.close();
+    }
+  }
+
+  static connect(channel) {
+    if (channels.get(channel.userId) !== channel) return;
+
+    const reconnect = () => {
+      channel.reconnectTimer = setTimeout(() => this.connect(channel), RECONNECT_DELAY);
+    };
+
+    let socket;
+    try {
+      // Same service-account-for-user credentials as the REST calls; minted per connection
+      socket = new WebSocket(WS_URL, { headers: DiagramAPIClient.serviceHeaders(channel.user) });
+    } catch (error) {
+      console.warn(`⚠️ Could not open API WebSocket for user ${channel.userId}: ${error.message}`);
+      reconnect();
+      return;
+    }
+    channel.socket = socket;
+
+    socket.on('open', () => {
+      socket.send(JSON.stringify({ type: 'subscribe', channel: 'user' }));
+      for (const handlers of channel.jobs.values()) handlers.onOpen();
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      const handlers = channel.jobs.get(message.requestId);
+      if (handlers) handlers.onMessage(message);
+    });
+
+    socket.on('close', () => {
+      if (channel.socket !== socket || channels.get(channel.userId) !== channel) return;
+      reconnect();
+    });
+
+    socket.on('error', (error) => {
+      console.warn(`⚠️ API WebSocket error for user ${channel.userId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Record the API's current stage on a still-generating Diagram
+   */
+  static async applyProgress(diagramId, message) {
+    const progress = message.type === 'progress'
+      ? { stage: message.stage, percent: message.progress, message: message.message }
+      : {
+          stage: message.status,
+          percent: 0,
+          message: message.position > 0 ? `Waiting in queue (position ${message.position})` : 'Starting generation'
+        };
+
+    try {
+      await Diagram.updateOne({ _id: diagramId, status: 'generating' }, { progress });
+    } catch (error) {
+      console.warn(`⚠️ Could not record progress for diagram ${diagramId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a finished API job into its Diagram
+   */
+  static async applyResult(diagramId, apiRequestId, apiStatus) {
+    try {
+      if (apiStatus.status === 'completed') {
+        await Diagram.findByIdAndUpdate(diagramId, {
+          imageData: apiStatus.result,
+          drawioXml: apiStatus.drawioXml,
+          svgData: apiStatus.svgData,
+          tokensUsed: apiStatus.usage?.tokensUsed || 0,
+          status: 'completed',
+          error: null,
+          progress: { stage: 'completed', percent: 100, message: 'Completed' }
+        });
+        console.log(`✅ Diagram ${diagramId} completed (${apiRequestId})`);
+        return 'completed';
+      }
+
+      const error = apiStatus.status === 'cancelled'
+        ? 'Generation was cancelled'
+        : apiStatus.error || 'Diagram generation failed';
+
+      await Diagram.findByIdAndUpdate(diagramId, {
+        status: 'failed',
+        error
+      });
+      console.log(`❌ Diagram ${diagramId} ${apiStatus.status} (${apiRequestId}): ${error}`);
+      return 'failed';
+    } catch (error) {
+      console.error(`❌ Could not update diagram ${diagramId}:`, error);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Resume tracking for diagrams that were still generating when the webapp restarted
+   */
+  static async resumePending() {
+    const pending = await Diagram.find({
+      status: 'generating',
+      apiRequestId: { $ne: null }
+    }).populate('user');
+
+    for (const diagram of pending) {
+      if (!diagram.user) continue;
+      this.track(diagram.user, diagram._id, diagram.apiRequestId).catch((error) => {
+        console.error(`❌ Could not resume tracking diagram ${diagram._id}:`, error);
+      });
+    }
+
+    if (pending.length > 0) {
+      console.log(`✓ Resumed tracking ${pending.length} generating diagram(s)`);
+    }
+  }
+}
+
+module.exports = ApiJobTracker;
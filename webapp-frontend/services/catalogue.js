@@ -0,0 +1,12 @@
+// services/catalogue.js - Local copy of the style/template catalogue
+//
+// The generator page reads styles and templates from the API; this is the
+// fallback when the API is unreachable, and the reference for drift checks.
+// Set CATALOGUE_PATHS to the same files as the API so both checksums match.
+const yaml = require('js-yaml');
+const { loadCatalogue, parseCataloguePaths } = require('../../shared/catalogue');
+
+module.exports = loadCatalogue({
+  files: parseCataloguePaths(process.env.CATALOGUE_PATHS),
+  parseYaml: yaml.load
+});
@@ -1,23 +1,49 @@
 // services/diagramApiClient.js - Client for Diagram API
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
+const identity = require('../../shared/identity');
 
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const JWT_SECRET = process.env.API_JWT_SECRET || 'wUQtUPxbAHkR4iA1FuaQa0JnEJqFIb9qbjpDdSvuXmI=';
 
+// Same key ring format as the API's JWT_SIGNING_KEYS ("kid:secret,..."), first key signs
+const keyRing = identity.parseKeyRing(process.env.API_JWT_SIGNING_KEYS, JWT_SECRET);
+
 class DiagramAPIClient {
   /**
-   * Generate JWT token for API authentication
+   * Generate JWT token for API authentication.
+   * The subject is the user's id, so usage and ownership are attributed to them.
    */
   static generateToken(user) {
-    const payload = {
-      apiKey: user.email,
+    return identity.signIdentityToken({
+      jwt,
+      keyRing,
+      issuer: identity.ISSUERS.webapp,
+      userId: user._id,
       tier: user.tier,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 hours
-    };
+      email: user.email,
+      expiresIn: '24h'
+    });
+  }
+
+  /**
+   * Headers for calling the API as the service account on behalf of `user`.
+   * The delegation token is signed with the service key, so only the webapp
+   * can mint it; the API then applies the user's tier quotas and ownership.
+   */
+  static serviceHeaders(user) {
+    const serviceKey = process.env.SERVICE_ACCOUNT_KEY;
 
-    return jwt.sign(payload, JWT_SECRET);
+    return {
+      'X-Service-Key': serviceKey,
+      'X-Delegated-User': identity.signDelegationToken({
+        jwt,
+        secret: serviceKey,
+        issuer: identity.ISSUERS.webapp,
+        userId: user._id,
+        tier: user.tier
+      })
+    };
   }
 
   /**
@@ -161,6 +187,80 @@ class DiagramAPIClient {
     }
   }
 
+  /**
+   * List the user's API keys
+   */
+  static async listApiKeys(user) {
+    const token = this.generateToken(user);
+
+    try {
+      const response = await axios.get(`${API_URL}/api/keys`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      return response.data.keys;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Create an API key. The response holds the plaintext key - it is only shown once.
+   */
+  static async createApiKey(user, options) {
+    const token = this.generateToken(user);
+
+    try {
+      const response = await axios.post(`${API_URL}/api/keys`, {
+        name: options.name,
+        scopes: options.scopes,
+        expiresInDays: options.expiresInDays
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  static async revokeApiKey(user, keyId) {
+    const token = this.generateToken(user);
+
+    try {
+      const response = await axios.delete(`${API_URL}/api/keys/${keyId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Get the scopes an API key can be granted
+   */
+  static async getApiKeyScopes() {
+    try {
+      const response = await axios.get(`${API_URL}/api/keys/scopes`);
+      return response.data.scopes;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Poll for diagram completion
    */